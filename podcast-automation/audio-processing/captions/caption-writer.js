@@ -0,0 +1,122 @@
+/**
+ * Caption writer for Lost Transmissions
+ * Converts timed transcript segments into SubRip (.srt) and WebVTT (.vtt) captions,
+ * shifted onto the final episode timeline (e.g., past the intro).
+ * Segments with a `speaker` (multi-voice episodes) are labelled: "Speaker: text" in SRT,
+ * a `<v Speaker>` voice span in WebVTT.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Formats seconds as a caption timestamp.
+ * @param {number} seconds
+ * @param {string} separator ',' for SRT, '.' for WebVTT.
+ * @returns {string} e.g. "00:01:02,500"
+ */
+function formatTimestamp(seconds, separator) {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
+
+/**
+ * Groups transcript segments into readable caption cues.
+ * Segments with word timings are split at cue-sized boundaries; others are used as-is.
+ * @param {Array<object>} segments Timed segments `{ start, end, text, words?, speaker? }`.
+ * @param {object} [options={}]
+ * @param {number} [options.offset=0] Seconds added to every timestamp.
+ * @param {number} [options.maxChars=84] Maximum characters per cue.
+ * @param {number} [options.maxDuration=6] Maximum cue length in seconds.
+ * @returns {Array<object>} Cues `{ start, end, text, speaker }`; speaker is null for unlabelled segments.
+ */
+function buildCues(segments, options = {}) {
+    const offset = options.offset || 0;
+    const maxChars = options.maxChars || 84;
+    const maxDuration = options.maxDuration || 6;
+    const cues = [];
+
+    for (const segment of segments) {
+        if (segment.start === null || segment.end === null || !segment.text) continue;
+        const speaker = segment.speaker || null;
+
+        if (!segment.words || segment.words.length === 0) {
+            cues.push({ start: segment.start + offset, end: segment.end + offset, text: segment.text, speaker });
+            continue;
+        }
+
+        const wordCues = [];
+        let current = null;
+        for (const word of segment.words) {
+            const wouldOverflow = current && (
+                current.text.length + 1 + word.word.length > maxChars ||
+                word.end - current.start > maxDuration
+            );
+            if (!current || wouldOverflow) {
+                if (current) wordCues.push(current);
+                current = { start: word.start, end: word.end, text: word.word };
+            } else {
+                current.end = word.end;
+                current.text += ` ${word.word}`;
+            }
+        }
+        if (current) wordCues.push(current);
+
+        wordCues.forEach(cue => cues.push({ start: cue.start + offset, end: cue.end + offset, text: cue.text, speaker }));
+    }
+
+    return cues
+        .map(({ start, end, text, speaker }) => ({ start, end: Math.max(end, start + 0.1), text, speaker }))
+        .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Renders cues as a SubRip document.
+ * @param {Array<object>} cues
+ * @returns {string}
+ */
+function toSrt(cues) {
+    return cues
+        .map((cue, index) => `${index + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.speaker ? `${cue.speaker}: ` : ''}${cue.text}\n`)
+        .join('\n');
+}
+
+/**
+ * Renders cues as a WebVTT document.
+ * @param {Array<object>} cues
+ * @returns {string}
+ */
+function toVtt(cues) {
+    const body = cues
+        .map(cue => `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${cue.speaker ? `<v ${cue.speaker}>` : ''}${cue.text}\n`)
+        .join('\n');
+    return `WEBVTT\n\n${body}`;
+}
+
+/**
+ * Writes `.srt` and `.vtt` files next to an audio file.
+ * @param {Array<object>} segments Timed transcript segments.
+ * @param {string} audioFilePath The mixed output file; captions share its base name.
+ * @param {object} [options={}] Options for buildCues (offset, maxChars, maxDuration).
+ * @returns {Promise<object|null>} `{ srt, vtt }` file paths, or null when there is nothing to caption.
+ */
+async function writeCaptions(segments, audioFilePath, options = {}) {
+    const cues = buildCues(segments || [], options);
+    if (cues.length === 0) {
+        return null;
+    }
+
+    const base = path.join(path.dirname(audioFilePath), path.basename(audioFilePath, path.extname(audioFilePath)));
+    const srtPath = `${base}.srt`;
+    const vttPath = `${base}.vtt`;
+    await fs.writeFile(srtPath, toSrt(cues));
+    await fs.writeFile(vttPath, toVtt(cues));
+    return { srt: srtPath, vtt: vttPath };
+}
+
+module.exports = { buildCues, toSrt, toVtt, writeCaptions, formatTimestamp };
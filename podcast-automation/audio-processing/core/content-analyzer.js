@@ -4,11 +4,11 @@
  * This class serves as the intelligence layer for automated audio selection and mixing.
  */
 
-const speech = require('@google-cloud/speech'); // For Speech-to-Text conversion
-const fs = require('fs').promises; // For file system operations
 const natural = require('natural'); // For Natural Language Processing (Sentiment, Tokenization)
 const path = require('path'); // For resolving file paths dynamically
 const VocalAnalyzer = require('../../optimization/algorithms/vocal-analyzer'); // NEW: Import VocalAnalyzer
+const { createTranscriptionProvider } = require('../transcription'); // Pluggable Speech-to-Text backends
+const { mapSegments } = require('../../core/voice-edits'); // Transcript timings onto repaired voice stems
 
 // Configure Natural.js Sentiment Analyzer
 // Using 'afinn' vocabulary for a simple sentiment score (typically -5 to +5 range)
@@ -17,51 +17,58 @@ const stemmer = natural.PorterStemmer; // Used for stemming words before sentime
 const sentimentAnalyzer = new Analyzer("English", stemmer, "afinn");
 
 class ContentAnalyzer {
-    constructor() {
-        this.speechClient = new speech.SpeechClient(); // Google Cloud Speech-to-Text client
+    /**
+     * @param {object} [config={}] Audio settings; `config.transcription` selects the Speech-to-Text provider
+     * (Google Cloud by default, or a local recognizer / sidecar transcript file for offline use).
+     */
+    constructor(config = {}) {
+        this.config = config;
+        this.transcriptionProvider = createTranscriptionProvider(config.transcription);
         
         // Dynamically load keyword configuration files
         this.locationKeywords = require(path.join(__dirname, '../config/location-keywords.json'));
         this.moodKeywords = require(path.join(__dirname, '../config/mood-keywords.json'));
         
-        this.vocalAnalyzer = new VocalAnalyzer(); // Initialize the VocalAnalyzer for frequency profiling
+        // Initialize the VocalAnalyzer for frequency profiling (frame size, overlap and workers from `config.vocalAnalysis`)
+        const vocalAnalysis = config.vocalAnalysis || {};
+        this.vocalAnalyzer = new VocalAnalyzer(44100, vocalAnalysis.fftSize || 2048, vocalAnalysis);
     }
 
     /**
      * Main analysis function: Takes an audio file and extracts comprehensive content information.
      * @param {string} audioFilePath Path to the ElevenLabs voice MP3 file.
+     * @param {object} [options={}] Analysis options.
+     * @param {AbortSignal} [options.signal] Cancels the FFmpeg-based vocal analysis when aborted.
+     * @param {Function} [options.onProgress] Called with `{ stage, percent }` for the 'probe', 'transcription' and 'vocal-fft' stages.
      * @returns {Promise<Object>} An object containing transcript, location, mood, sentiment, vocal profile, etc.
      */
-    async analyze(audioFilePath) {
+    async analyze(audioFilePath, options = {}) {
+        const report = (stage, percent) => {
+            if (options.onProgress) options.onProgress({ stage, percent });
+        };
         try {
             // 1. Get audio duration from the file (using ffprobe)
+            report('probe', 0);
             const duration = await this.getAudioDuration(audioFilePath);
+            report('probe', 100);
             
-            // 2. Convert speech to text using Google Speech-to-Text API
-            const transcript = await this.speechToText(audioFilePath);
+            // 2. Convert speech to text using the configured transcription provider
+            // Providers give no intermediate progress, so only start and end are reported
+            report('transcription', 0);
+            const { text: transcript, segments } = await this.speechToText(audioFilePath, options);
+            report('transcription', 100);
             
             // 3. Analyze vocal frequency profile using the VocalAnalyzer
-            const vocalProfile = await this.vocalAnalyzer.analyze(audioFilePath);
-            console.log('🗣️ Vocal profile analyzed:', vocalProfile);
+            report('vocal-fft', 0);
+            const vocalProfile = await this.vocalAnalyzer.analyze(audioFilePath, {
+                signal: options.signal,
+                onProgress: (percent) => report('vocal-fft', percent)
+            });
+            report('vocal-fft', 100);
+            this.logVocalProfile(vocalProfile);
 
             // 4. Extract key information and enrich the analysis object
-            const analysis = {
-                transcript: transcript,
-                location: this.extractLocation(transcript), // Basic keyword-based location
-                mood: this.extractMood(transcript),         // Basic keyword-based mood
-                intensity: null,                            // Will be refined based on sentiment
-                theme: this.extractTheme(transcript),       // Basic keyword-based theme
-                keywords: this.extractKeywords(transcript), // General keywords
-                duration: duration,
-                setting: this.extractSetting(transcript),   // Indoor/Outdoor, Day/Night inference
-                sentimentScore: this.getSentimentScore(transcript), // Numerical sentiment score
-                vocalProfile: vocalProfile                  // Detailed vocal frequency profile
-            };
-            
-            // Refine the mood and intensity based on the sentiment score for more nuance
-            this.refineMoodAndIntensity(analysis);
-
-            return analysis;
+            return this.buildAnalysis(transcript, this.timeSegments(segments, duration), duration, vocalProfile);
             
         } catch (error) {
             console.error('❌ Content analysis failed:', error);
@@ -72,32 +79,189 @@ class ContentAnalyzer {
     }
 
     /**
-     * Converts an audio file's speech content into text using Google Speech-to-Text API.
-     * @param {string} audioFilePath The path to the audio file (e.g., MP3 from ElevenLabs).
-     * @returns {Promise<string>} The transcribed text.
+     * Analyzes a multi-voice episode: each stem is probed, transcribed and profiled on its own, then the
+     * transcripts are merged in time order (shifted by each stem's offset) with speaker labels, and the
+     * location, mood, scene and keyword analysis runs over the combined transcript.
+     * @param {Array<object>} stems Stems from core/voice-stems.resolveStems (`filePath`, `speaker`, `offset`, `transcriptPath`,
+     * and `transcript` when the text is already known, which skips speech recognition for that stem), or repaired
+     * stems from VoiceRepair (`sourcePath` is transcribed, and `edits` move the transcript onto `filePath`).
+     * @param {object} [options={}] As for `analyze`; progress for each stage covers all stems.
+     * @returns {Promise<Object>} The analysis, with speaker-labelled segments, a combined vocal profile and
+     * `stems` (`{ speaker, offset, duration }` per stem, in input order).
      */
-    async speechToText(audioFilePath) {
-        const audioBytes = await fs.readFile(audioFilePath); // Read audio file as bytes
-        
-        const request = {
-            audio: { content: audioBytes.toString('base64') }, // Base64 encode the audio
-            config: {
-                encoding: 'MP3', // Specify the audio encoding (assuming ElevenLabs outputs MP3)
-                sampleRateHertz: 16000, // Common sample rate for voice; confirm ElevenLabs output SR
-                languageCode: 'en-US', // Language of the speech
-                enableAutomaticPunctuation: true, // Improve readability of transcript
-                model: 'latest_long' // Optimized model for longer audio and higher accuracy
+    async analyzeStems(stems, options = {}) {
+        const report = (stage, percent) => {
+            if (options.onProgress) options.onProgress({ stage, percent });
+        };
+        // Each stage's percent is spread across the stems in turn
+        const stemReport = (stage, index, percent) => report(stage, (index * 100 + percent) / stems.length);
+        try {
+            const perStem = [];
+            for (let index = 0; index < stems.length; index++) {
+                const stem = stems[index];
+                const duration = await this.getAudioDuration(stem.filePath);
+                stemReport('probe', index, 100);
+
+                if (stems.length > 1 && !stem.transcript) console.log(`🗒️ Transcribing ${stem.speaker}...`);
+                // Speech recognition hears the voice as recorded; a repaired stem's edits then move the timings onto it
+                const transcribed = stem.transcript || await this.speechToText(stem.sourcePath || stem.filePath, {
+                    ...options,
+                    transcriptPath: stem.transcriptPath || (stems.length === 1 ? options.transcriptPath : undefined)
+                });
+                const segments = stem.edits ? mapSegments(transcribed.segments, stem.edits) : transcribed.segments;
+                stemReport('transcription', index, 100);
+
+                const vocalProfile = await this.vocalAnalyzer.analyze(stem.filePath, {
+                    signal: options.signal,
+                    onProgress: (percent) => stemReport('vocal-fft', index, percent)
+                });
+                stemReport('vocal-fft', index, 100);
+
+                // Segment (and word) times move from the stem's own time to the voice track's
+                const shift = (item) => ({ ...item, start: item.start + stem.offset, end: item.end + stem.offset });
+                const timed = this.timeSegments(segments, duration).map(segment => ({
+                    ...shift(segment),
+                    ...(segment.words ? { words: segment.words.map(shift) } : {}),
+                    ...(stem.speaker ? { speaker: stem.speaker } : {})
+                }));
+                perStem.push({ stem, duration, segments: timed, vocalProfile });
             }
+
+            const duration = Math.max(...perStem.map(({ stem, duration: length }) => stem.offset + length));
+            const segments = perStem.flatMap(item => item.segments).sort((a, b) => a.start - b.start);
+            const transcript = segments.map(segment => segment.text).join(' ');
+            const vocalProfile = this.combineVocalProfiles(perStem.map(item => ({
+                profile: item.vocalProfile,
+                weight: item.duration,
+                offset: item.stem.offset
+            })));
+            this.logVocalProfile(vocalProfile);
+
+            const analysis = this.buildAnalysis(transcript, segments, duration, vocalProfile);
+            analysis.stems = perStem.map(({ stem, duration: length }) => ({ speaker: stem.speaker, offset: stem.offset, duration: length }));
+            return analysis;
+
+        } catch (error) {
+            console.error('❌ Content analysis failed:', error);
+            return this.getDefaultAnalysis(error);
+        }
+    }
+
+    /**
+     * Builds the analysis object from a timed transcript: location, mood, intensity, theme, keywords,
+     * setting, sentiment and scenes.
+     * @param {string} transcript Full transcript text.
+     * @param {Array<object>} segments Timed segments, sorted by start time.
+     * @param {number} duration Voice duration in seconds.
+     * @param {object} vocalProfile Result of VocalAnalyzer.analyze.
+     * @returns {Object} The analysis.
+     */
+    buildAnalysis(transcript, segments, duration, vocalProfile) {
+        const analysis = {
+            transcript: transcript,
+            segments: segments,                         // Timed phrases/words for captions and cues
+            location: this.extractLocation(transcript), // Basic keyword-based location
+            mood: this.extractMood(transcript),         // Basic keyword-based mood
+            intensity: null,                            // Will be refined based on sentiment
+            theme: this.extractTheme(transcript),       // Basic keyword-based theme
+            keywords: this.extractKeywords(transcript), // General keywords
+            duration: duration,
+            setting: this.extractSetting(transcript),   // Indoor/Outdoor, Day/Night inference
+            sentimentScore: this.getSentimentScore(transcript), // Numerical sentiment score
+            vocalProfile: vocalProfile                  // Detailed vocal frequency profile
         };
-        
-        // Send the recognition request to Google Cloud Speech-to-Text
-        const [response] = await this.speechClient.recognize(request);
-        // Concatenate all transcribed alternatives into a single string
-        const transcription = response.results
-            .map(result => result.alternatives[0].transcript)
-            .join('\n');
-            
-        return transcription;
+
+        // Refine the mood and intensity based on the sentiment score for more nuance
+        this.refineMoodAndIntensity(analysis);
+
+        // Split the timeline into scenes, each with its own location, mood and intensity
+        analysis.scenes = this.extractScenes(analysis.segments, duration, analysis);
+
+        return analysis;
+    }
+
+    /**
+     * Combines the vocal profiles of several stems into one, so background EQ carves room for all voices.
+     * Band energies are averaged by weight; the dominant frequency is the heaviest stem's, and the
+     * peak frequencies are the strongest across all stems. The time series moves to the voice track's
+     * time, and where stems overlap each second follows the voiced (then the louder) stem.
+     * @param {Array<object>} profiles `{ profile, weight, offset }` (weight: e.g. the stem's duration;
+     * offset: where the stem starts in the voice track, in seconds).
+     * @returns {Object} A vocal profile in VocalAnalyzer's format.
+     */
+    combineVocalProfiles(profiles) {
+        const seconds = new Map();
+        profiles.forEach(({ profile, offset = 0 }) => {
+            (profile.timeSeries || []).forEach(entry => {
+                const time = Math.floor(entry.time + offset);
+                const current = seconds.get(time);
+                if (!current || (entry.voiced && !current.voiced) ||
+                    (entry.voiced === current.voiced && entry.energyDb > current.energyDb)) {
+                    seconds.set(time, { ...entry, time });
+                }
+            });
+        });
+        const timeSeries = [...seconds.values()].sort((a, b) => a.time - b.time);
+        if (profiles.length === 1) return { ...profiles[0].profile, timeSeries };
+
+        const totalWeight = profiles.reduce((sum, { weight }) => sum + weight, 0) || 1;
+        const band = key => parseFloat((profiles.reduce((sum, { profile, weight }) =>
+            sum + ((profile.averageEnergyByBand && profile.averageEnergyByBand[key]) || 0) * weight, 0) / totalWeight).toFixed(4));
+        const heaviest = profiles.reduce((best, item) => item.weight > best.weight ? item : best);
+        return {
+            dominantFrequency: heaviest.profile.dominantFrequency,
+            averageEnergyByBand: { low: band('low'), mid: band('mid'), high: band('high') },
+            peakFrequencies: profiles
+                .flatMap(({ profile }) => profile.peakFrequencies || [])
+                .sort((a, b) => b.mag - a.mag)
+                .slice(0, 5),
+            timeSeries: timeSeries
+        };
+    }
+
+    /**
+     * Logs a vocal profile, summarizing its time series rather than printing every second.
+     * @param {Object} vocalProfile
+     */
+    logVocalProfile(vocalProfile) {
+        const { timeSeries = [], ...profile } = vocalProfile;
+        const voiced = timeSeries.filter(entry => entry.voiced).length;
+        console.log('🗣️ Vocal profile analyzed:', profile, `(${timeSeries.length}s time series, ${voiced}s voiced)`);
+    }
+
+    /**
+     * Converts an audio file's speech content into text using the configured transcription provider.
+     * @param {string} audioFilePath The path to the audio file (e.g., MP3 from ElevenLabs).
+     * @param {object} [options={}] Passed through to the provider (e.g., `signal`, `transcriptPath`).
+     * @returns {Promise<object>} The transcript `{ text, segments }`; segments carry start/end times in seconds.
+     */
+    async speechToText(audioFilePath, options = {}) {
+        console.log(`🗒️ Transcribing with the ${this.transcriptionProvider.name} provider...`);
+        return this.transcriptionProvider.transcribe(audioFilePath, options);
+    }
+
+    /**
+     * Ensures every transcript segment has start/end times.
+     * Untimed segments (plain-text transcripts) are spread across the audio in proportion
+     * to their word counts and flagged with `estimated: true`.
+     * @param {Array<object>} segments Segments from the transcription provider.
+     * @param {number} duration Audio duration in seconds.
+     * @returns {Array<object>} Segments sorted by start time.
+     */
+    timeSegments(segments = [], duration = 0) {
+        if (segments.every(segment => segment.start !== null && segment.end !== null)) {
+            return [...segments].sort((a, b) => a.start - b.start);
+        }
+
+        const wordCounts = segments.map(segment => Math.max(1, segment.text.split(/\s+/).filter(Boolean).length));
+        const totalWords = wordCounts.reduce((sum, count) => sum + count, 0);
+        let cursor = 0;
+        return segments.map((segment, index) => {
+            const length = totalWords > 0 ? duration * (wordCounts[index] / totalWords) : 0;
+            const timed = { ...segment, start: cursor, end: cursor + length, estimated: true };
+            cursor += length;
+            return timed;
+        });
     }
 
     /**
@@ -119,6 +283,113 @@ class ContentAnalyzer {
         return 'unknown'; // Default if no specific location is found
     }
 
+    /**
+     * Splits the timed transcript into scenes with their own location, mood and intensity.
+     * The transcript is cut into fixed windows; a new scene starts whenever a window's
+     * keywords point to a different location. Windows without location keywords stay in
+     * the current scene, and scenes shorter than `scenes.minSceneSeconds` are merged into
+     * their neighbour so beds don't flip back and forth.
+     * @param {Array<object>} segments Timed transcript segments.
+     * @param {number} duration Audio duration in seconds.
+     * @param {object} globalAnalysis Episode-wide analysis, used when a scene has no cues of its own.
+     * @returns {Array<object>} Scenes `{ start, end, location, mood, intensity, sentimentScore }`, covering 0..duration.
+     */
+    extractScenes(segments = [], duration = 0, globalAnalysis = {}) {
+        const sceneConfig = this.config.scenes || {};
+        const windowSeconds = sceneConfig.windowSeconds || 30;
+        const minSceneSeconds = sceneConfig.minSceneSeconds || 45;
+        const fallbackLocation = globalAnalysis.location || 'unknown';
+
+        // 1. Group segment text into fixed-length windows
+        const windows = [];
+        segments.forEach(segment => {
+            const index = Math.floor(segment.start / windowSeconds);
+            if (!windows[index]) {
+                windows[index] = { start: index * windowSeconds, text: '' };
+            }
+            windows[index].text += ` ${segment.text}`;
+        });
+
+        // 2. Start a new scene whenever a window names a different location
+        let scenes = [];
+        windows.filter(Boolean).forEach(window => {
+            const location = this.scoreLocation(window.text);
+            const current = scenes[scenes.length - 1];
+            if (!current) {
+                scenes.push({ start: 0, location: location, text: window.text });
+            } else if (location && current.location && location !== current.location) {
+                scenes.push({ start: window.start, location: location, text: window.text });
+            } else {
+                current.location = current.location || location;
+                current.text += window.text;
+            }
+        });
+        if (scenes.length === 0) {
+            scenes.push({ start: 0, location: fallbackLocation, text: '' });
+        }
+
+        // 3. Close each scene at the next one's start and the last at the episode end
+        scenes.forEach((scene, index) => {
+            scene.end = index < scenes.length - 1 ? scenes[index + 1].start : Math.max(duration, scene.start);
+            scene.location = scene.location || fallbackLocation;
+        });
+
+        // 4. Merge scenes that are too short (or repeat their predecessor's location) into the previous one
+        scenes = scenes.reduce((merged, scene) => {
+            const previous = merged[merged.length - 1];
+            if (previous && (scene.end - scene.start < minSceneSeconds || scene.location === previous.location)) {
+                previous.end = scene.end;
+                previous.text += scene.text;
+            } else {
+                merged.push(scene);
+            }
+            return merged;
+        }, []);
+        if (scenes.length > 1 && scenes[0].end - scenes[0].start < minSceneSeconds) {
+            // A short opening scene is folded forward into the second one
+            scenes[1].start = 0;
+            scenes[1].text = scenes[0].text + scenes[1].text;
+            scenes.shift();
+        }
+
+        // 5. Mood and intensity per scene, with the same sentiment refinement as the whole episode
+        return scenes.map(scene => {
+            const sceneAnalysis = {
+                mood: scene.text.trim() ? this.extractMood(scene.text) : globalAnalysis.mood,
+                sentimentScore: scene.text.trim() ? this.getSentimentScore(scene.text) : (globalAnalysis.sentimentScore || 0)
+            };
+            this.refineMoodAndIntensity(sceneAnalysis);
+            return {
+                start: scene.start,
+                end: scene.end,
+                location: scene.location,
+                mood: sceneAnalysis.mood,
+                intensity: sceneAnalysis.intensity,
+                sentimentScore: sceneAnalysis.sentimentScore
+            };
+        });
+    }
+
+    /**
+     * Scores every location by how many of its keywords occur in the text.
+     * Unlike extractLocation (first match wins), this picks the best-supported location.
+     * @param {string} text
+     * @returns {string|null} The highest-scoring location, or null when no keyword occurs.
+     */
+    scoreLocation(text) {
+        const lowered = text.toLowerCase();
+        let best = null;
+        let bestScore = 0;
+        for (const [location, keywords] of Object.entries(this.locationKeywords)) {
+            const score = keywords.filter(keyword => lowered.includes(keyword.toLowerCase())).length;
+            if (score > bestScore) {
+                best = location;
+                bestScore = score;
+            }
+        }
+        return best;
+    }
+
     /**
      * Extracts a primary mood from the transcript using predefined keywords.
      * This is a basic keyword matching approach, which will be refined by sentiment analysis.
@@ -274,8 +545,13 @@ class ContentAnalyzer {
      * @returns {Object} A default analysis object.
      */
     getDefaultAnalysis(error = null) {
-        console.warn(`Returning default analysis due to error: ${error ? error.message : 'Unknown error'}`);
+        if (error) {
+            console.warn(`Returning default analysis due to error: ${error.message}`);
+        }
         return {
+            transcript: '',
+            segments: [],
+            scenes: [],
             location: 'unknown',
             mood: 'mysterious',
             intensity: 'medium',
@@ -285,7 +561,7 @@ class ContentAnalyzer {
             duration: 0,
             sentimentScore: 0,
             // Ensure vocalProfile is also provided as a default if VocalAnalyzer failed or isn't initialized
-            vocalProfile: this.vocalAnalyzer ? this.vocalAnalyzer.getDefaultVocalProfile() : { dominantFrequency: 0, averageEnergyByBand: { low: 0, mid: 0, high: 0 }, peakFrequencies: [] }
+            vocalProfile: this.vocalAnalyzer ? this.vocalAnalyzer.getDefaultVocalProfile() : { dominantFrequency: 0, averageEnergyByBand: { low: 0, mid: 0, high: 0 }, peakFrequencies: [], timeSeries: [] }
         };
     }
 }
@@ -0,0 +1,129 @@
+/**
+ * Exporter for Lost Transmissions
+ * Renders several deliverables (MP3, AAC/M4A, Opus, FLAC, WAV...) from one unmastered mix,
+ * each mastered to its own export profile from config/export-profiles.json.
+ * Analysis and the mix graph run once; only mastering, encoding and tagging repeat per profile.
+ */
+
+const path = require('path');
+const Mastering = require('./mastering');
+const Tagger = require('../metadata/tagger');
+
+class Exporter {
+    /**
+     * @param {object} config Audio settings (audio-settings.json).
+     * @param {object} [exportProfiles] Profile definitions (defaults to config/export-profiles.json).
+     * @param {Mastering} [mastering] Mastering engine to use (defaults to one built from `config`).
+     * @param {Tagger} [tagger] Tag/chapter embedder.
+     */
+    constructor(config, exportProfiles = require(path.join(__dirname, '../../config/export-profiles.json')), mastering = new Mastering(config), tagger = new Tagger()) {
+        this.config = config;
+        this.exportProfiles = exportProfiles;
+        this.mastering = mastering;
+        this.tagger = tagger;
+    }
+
+    /**
+     * Looks up export profiles by name.
+     * @param {Array<string>} [names] Profile names; defaults to the `default` list in export-profiles.json.
+     * @returns {Array<object>} Profiles with their `name` attached, in the order given.
+     * @throws {Error} If a name is unknown or the list is empty.
+     */
+    resolveProfiles(names) {
+        const requested = names && names.length > 0 ? names : this.exportProfiles.default;
+        if (!requested || requested.length === 0) {
+            throw new Error('No export profiles requested.');
+        }
+        return [...new Set(requested)].map(name => {
+            const profile = this.exportProfiles.profiles[name];
+            if (!profile) {
+                throw new Error(`Unknown export profile "${name}". Available: ${Object.keys(this.exportProfiles.profiles).join(', ')}.`);
+            }
+            return { name, ...profile };
+        });
+    }
+
+    /**
+     * File path for a deliverable. The first (primary) profile keeps the episode's base name;
+     * the others add the profile name, e.g. `transmission-123.mp3` and `transmission-123.apple.m4a`.
+     * @param {string} outputPath The episode's output path (its extension is replaced).
+     * @param {object} profile Resolved profile.
+     * @param {boolean} isPrimary
+     * @returns {string}
+     */
+    deliverablePath(outputPath, profile, isPrimary) {
+        const base = path.join(path.dirname(outputPath), path.basename(outputPath, path.extname(outputPath)));
+        return isPrimary ? `${base}.${profile.extension}` : `${base}.${profile.name}.${profile.extension}`;
+    }
+
+    /**
+     * Masters and encodes every requested profile from one unmastered mix.
+     * Profiles sharing a loudness target reuse the same first-pass measurement.
+     * @param {string} premasterPath The unmastered mix.
+     * @param {string} outputPath The episode's output path; deliverable names derive from it.
+     * @param {Array<string>} [names] Profile names (see resolveProfiles).
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] Cancels the running encode.
+     * @param {Function} [options.onProgress] Called with a 0-100 percent across all deliverables.
+     * @param {object} [options.tagging] `{ metadata, chapters, coverArt }` to embed in every deliverable.
+     * @returns {Promise<Array<object>>} Deliverables `{ profile, label, path, codec, container, loudness, tagged }`,
+     * primary first.
+     */
+    async exportAll(premasterPath, outputPath, names, options = {}) {
+        const report = options.onProgress || (() => {});
+        const profiles = this.resolveProfiles(names);
+        const measurements = new Map(); // target key -> first-pass measurement
+        const deliverables = [];
+
+        for (let i = 0; i < profiles.length; i++) {
+            const profile = profiles[i];
+            const target = this.mastering.targetFor(profile);
+            const targetKey = `${target.integrated}|${target.truePeak}|${target.lra}`;
+            const filePath = this.deliverablePath(outputPath, profile, i === 0);
+
+            console.log(`📦 Exporting ${profile.name} (${profile.label}) → ${filePath}`);
+            const { loudness } = await this.mastering.master(premasterPath, filePath, {
+                profile,
+                measured: measurements.get(targetKey),
+                signal: options.signal,
+                onProgress: percent => report(((i + percent / 100) / profiles.length) * 100)
+            });
+            measurements.set(targetKey, loudness.before);
+            const tagged = options.tagging ? await this._tag(filePath, profile, options.tagging, options.signal) : null;
+
+            deliverables.push({
+                profile: profile.name,
+                label: profile.label,
+                path: filePath,
+                codec: profile.codec,
+                container: profile.container,
+                loudness: loudness,
+                tagged: tagged // What the tagger embedded, or null
+            });
+        }
+
+        return deliverables;
+    }
+
+    /**
+     * Embeds tags, cover art and chapters. Failures are logged but never fail the export.
+     * @param {string} filePath
+     * @param {object} profile
+     * @param {object} tagging `{ metadata, chapters, coverArt }`.
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<object|null>}
+     */
+    async _tag(filePath, profile, tagging, signal) {
+        try {
+            const tagged = await this.tagger.tag(filePath, { container: profile.container, ...tagging, signal });
+            console.log(`🏷️ Tagged ${profile.name}: ${tagged.chapters} chapter(s)${tagged.coverArt ? ', cover art' : ''}`);
+            return tagged;
+        } catch (err) {
+            if (signal && signal.aborted) throw err;
+            console.warn(`⚠️ Could not tag ${filePath}: ${err.message}`);
+            return null;
+        }
+    }
+}
+
+module.exports = Exporter;
@@ -0,0 +1,227 @@
+/**
+ * Mastering for Lost Transmissions
+ * Two-pass EBU R128 loudness normalization with FFmpeg's `loudnorm` filter:
+ *   1. Measure the unmastered mix (integrated loudness, LRA, true peak, threshold).
+ *   2. Re-render with the measured values in linear mode, then limit and encode.
+ *   3. Measure the encoded output so every episode ships with proof it meets the loudness spec.
+ * The loudness target and delivery encoding come from an export profile (config/export-profiles.json);
+ * without one, the `processing` settings in audio-settings.json are used.
+ */
+
+const ffmpeg = require('fluent-ffmpeg');
+const path = require('path');
+
+class Mastering {
+    /**
+     * @param {object} [config] Audio settings (defaults to config/audio-settings.json).
+     */
+    constructor(config = require(path.join(__dirname, '../../config/audio-settings.json'))) {
+        this.config = config;
+    }
+
+    /**
+     * Encoding settings equivalent to the legacy `processing` config (MP3 at processing.bitRate).
+     * @returns {object} An export profile.
+     */
+    get defaultProfile() {
+        const processing = this.config.processing;
+        return {
+            label: 'Default',
+            codec: 'libmp3lame',
+            container: processing.format,
+            extension: processing.format,
+            bitRate: processing.bitRate,
+            sampleRate: processing.sampleRate,
+            channels: processing.channels
+        };
+    }
+
+    /**
+     * Target loudness values for a profile, falling back to config.
+     * @param {object} [profile={}] Export profile.
+     * @returns {object} `{ integrated, truePeak, lra, tolerance }`.
+     */
+    targetFor(profile = {}) {
+        const pick = (value, fallback) => (value !== undefined && value !== null ? value : fallback);
+        return {
+            integrated: pick(profile.targetLufs, this.config.processing.targetLufs),
+            truePeak: pick(profile.truePeakDb, this.config.processing.truePeakDb),
+            lra: pick(profile.loudnessRange, this.config.mastering.loudnessRange || 7),
+            tolerance: pick(profile.lufsTolerance, this.config.processing.lufsTolerance || 1.0)
+        };
+    }
+
+    /**
+     * Masters an unmastered mix into one deliverable.
+     * @param {string} inputPath The unmastered mix (e.g., the WAV written by TransmissionMixer.mixLayers).
+     * @param {string} outputPath Where to write the mastered, encoded file.
+     * @param {object} [options]
+     * @param {object} [options.profile] Export profile (codec, container, bitRate, sampleRate, channels, targetLufs...).
+     * @param {object} [options.measured] First-pass measurement of the input for this profile's target, to skip pass 1.
+     * @param {AbortSignal} [options.signal] Kills the running FFmpeg process when aborted.
+     * @param {Function} [options.onProgress] Called with a 0-100 percent for the whole mastering stage.
+     * @returns {Promise<object>} `{ outputPath, loudness }` where loudness is
+     * `{ before, after, target, normalizationType, withinTolerance }`.
+     */
+    async master(inputPath, outputPath, options = {}) {
+        const report = options.onProgress || (() => {});
+        const profile = options.profile || this.defaultProfile;
+        const target = this.targetFor(profile);
+
+        // Pass 1: measure the mix
+        report(0);
+        const before = options.measured || await this.measure(inputPath, { target, signal: options.signal });
+        console.log(`📏 Pre-master loudness: ${before.integrated} LUFS, LRA ${before.lra} LU, TP ${before.truePeak} dBTP`);
+
+        // Pass 2: apply linear normalization from the measured values, limit and encode
+        report(30);
+        const rendered = await this._render(inputPath, outputPath, before, {
+            profile,
+            target,
+            signal: options.signal,
+            onProgress: percent => report(30 + percent * 0.6)
+        });
+
+        // Verify the encoded result against the spec
+        report(90);
+        const after = await this.measure(outputPath, { target, signal: options.signal });
+        const withinTolerance = Math.abs(after.integrated - target.integrated) <= target.tolerance &&
+            after.truePeak <= target.truePeak + 0.1; // Allow for rounding in loudnorm's report
+        report(100);
+
+        console.log(`${withinTolerance ? '✅' : '⚠️'} Mastered loudness: ${after.integrated} LUFS (target ${target.integrated} ±${target.tolerance}), TP ${after.truePeak} dBTP`);
+        if (rendered.normalizationType && rendered.normalizationType !== 'linear') {
+            console.warn(`⚠️ loudnorm fell back to ${rendered.normalizationType} normalization (the mix needed more gain than the true-peak ceiling allows).`);
+        }
+
+        return {
+            outputPath: outputPath,
+            loudness: {
+                before: before,
+                after: after,
+                target: target,
+                normalizationType: rendered.normalizationType,
+                withinTolerance: withinTolerance
+            }
+        };
+    }
+
+    /**
+     * Measures a file's loudness with a loudnorm analysis pass (no output is written).
+     * @param {string} filePath
+     * @param {object} [options]
+     * @param {object} [options.target] Loudness target from `targetFor` (affects only `targetOffset`).
+     * @param {AbortSignal} [options.signal]
+     * @returns {Promise<object>} `{ integrated, lra, truePeak, threshold, targetOffset }` (LUFS / LU / dBTP).
+     */
+    async measure(filePath, options = {}) {
+        const target = options.target || this.targetFor();
+        const command = ffmpeg(filePath)
+            .audioFilters(`loudnorm=I=${target.integrated}:TP=${target.truePeak}:LRA=${target.lra}:print_format=json`)
+            .format('null')
+            .output('-');
+
+        const stderr = await this._run(command, options.signal);
+        const stats = this._parseLoudnormJson(stderr);
+        return {
+            integrated: Number(stats.input_i),
+            lra: Number(stats.input_lra),
+            truePeak: Number(stats.input_tp),
+            threshold: Number(stats.input_thresh),
+            targetOffset: Number(stats.target_offset)
+        };
+    }
+
+    /**
+     * Second pass: linear loudnorm with measured values, final limiter and the profile's delivery encoding.
+     * @param {string} inputPath
+     * @param {string} outputPath
+     * @param {object} measured Result of `measure` on the input.
+     * @param {object} options `{ profile, target, signal, onProgress(percent) }`.
+     * @returns {Promise<object>} `{ normalizationType }` as reported by loudnorm ('linear' or 'dynamic').
+     */
+    async _render(inputPath, outputPath, measured, options) {
+        const { profile, target } = options;
+        const masteringConfig = this.config.mastering;
+        const filters = [];
+
+        if (masteringConfig.normalizeLoudness && target.integrated) {
+            filters.push(`loudnorm=I=${target.integrated}:TP=${target.truePeak}:LRA=${target.lra}` +
+                `:measured_I=${measured.integrated}:measured_LRA=${measured.lra}` +
+                `:measured_TP=${measured.truePeak}:measured_thresh=${measured.threshold}` +
+                `:offset=${measured.targetOffset}:linear=true:print_format=json`);
+        }
+
+        if (masteringConfig.limiterThreshold && masteringConfig.limiterAttack && masteringConfig.limiterRelease) {
+            // Final limiter to catch any peaks and adhere to true peak limits
+            const limit = Math.pow(10, masteringConfig.limiterThreshold / 20);
+            filters.push(`alimiter=level_in=1:level_out=${limit}:limit=${limit}:attack=${masteringConfig.limiterAttack}:release=${masteringConfig.limiterRelease}`);
+        }
+
+        let command = ffmpeg(inputPath);
+        if (filters.length > 0) command = command.audioFilters(filters.join(','));
+        command = command
+            .audioCodec(profile.codec)
+            .audioChannels(profile.channels)
+            .audioFrequency(profile.sampleRate) // loudnorm upsamples internally, so always set the output rate
+            .format(profile.container);
+        if (profile.bitRate) command = command.audioBitrate(profile.bitRate); // Lossless codecs have none
+        if (profile.sampleFormat) command = command.outputOption(`-sample_fmt ${profile.sampleFormat}`);
+        command = command.output(outputPath);
+
+        const stderr = await this._run(command, options.signal, options.onProgress);
+        if (!filters.length || !masteringConfig.normalizeLoudness) {
+            return { normalizationType: null };
+        }
+        return { normalizationType: this._parseLoudnormJson(stderr).normalization_type || null };
+    }
+
+    /**
+     * Runs a prepared fluent-ffmpeg command, killing it when the signal aborts.
+     * @param {object} command A fluent-ffmpeg command with its output set.
+     * @param {AbortSignal} [signal]
+     * @param {Function} [onProgress] Called with FFmpeg's percent complete.
+     * @returns {Promise<string>} FFmpeg's stderr output.
+     */
+    _run(command, signal, onProgress) {
+        return new Promise((resolve, reject) => {
+            if (signal) {
+                if (signal.aborted) {
+                    return reject(new Error('Processing cancelled.'));
+                }
+                const onAbort = () => command.kill('SIGKILL');
+                signal.addEventListener('abort', onAbort, { once: true });
+                command.on('end', () => signal.removeEventListener('abort', onAbort));
+                command.on('error', () => signal.removeEventListener('abort', onAbort));
+            }
+
+            command
+                .on('progress', (progress) => {
+                    if (onProgress && progress.percent) onProgress(progress.percent);
+                })
+                .on('end', (stdout, stderr) => resolve(stderr || ''))
+                .on('error', (err, stdout, stderr) => {
+                    console.error('❌ FFmpeg mastering error:', err.message);
+                    console.error('FFmpeg stderr:', stderr);
+                    reject(err);
+                })
+                .run();
+        });
+    }
+
+    /**
+     * Extracts loudnorm's JSON report (the last `{...}` block) from FFmpeg's stderr.
+     * @param {string} stderr
+     * @returns {object} The parsed report, with all values as strings.
+     */
+    _parseLoudnormJson(stderr) {
+        const start = stderr.lastIndexOf('{');
+        const end = stderr.lastIndexOf('}');
+        if (start === -1 || end < start) {
+            throw new Error('loudnorm did not report loudness statistics.');
+        }
+        return JSON.parse(stderr.slice(start, end + 1));
+    }
+}
+
+module.exports = Mastering;
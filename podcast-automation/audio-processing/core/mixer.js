@@ -8,54 +8,165 @@
 const ffmpeg = require('fluent-ffmpeg'); // FFmpeg wrapper
 const fs = require('fs').promises;     // File system promises for async operations
 const path = require('path');           // Path utility for file paths
+const crypto = require('crypto');       // Content hashing for episode IDs and default seeds
 
 const ContentAnalyzer = require('./content-analyzer'); // Imports our enhanced Content Analyzer
-const LayerManager = require('./layer-manager');       // Imports Layer Manager (Claude's responsibility)
+const LayerManager = require('../../core/layer-manager'); // Imports Layer Manager (Claude's responsibility)
 const EQCalculator = require('../../optimization/algorithms/eq-calculator'); // Imports our Intelligent EQ Calculator
+const Exporter = require('./exporter');               // Two-pass mastering and encoding per export profile
+const TransmissionCharacter = require('./transmission-character'); // Radio-style processing and dropouts on the voice
+const VoiceGenerator = require('./voice-generator');   // Script-first workflow: TTS voice stems from a script
+const VoiceActivityDetector = require('./voice-activity'); // Where the voice is speaking, for ducking
+const VoiceRepair = require('./voice-repair');         // De-click, de-ess, breath and silence control before mixing
+const QualityCheck = require('./quality-check');       // Post-render QC report against the `qc` thresholds
+const { parseScript } = require('../script/script-parser');
+const { buildChapters, writePodcastChapters } = require('../metadata/chapters'); // Intro/scene/outro chapters
+const { writeCaptions } = require('../captions/caption-writer'); // SRT/WebVTT export from timed transcript segments
+const episodeManifest = require('../../core/episode-manifest'); // Manual overrides and reproducible project files
+const SeededRandom = require('../../core/seeded-random');       // Reproducible library selection
+const SelectionHistory = require('../../core/selection-history'); // Rotates assets across recent episodes
+const { programLength, voiceStart } = require('../../core/timeline'); // True episode length from the layer timeline
+const { resolveStems } = require('../../core/voice-stems');          // One voice file or several speaker stems
+const { duckProfile, duckEnvelope } = require('../../core/ducking');  // Per-layer-type ducking envelopes
+const { hashFile } = require('../../core/file-hash');            // Streaming SHA-256 of the voice files
+const LibraryStore = require('../../core/library-store');         // Library mappings, re-read when they change
 
 class TransmissionMixer {
     constructor() {
         // Load configuration settings for mixing parameters, processing, and effects
-        this.config = require('../config/audio-settings.json');
-        // Load library mappings for selecting audio assets based on analysis
-        this.libraryMappings = require('../config/library-mappings.json');
+        this.config = require(path.join(__dirname, '../../config/audio-settings.json'));
+        // Library mappings for selecting audio assets based on analysis; reloaded per render (see processTransmission)
+        this.libraryStore = new LibraryStore();
+        this.libraryMappings = null;
+        // Show-level details embedded in every episode's tags (artist, show name, cover art)
+        this.showConfig = require(path.join(__dirname, '../../config/show.json'));
         
         // Initialize core components
-        this.contentAnalyzer = new ContentAnalyzer();
+        this.contentAnalyzer = new ContentAnalyzer(this.config);
         this.layerManager = new LayerManager(); // Placeholder for Claude's implementation
-        this.eqCalculator = new EQCalculator(this.config.processing.sampleRate); // Initialize EQCalculator with sample rate
+        this.selectionHistory = new SelectionHistory();
+        this.exporter = new Exporter(this.config);
+        this.transmission = new TransmissionCharacter(this.config);
+        this.voiceGenerator = new VoiceGenerator(this.config);
+        this.voiceActivity = new VoiceActivityDetector(this.config);
+        this.voiceRepair = new VoiceRepair(this.config);
+        this.qualityCheck = new QualityCheck(this.config);
+        this.eqCalculator = new EQCalculator(this.config.processing.sampleRate, this.config.dynamicEQ); // Static and voice-following EQ
     }
 
     /**
-     * Main processing function: Takes a raw ElevenLabs voice file and
+     * Main processing function: Takes a raw ElevenLabs voice file (or several voice stems) and
      * transforms it into a fully produced podcast episode.
-     * @param {string} voiceFilePath Path to the raw ElevenLabs voice MP3/WAV file.
-     * @param {object} options Optional settings for processing (e.g., outputPath).
-     * @returns {Promise<object>} An object indicating success, output path, analysis, and metadata.
+     * @param {string|Array<string|object>} voiceInput Path to the raw ElevenLabs voice MP3/WAV file, or a list of
+     * voice stems `{ filePath, speaker, volume, pan, eq, transmission, offset, transcriptPath }` for multi-voice
+     * episodes (see core/voice-stems.js). Each stem is mixed with its own settings and ducks the backgrounds.
+     * @param {object} options Optional settings for processing (e.g., outputPath, transcriptPath).
+     * @param {string|object} [options.manifest] Episode manifest (path to JSON/YAML, or an object) that pins
+     * location, mood, files, cues, levels and toggles; see core/episode-manifest.js.
+     * @param {string|number} [options.seed] Seed for library selection. Defaults to the manifest's seed, then to a
+     * hash of the voice file(s), so re-rendering the same input picks the same assets.
+     * @param {Array<string>} [options.profiles] Export profile names (config/export-profiles.json); the first is the
+     * primary output. Defaults to the profiles' `default` list.
+     * @param {object} [options.transmission] Radio character `{ preset, intensity }` (config/transmission-presets.json);
+     * overrides the manifest's. Without an intensity, it follows the analyzed intensity. A stem's own `transmission` wins.
+     * @param {string} [options.title] Episode title for the tags; defaults to one built from location and mood.
+     * @param {number} [options.episodeNumber] Episode number for the track/episode tags.
+     * @param {string} [options.recordingDate] Recording date (YYYY-MM-DD); defaults to today.
+     * @param {string} [options.coverArt] Cover image path; defaults to the show's cover art.
+     * @param {AbortSignal} [options.signal] Aborting this signal cancels processing and kills any running FFmpeg process.
+     * @param {Function} [options.onStatus] Called with 'analyzing' or 'mixing' as the pipeline moves between stages.
+     * @param {Function} [options.onProgress] Called with `{ stage, percent }` for each stage in TransmissionMixer.STAGES.
+     * @returns {Promise<object>} An object indicating success, output path, analysis, metadata, all
+     * `deliverables`, the primary deliverable's measured `loudness` report and its `qc` report.
      */
-    async processTransmission(voiceFilePath, options = {}) {
+    async processTransmission(voiceInput, options = {}) {
+        const { signal, onStatus } = options;
+        const report = this._progressReporter(options.onProgress);
+        // Deliverables take their extension from their export profile
+        const outputPath = options.outputPath ||
+            path.join(__dirname, '../output', `transmission-${Date.now()}.${this.config.processing.format}`);
+        // Unmastered mix; the exporter masters it into each deliverable
+        const premasterPath = path.join(path.dirname(outputPath), `${path.basename(outputPath, path.extname(outputPath))}.premaster.wav`);
+        let repairedFiles = []; // Repaired voice stems, removed with the premaster
         try {
             console.log('🎙️ Starting Lost Transmission processing...');
+            report('tts', 100); // The voice is supplied (or was already generated by processScript)
+            this.exporter.resolveProfiles(options.profiles); // Fail on unknown profiles before any work is done
+            const manifest = options.manifest ? await episodeManifest.loadManifest(options.manifest) : null;
+            if (manifest) console.log('📝 Using episode manifest overrides.');
+            const stems = resolveStems(voiceInput, manifest);
+            if (stems.length > 1) console.log(`🎤 ${stems.length} voice stems:`, stems.map(stem => stem.speaker).join(', '));
+            if (onStatus) onStatus('analyzing');
+
+            // 0. Repair the voice (clicks, sibilance, breaths, silence); the analysis and mix use the repaired
+            // stems, and transcripts are moved through each stem's edits so captions and cues stay aligned
+            report('repair', 0);
+            const repair = await this.voiceRepair.repairStems(stems, {
+                outputBase: path.join(path.dirname(outputPath), `${path.basename(outputPath, path.extname(outputPath))}.repaired`),
+                signal,
+                onProgress: percent => report('repair', percent)
+            });
+            repairedFiles = repair.files;
+            this._throwIfCancelled(signal);
             
             // 1. Analyze voice content for location, mood, sentiment, and vocal frequency profile
-            const analysis = await this.contentAnalyzer.analyze(voiceFilePath);
+            // (a manifest with autoAnalysis: false replaces this with its own pinned values).
+            // Stems are transcribed one by one and analyzed as one speaker-labelled transcript.
+            const analysis = manifest && !manifest.autoAnalysis
+                ? await this._manualAnalysis(repair.stems, report)
+                : await this.contentAnalyzer.analyzeStems(repair.stems, {
+                    signal,
+                    transcriptPath: options.transcriptPath, // Explicit transcript file for the sidecar provider
+                    onProgress: ({ stage, percent }) => report(stage, percent)
+                });
+            // ContentAnalyzer falls back to a default analysis on errors, so check for cancellation explicitly
+            this._throwIfCancelled(signal);
+            if (manifest) episodeManifest.applyManifestToAnalysis(analysis, manifest);
             console.log('📊 Content analysis completed.');
             console.log('   Location:', analysis.location, 'Mood:', analysis.mood, 'Sentiment:', analysis.sentimentScore);
             console.log('   Dominant Vocal Freq:', analysis.vocalProfile?.dominantFrequency.toFixed(2) + 'Hz');
             
+            // The voice files' content hash identifies the episode in the selection history
+            const episodeId = await this._hashStems(stems);
+            const seed = options.seed !== undefined ? String(options.seed)
+                : (manifest && manifest.seed !== null ? manifest.seed : episodeId);
+            const recentAssets = await this.selectionHistory.recentAssets(episodeId);
+
+            // Radio character for each voice; dropouts come from their own seeded streams so they don't shift library picks
+            const voices = repair.stems.map((stem, index) => {
+                const character = this.transmission.resolve({
+                    ...(manifest && manifest.transmission),
+                    ...options.transmission,
+                    ...stem.transmission,
+                    analysisIntensity: analysis.intensity
+                });
+                const stemDuration = analysis.stems && analysis.stems[index] ? analysis.stems[index].duration : (analysis.duration || 0);
+                const random = new SeededRandom(index === 0 ? `${seed}:dropouts` : `${seed}:dropouts:${index}`);
+                const dropouts = this.transmission.planDropouts(character, stemDuration, random);
+                console.log(`📻 Transmission character${stem.speaker ? ` for ${stem.speaker}` : ''}: ${character.label} at ${Math.round(character.intensity * 100)}%, ${dropouts.length} dropout(s).`);
+                return { ...stem, character, dropouts };
+            });
+
             // 2. Select appropriate audio libraries based on content analysis
             // NOTE: This relies on LayerManager to map analysis results to actual file paths.
+            // Mappings are read fresh so library uploads and retags apply without a server restart.
+            this.libraryMappings = await this.libraryStore.getMappings();
             const audioLibrariesSelection = this.selectAudioLibraries(analysis); 
+            if (manifest) episodeManifest.applyManifestToLibraries(audioLibrariesSelection, manifest);
             console.log('🎵 Selected audio libraries for LayerManager:', audioLibrariesSelection);
             
             // 3. Create structured audio layers (voice, ambience, music, effects, structural)
             // LayerManager (Claude's task) will take analysis and selections to provide actual file paths and durations.
             // For testing, ensure LayerManager provides a valid 'layers' array with 'filePath', 'type', 'duration'.
+            report('layers', 0);
             const layers = await this.layerManager.createLayers({
-                voice: voiceFilePath,
+                voices: voices, // One voice layer per stem, with its character and dropouts
                 libraries: audioLibrariesSelection, // Used by LayerManager to find specific files
-                analysis: analysis // Full analysis can inform LayerManager's choices
+                analysis: analysis, // Full analysis can inform LayerManager's choices
+                manifest: manifest, // Manual cues and the autoCues toggle
+                selection: { random: new SeededRandom(seed), recentAssets: recentAssets }
             });
+            if (manifest) episodeManifest.applyLayerOverrides(layers, manifest);
             console.log('🎚️ Audio layers created:', layers.map(l => l.type));
 
             // Ensure durations are available for all layers (especially for fading)
@@ -76,22 +187,301 @@ class TransmissionMixer {
                     }
                 }
             }
+
+            // Map where the voice speaks; it keys each background layer's ducking envelope
+            const ducking = manifest && manifest.ducking !== null ? manifest.ducking : this.config.ducking.enabled;
+            const voiceActivity = ducking
+                ? await this.voiceActivity.detect(layers.filter(layer => layer.type === 'voice'), { signal })
+                : null;
+            report('layers', 100);
             
             // 4. Mix all layers together using FFmpeg with intelligent processing
             // Pass the full analysis object to buildFilterComplex for intelligent EQ
-            const outputPath = await this.mixLayers(layers, { ...options, vocalAnalysis: analysis });
-            console.log('✅ Transmission complete:', outputPath);
+            this._throwIfCancelled(signal);
+            if (onStatus) onStatus('mixing');
+            await this.mixLayers(layers, { ...options, outputPath: premasterPath, vocalAnalysis: analysis, ducking, voiceActivity, onProgress: report });
+
+            // 4b. Master and encode each deliverable: measure the mix, normalize to the profile's
+            // loudness target in linear mode, limit, encode, then embed tags, cover art and chapters
+            this._throwIfCancelled(signal);
+            const assets = this._collectAssets(layers);
+            const chapters = buildChapters(analysis, layers);
+            const metadata = this.generateMetadata(analysis, {
+                duration: programLength(layers),
+                transmission: {
+                    preset: voices[0].character.preset,
+                    intensity: voices[0].character.intensity,
+                    dropouts: voices.reduce((count, voice) => count + voice.dropouts.length, 0)
+                },
+                speakers: this._speakerSummary(voices, analysis),
+                title: options.title,
+                seed,
+                assets,
+                chapters,
+                episodeNumber: options.episodeNumber,
+                recordingDate: options.recordingDate
+            });
+            const deliverables = await this.exporter.exportAll(premasterPath, outputPath, options.profiles, {
+                signal,
+                onProgress: percent => report('master', percent),
+                tagging: {
+                    metadata,
+                    chapters,
+                    coverArt: options.coverArt || (this.showConfig.coverArt && path.join(__dirname, '..', '..', this.showConfig.coverArt))
+                }
+            });
+            const primary = deliverables[0];
+            console.log('✅ Transmission complete:', deliverables.map(d => d.path).join(', '));
+
+            // 4c. Check the primary deliverable against the QC thresholds
+            let qc = null;
+            if (this.qualityCheck.enabled) {
+                report('qc', 0);
+                const voiceLayers = layers.filter(layer => layer.type === 'voice');
+                qc = await this.qualityCheck.check(primary.path, {
+                    loudness: primary.loudness,
+                    layers,
+                    voiceActivity: voiceActivity || await this.voiceActivity.detect(voiceLayers, { signal }),
+                    signal,
+                    onProgress: percent => report('qc', percent)
+                });
+            }
+            report('qc', 100);
+
+            try {
+                await this.selectionHistory.record({ episodeId, seed, assets });
+            } catch (err) {
+                console.warn(`⚠️ Could not update selection history: ${err.message}`);
+            }
+
+            // 5. Write captions and Podcasting 2.0 chapters next to the output, shifted to where the
+            // voice lands on the final timeline
+            const captions = await this.writeEpisodeCaptions(analysis, layers, primary.path);
+            let chaptersPath = null;
+            try {
+                chaptersPath = await writePodcastChapters(chapters, primary.path);
+            } catch (err) {
+                console.warn(`⚠️ Could not write chapters: ${err.message}`);
+            }
+
+            // 6. Write the resolved project manifest so this render can be reproduced or hand-edited
+            const manifestPath = await episodeManifest.writeManifest(episodeManifest.resolveManifest({
+                analysis,
+                layers,
+                ducking,
+                seed,
+                toLibraryPath: (filePath) => this.layerManager.toLibraryPath(filePath)
+            }), primary.path);
+            console.log('📝 Project manifest written:', manifestPath);
             
             return {
                 success: true,
-                outputPath: outputPath,
+                outputPath: primary.path, // Primary deliverable
+                deliverables: deliverables, // Every exported profile: { profile, label, path, codec, container, loudness }
+                captions: captions, // { srt, vtt } paths, or null when no timed transcript is available
+                chaptersPath: chaptersPath, // Podcasting 2.0 chapters JSON, or null
+                manifestPath: manifestPath, // Resolved episode manifest for re-rendering
+                loudness: primary.loudness, // Measured before/after loudness and whether the target was met
+                qc: qc, // Quality check { status: 'pass'|'warn'|'fail', checks }, or null when it was off or couldn't run
                 analysis: analysis, // Return the full analysis for show notes, metadata etc.
-                metadata: this.generateMetadata(analysis) // Generate podcast-specific metadata
+                metadata: metadata // Podcast-specific metadata (also embedded in each deliverable's tags)
             };
             
         } catch (error) {
+            if (signal && signal.aborted) {
+                console.log('🛑 Transmission processing cancelled.');
+                return { success: false, cancelled: true, error: 'Processing cancelled.' };
+            }
             console.error('❌ Transmission processing failed:', error);
             return { success: false, error: error.message };
+        } finally {
+            await Promise.all([premasterPath, ...repairedFiles].map(file => fs.unlink(file).catch(() => {})));
+        }
+    }
+
+    /**
+     * Script-first entry point: renders the voice from a script with the configured TTS provider, then
+     * produces the episode with processTransmission. The script text is used as the transcript (no speech
+     * recognition), labelled speakers become voice stems, the first `# heading` titles the episode and
+     * scene annotations pin the scenes unless the manifest already does.
+     * @param {string|object} script Path to a plain-text or Markdown script, or `{ text }` (see script/script-parser.js).
+     * @param {object} [options={}] As for processTransmission. The generated stems are kept next to the output
+     * as `<name>.voice.wav` (or `<name>.voice-<speaker>.wav`), so the episode can be re-rendered without new TTS calls.
+     * @returns {Promise<object>} processTransmission's result, plus `voiceFiles` and `script` (`{ title, speakers, scenes }`).
+     */
+    async processScript(script, options = {}) {
+        const { signal, onStatus } = options;
+        const report = this._progressReporter(options.onProgress);
+        const outputPath = options.outputPath ||
+            path.join(__dirname, '../output', `transmission-${Date.now()}.${this.config.processing.format}`);
+        try {
+            console.log('📜 Starting script-first processing...');
+            const text = typeof script === 'string' ? await fs.readFile(script, 'utf8') : script.text;
+            // Speakers with manifest settings also count as plain "Name:" labels
+            const knownSpeakers = options.manifest ? Object.keys((await episodeManifest.loadManifest(options.manifest)).voices) : [];
+            const parsed = parseScript(text, { speakers: knownSpeakers });
+            console.log(`📜 Script: ${parsed.lines.length} line(s), ${parsed.speakers.length} speaker(s), ${parsed.scenes.length} scene(s).`);
+
+            // 0. Generate the voice stems
+            if (onStatus) onStatus('generating');
+            report('tts', 0);
+            const generated = await this.voiceGenerator.generate(parsed, {
+                outputBase: path.join(path.dirname(outputPath), `${path.basename(outputPath, path.extname(outputPath))}.voice`),
+                signal,
+                onProgress: percent => report('tts', percent)
+            });
+            this._throwIfCancelled(signal);
+
+            // Annotated scenes pin the beds; a single scene pins the episode's location and mood instead
+            let manifest = options.manifest;
+            if (generated.scenes.length > 0) {
+                manifest = await episodeManifest.loadManifest(options.manifest || {});
+                if (!manifest.scenes && generated.scenes.length > 1) {
+                    manifest.scenes = generated.scenes;
+                } else if (!manifest.scenes) {
+                    manifest.location = manifest.location || generated.scenes[0].location;
+                    manifest.mood = manifest.mood || generated.scenes[0].mood || null;
+                }
+            }
+
+            const result = await this.processTransmission(generated.voices, {
+                ...options,
+                outputPath,
+                manifest,
+                title: options.title || parsed.title || undefined
+            });
+            return {
+                ...result,
+                voiceFiles: generated.voices.map(voice => voice.filePath),
+                script: { title: parsed.title, speakers: parsed.speakers, scenes: generated.scenes }
+            };
+        } catch (error) {
+            if (signal && signal.aborted) {
+                console.log('🛑 Transmission processing cancelled.');
+                return { success: false, cancelled: true, error: 'Processing cancelled.' };
+            }
+            console.error('❌ Script processing failed:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Builds an analysis without transcription or vocal analysis, for manifests with `autoAnalysis: false`.
+     * Only the stem durations are probed; location, mood and scenes come from the manifest.
+     * @param {Array<object>} stems Voice stems.
+     * @param {Function} report `(stage, percent)` progress reporter.
+     * @returns {Promise<object>} A default analysis with the real duration and `stems`.
+     */
+    async _manualAnalysis(stems, report) {
+        report('probe', 0);
+        const stemInfo = [];
+        for (const stem of stems) {
+            const duration = await this.contentAnalyzer.getAudioDuration(stem.filePath);
+            stemInfo.push({ speaker: stem.speaker, offset: stem.offset, duration: duration });
+        }
+        report('probe', 100);
+        report('transcription', 100); // Skipped
+        report('vocal-fft', 100);     // Skipped
+        return {
+            ...this.contentAnalyzer.getDefaultAnalysis(),
+            duration: Math.max(...stemInfo.map(stem => stem.offset + stem.duration)),
+            stems: stemInfo
+        };
+    }
+
+    /**
+     * Summarizes who speaks in a multi-voice episode, for the metadata.
+     * @param {Array<object>} voices Stems with their resolved `character`.
+     * @param {object} analysis Uses the speaker-labelled `segments`.
+     * @returns {Array<object>} `{ name, transmission, speakingSeconds }` per labelled stem; empty for a single unlabelled voice.
+     */
+    _speakerSummary(voices, analysis) {
+        return voices.filter(voice => voice.speaker).map(voice => ({
+            name: voice.speaker,
+            transmission: voice.character.preset,
+            speakingSeconds: Math.round((analysis.segments || [])
+                .filter(segment => segment.speaker === voice.speaker)
+                .reduce((total, segment) => total + (segment.end - segment.start), 0) * 10) / 10
+        }));
+    }
+
+    /**
+     * Groups the library assets used by a render by layer type, as library-relative IDs.
+     * @param {Array<object>} layers The mixed layers.
+     * @returns {object} e.g. `{ ambience: [...], music: [...], 'transmission-static': [...], effects: [...] }`.
+     */
+    _collectAssets(layers) {
+        const assets = {};
+        layers.filter(layer => layer.type !== 'voice').forEach(layer => {
+            const id = this.layerManager.assetId(layer.filePath);
+            assets[layer.type] = assets[layer.type] || [];
+            if (!assets[layer.type].includes(id)) assets[layer.type].push(id);
+        });
+        return assets;
+    }
+
+    /**
+     * Content hash of the voice input: the file's hash for a single voice, otherwise a hash over every
+     * stem's hash and speaker label (in order).
+     * @param {Array<object>} stems
+     * @returns {Promise<string>} Hex digest.
+     */
+    async _hashStems(stems) {
+        if (stems.length === 1) return hashFile(stems[0].filePath);
+        const hash = crypto.createHash('sha256');
+        for (const stem of stems) {
+            hash.update(`${stem.speaker}:${await hashFile(stem.filePath)}\n`);
+        }
+        return hash.digest('hex');
+    }
+
+    /**
+     * Writes `.srt` and `.vtt` caption files for the episode.
+     * Caption failures are logged but never fail the render.
+     * @param {object} analysis The content analysis result (uses `segments`; speaker labels become caption voices).
+     * @param {Array<object>} layers The mixed layers; where the voice track starts shifts all captions.
+     * @param {string} outputPath The mixed output file.
+     * @returns {Promise<object|null>} `{ srt, vtt }` file paths, or null.
+     */
+    async writeEpisodeCaptions(analysis, layers, outputPath) {
+        const captionsConfig = this.config.captions || {};
+        if (captionsConfig.enabled === false || !analysis.segments || analysis.segments.length === 0) {
+            return null;
+        }
+
+        try {
+            const captions = await writeCaptions(analysis.segments, outputPath, {
+                offset: voiceStart(layers),
+                maxChars: captionsConfig.maxCharsPerCue,
+                maxDuration: captionsConfig.maxCueDuration
+            });
+            if (captions) console.log('💬 Captions written:', captions.srt, captions.vtt);
+            return captions;
+        } catch (err) {
+            console.warn(`⚠️ Could not write captions: ${err.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Wraps an optional `{ stage, percent }` progress callback, clamping percent to whole numbers in 0-100.
+     * @param {Function} [onProgress]
+     * @returns {Function} A `(stage, percent)` reporter that is safe to call even without a callback.
+     */
+    _progressReporter(onProgress) {
+        return (stage, percent) => {
+            if (!onProgress) return;
+            onProgress({ stage, percent: Math.max(0, Math.min(100, Math.round(percent || 0))) });
+        };
+    }
+
+    /**
+     * Throws if the given AbortSignal has been aborted.
+     * @param {AbortSignal} [signal]
+     */
+    _throwIfCancelled(signal) {
+        if (signal && signal.aborted) {
+            throw new Error('Processing cancelled.');
         }
     }
 
@@ -120,60 +510,107 @@ class TransmissionMixer {
 
     /**
      * Mixes all audio layers using FFmpeg's complex filter graph.
-     * Applies volumes, fades, dynamic ducking, and intelligent EQ.
+     * Applies volumes, fades, dynamic ducking, and intelligent EQ. The result is an unmastered
+     * 32-bit float WAV, so nothing clips before Mastering normalizes it.
      * @param {Array<object>} layers An array of layer objects, each with filePath, type, volume, duration etc.
-     * @param {object} options Options including vocalAnalysis and outputPath.
-     * @returns {Promise<string>} A promise resolving to the path of the mixed output file.
+     * @param {object} options Options including vocalAnalysis, outputPath, ducking (overrides config), voiceActivity
+     * (speech regions from VoiceActivityDetector), an optional AbortSignal and an optional `(stage, percent)` onProgress reporter.
+     * @returns {Promise<string>} A promise resolving to the path of the mixed WAV file.
      */
     async mixLayers(layers, options) {
+        const report = options.onProgress || (() => {});
         // Determine the output path, defaulting if not provided
         const outputPath = options.outputPath || 
-            path.join(__dirname, '../output', `transmission-${Date.now()}.${this.config.processing.format}`);
-        
+            path.join(__dirname, '../output', `transmission-${Date.now()}.premaster.wav`);
+        const commandFiles = []; // asendcmd files for dynamic EQ and ducking, written before FFmpeg starts
+        const loopFiles = [];    // Rendered loop units of long beds
+
+        try {
+            const prepared = await this._prepareLongLoops(layers, outputPath, loopFiles, options.signal);
+            return await this._runMix(prepared, options, outputPath, commandFiles, report);
+        } finally {
+            await Promise.all([...commandFiles.map(file => file.path), ...loopFiles].map(file => fs.unlink(file).catch(() => {})));
+        }
+    }
+
+    /**
+     * Runs the FFmpeg mix for mixLayers.
+     * @param {Array<object>} layers
+     * @param {object} options As for mixLayers.
+     * @param {string} outputPath
+     * @param {Array<object>} commandFiles Filled with the `{ path, content }` command files the graph reads.
+     * @param {Function} report `(stage, percent)` progress reporter.
+     * @returns {Promise<string>} The output path.
+     */
+    _runMix(layers, options, outputPath, commandFiles, report) {
         return new Promise((resolve, reject) => {
             let command = ffmpeg();
             
-            // Separate voice layer from others for sidechaining
-            const voiceLayer = layers.find(layer => layer.type === 'voice');
+            // Separate voice layers (one per stem) from others for sidechaining
+            const voiceLayers = layers.filter(layer => layer.type === 'voice');
             const backgroundLayers = layers.filter(layer => layer.type !== 'voice');
 
-            if (!voiceLayer || !voiceLayer.filePath) {
+            if (voiceLayers.length === 0 || voiceLayers.some(layer => !layer.filePath)) {
                 return reject(new Error('Voice layer (primary input) is missing or has no file path.'));
             }
 
-            // Add voice input first (FFmpeg input index 0)
-            command = command.input(voiceLayer.filePath);
+            // Add voice inputs first (FFmpeg input indices 0..n-1)
+            voiceLayers.forEach(layer => {
+                command = command.input(layer.filePath);
+            });
             
-            // Add other background inputs sequentially (FFmpeg input indices 1, 2, 3...)
+            // Add other background inputs sequentially (FFmpeg input indices n, n+1, ...)
             backgroundLayers.forEach(layer => {
                 if (layer.filePath) {
                     command = command.input(layer.filePath);
+                    if (layer.loopInput) command = command.inputOptions(['-stream_loop', '-1']); // Repeated by the demuxer
                 } else {
                     console.warn(`Layer of type ${layer.type} has no filePath and will be skipped.`);
                 }
             });
             
             // Build the complex filter graph string, passing vocal analysis for intelligent EQ
-            const filterComplex = this.buildFilterComplex(voiceLayer, backgroundLayers, options.vocalAnalysis);
+            const filterComplex = this.buildFilterComplex(voiceLayers, backgroundLayers, options.vocalAnalysis, {
+                ducking: options.ducking,
+                voiceActivity: options.voiceActivity,
+                commandFiles: commandFiles,
+                commandBase: outputPath
+            });
+
+            // Kill FFmpeg if the caller cancels while mixing
+            const { signal } = options;
+            if (signal) {
+                if (signal.aborted) {
+                    return reject(new Error('Processing cancelled.'));
+                }
+                const onAbort = () => command.kill('SIGKILL');
+                signal.addEventListener('abort', onAbort, { once: true });
+                command.on('end', () => signal.removeEventListener('abort', onAbort));
+                command.on('error', () => signal.removeEventListener('abort', onAbort));
+            }
             
             command
                 .complexFilter(filterComplex) // Apply the generated FFmpeg filter graph
-                .audioCodec('libmp3lame')     // Use LAME MP3 encoder
-                .audioBitrate(this.config.processing.bitRate) // Set target bitrate
+                .audioCodec('pcm_f32le')      // Float WAV keeps headroom for the mastering pass
                 .audioChannels(this.config.processing.channels) // Set output channels
+                .audioFrequency(this.config.processing.sampleRate)
+                .format('wav')
                 .outputOption('-map [out]') // Ensure only the final mixed stream is mapped to output
 
                 // Event listeners for FFmpeg progress and completion
                 .on('start', (commandLine) => {
                     console.log('🎛️ FFmpeg command:', commandLine);
+                    report('mix', 0);
                 })
                 .on('progress', (progress) => {
                     if (progress.percent) {
                         console.log('⚡ Processing:', Math.round(progress.percent) + '%');
+                        report('mix', progress.percent);
                     }
                 })
                 .on('end', () => {
                     console.log('🎯 Audio mixing complete.');
+                    report('mix', 100);
                     resolve(outputPath);
                 })
                 .on('error', (err, stdout, stderr) => {
@@ -181,64 +618,124 @@ class TransmissionMixer {
                     console.error('FFmpeg stdout:', stdout);
                     console.error('FFmpeg stderr:', stderr);
                     reject(err);
+                });
+
+            Promise.all(commandFiles.map(file => fs.writeFile(file.path, file.content)))
+                .then(() => {
+                    if (signal && signal.aborted) return reject(new Error('Processing cancelled.'));
+                    command.save(outputPath); // Save the output file
                 })
-                .save(outputPath); // Save the output file
+                .catch(reject);
         });
     }
 
     /**
      * Builds the FFmpeg complex filter graph string for multi-layer mixing.
      * This function dynamically generates the FFmpeg commands for:
+     * - Each voice stem's volume, fades, transmission character, pan and EQ, summed onto a voice bus
      * - Individual layer volume and fades
-     * - Intelligent EQ for background layers (informed by vocal analysis)
-     * - Dynamic ducking of background layers by the voice track
-     * - Final mixing of all processed layers.
-     * @param {object} voiceLayer The primary voice layer object.
-     * @param {Array<object>} backgroundLayers An array of background layer objects.
+     * - Intelligent EQ for background layers (informed by vocal analysis; time-varying where the voice has a time series)
+     * - Ducking of background layers while any stem speaks: with a voice-activity map, a gain envelope per
+     *   layer with its type's depth, attack, release and look-ahead (see core/ducking.js); without one,
+     *   a sidechain compressor on the background bus keyed by the voice bus
+     * - Final mixing of all processed layers (unmastered).
+     * @param {Array<object>|object} voiceLayers The voice layers (FFmpeg inputs 0..n-1), or a single voice layer.
+     * @param {Array<object>} backgroundLayers An array of background layer objects (the inputs after the voices).
      * @param {object} vocalAnalysis The vocal analysis result (including vocalProfile).
+     * @param {object} [mixOptions={}] Per-render switches; `ducking` (boolean) overrides `ducking.enabled` from config,
+     * and `voiceActivity` (speech regions `{ start, end }` on the episode timeline) switches to envelope ducking.
+     * With `commandFiles` (an array) and `commandBase` (a path prefix), beds get voice-following dynamic EQ and the
+     * envelope ducking can run; the command files they need are pushed onto `commandFiles` as `{ path, content }`
+     * for the caller to write.
      * @returns {string} The complete FFmpeg complex filter graph string.
      */
-    buildFilterComplex(voiceLayer, backgroundLayers, vocalAnalysis) {
+    buildFilterComplex(voiceLayers, backgroundLayers, vocalAnalysis, mixOptions = {}) {
         const filters = []; // Array to hold individual FFmpeg filter chains
+        voiceLayers = Array.isArray(voiceLayers) ? voiceLayers : [voiceLayers];
+        const duckingEnabled = typeof mixOptions.ducking === 'boolean' ? mixOptions.ducking : this.config.ducking.enabled;
+        // Pad every voice to the full program so the final amix (duration=first) runs through the outro
+        // and never sees the voice drop out (which would make amix turn the backgrounds up)
+        const length = programLength([...voiceLayers, ...backgroundLayers]);
         
-        // Define FFmpeg input labels. Voice is always input 0.
-        const voiceInputLabel = '[0:a]'; 
-        let currentVoiceLabel = '[processedVoice]'; // Label for the voice stream after its individual processing
-        
-        // 1. Process Voice Layer: Apply Volume, Fading, and Static EQ from config
-        let voiceFilterChain = `${voiceInputLabel}volume=${voiceLayer.volume || this.config.mixing.voiceVolume}`;
-        if (voiceLayer.fadeIn > 0) voiceFilterChain += `,afade=t=in:ss=0:d=${voiceLayer.fadeIn}`;
-        if (voiceLayer.fadeOut > 0 && voiceLayer.duration) voiceFilterChain += `,afade=t=out:st=${voiceLayer.duration - voiceLayer.fadeOut}:d=${voiceLayer.fadeOut}`;
-        
-        // Apply Voice EQ from audio-settings.json config
-        const voiceEQ = this.config.effects.voiceEQ;
-        if (voiceEQ) {
-            voiceFilterChain += `,equalizer=f=${voiceEQ.frequency}:width_type=h:width=${voiceEQ.width}:g=${voiceEQ.gain}`;
+        // 1. Process Voice Layers: Apply Volume, Fading, Character, Pan and EQ per stem
+        const voiceLabels = voiceLayers.map((voiceLayer, index) => this._voiceFilters(voiceLayer, index, length, filters));
+
+        // Stems are summed at their own levels onto one voice bus
+        let currentVoiceLabel = voiceLabels[0]; // Label for the voice stream after its individual processing
+        if (voiceLabels.length > 1) {
+            filters.push(`${voiceLabels.join('')}amix=inputs=${voiceLabels.length}:duration=longest:dropout_transition=0:normalize=0[voiceBus]`);
+            currentVoiceLabel = '[voiceBus]';
+        }
+        // With a voice-activity map every background layer carries its own envelope; otherwise the bus feeds
+        // both the ducking sidechain and the final mix, and a filter output can only be read once
+        const voiceActivity = duckingEnabled && mixOptions.commandFiles ? mixOptions.voiceActivity : null;
+        let sidechainLabel = null;
+        if (duckingEnabled && !voiceActivity && backgroundLayers.length > 0) {
+            filters.push(`${currentVoiceLabel}asplit=2[processedVoice][voiceSidechain]`);
+            currentVoiceLabel = '[processedVoice]';
+            sidechainLabel = '[voiceSidechain]';
         }
-        filters.push(`${voiceFilterChain}${currentVoiceLabel}`); // Add processed voice stream to filters
 
-        // Array to hold labels of processed background layers before final mixing
+        // The voice's per-second features move from voice-track time to the episode timeline of the beds
+        const vocalSeries = vocalAnalysis && vocalAnalysis.vocalProfile && vocalAnalysis.vocalProfile.timeSeries;
+        const timeSeries = vocalSeries && vocalSeries.length > 0
+            ? vocalSeries.map(entry => ({ ...entry, time: entry.time + voiceStart(voiceLayers) }))
+            : null;
+
+        // Arrays to hold labels of processed background layers before final mixing.
+        // Cued one-shot effects are summed onto their own bus first, so adding many cues
+        // doesn't shrink the beds through amix's per-input normalization.
         let processedBackgroundLabels = [];
+        const cueLabels = [];
         
         // 2. Process Individual Background Layers: Apply Volume, Fading, and Intelligent EQ
         backgroundLayers.forEach((layer, index) => {
-            const inputLabel = `[${index + 1}:a]`; // Background layers start from FFmpeg input index 1
+            const inputLabel = `[${index + voiceLayers.length}:a]`; // Background layers follow the voice inputs
             let currentBgLabel = `${inputLabel}`; // Start with raw input label
             let finalBgLabel = `[bg${index}_final]`; // Final label for this background layer after all processing
 
+            // Beds are looped (with crossfaded seams) or trimmed to their playDuration on the timeline
+            const fitted = this._fitBedFilters(layer, inputLabel, index);
+            filters.push(...fitted.filters);
+
             // Apply Volume and Fades
-            let bgVolFadeFilter = `volume=${layer.volume || this.config.mixing[`${layer.type}Volume`] || 0.1}`;
+            // Beds play for their playDuration (the program, or their scenes): trim them to it
+            // and fade out against that length rather than the asset's own duration
+            const playLength = layer.playDuration || layer.duration;
+            let bgVolFadeFilter = layer.playDuration ? `atrim=duration=${layer.playDuration},` : '';
+            const configVolume = this.config.mixing[`${layer.type}Volume`];
+            const bedVolume = layer.volume !== undefined ? layer.volume : (configVolume !== undefined ? configVolume : 0.1);
+            bgVolFadeFilter += `volume=${bedVolume}`;
             if (layer.fadeIn > 0) bgVolFadeFilter += `,afade=t=in:ss=0:d=${layer.fadeIn}`;
-            if (layer.fadeOut > 0 && layer.duration) bgVolFadeFilter += `,afade=t=out:st=${layer.duration - layer.fadeOut}:d=${layer.fadeOut}`;
+            if (layer.fadeOut > 0 && playLength) bgVolFadeFilter += `,afade=t=out:st=${Math.max(0, playLength - layer.fadeOut)}:d=${layer.fadeOut}`;
+            // Fades are computed in the layer's own time, then the whole layer is shifted to its startOffset
+            bgVolFadeFilter += this._delayFilter(layer);
+            // The ducking envelope runs in episode time, so it follows the shift
+            const profile = voiceActivity ? duckProfile(layer, this.config.ducking) : null;
+            const envelope = profile ? duckEnvelope(voiceActivity, profile, this.config.ducking.swell, {
+                name: `bg${index}_duck`,
+                commandPath: `${mixOptions.commandBase}.bg${index}.duckcmd`
+            }) : null;
+            if (envelope) {
+                mixOptions.commandFiles.push({ path: `${mixOptions.commandBase}.bg${index}.duckcmd`, content: envelope.commands });
+                bgVolFadeFilter += `,${envelope.filter}`;
+            }
             
             currentBgLabel = `[bg${index}_volfade]`; // Label after volume and fades
-            filters.push(`${inputLabel}${bgVolFadeFilter}${currentBgLabel}`);
+            filters.push(`${fitted.label}${bgVolFadeFilter}${currentBgLabel}`);
 
-            // Apply Intelligent EQ from EQCalculator for background layers
+            // Apply Intelligent EQ from EQCalculator for background layers: voice-following where the
+            // layer type has dynamic EQ and the voice has a time series, otherwise one static curve
             let eqFilterString = '';
-            if (vocalAnalysis && vocalAnalysis.vocalProfile) {
+            const dynamicEQ = timeSeries && mixOptions.commandFiles
+                ? this.eqCalculator.generateDynamicBackgroundEQ(timeSeries, layer.type, currentBgLabel, `${mixOptions.commandBase}.bg${index}.eqcmd`)
+                : null;
+            if (dynamicEQ) {
+                mixOptions.commandFiles.push({ path: `${mixOptions.commandBase}.bg${index}.eqcmd`, content: dynamicEQ.commands });
+                eqFilterString = dynamicEQ.filter;
+            } else if (vocalAnalysis && vocalAnalysis.vocalProfile) {
                 // eqCalculator.generateBackgroundEQ takes the current stream label and returns a new filter string
-                // like '[input_label],filter_chain[output_label]'
+                // like '[input_label]filter_chain[output_label]'
                 eqFilterString = this.eqCalculator.generateBackgroundEQ(vocalAnalysis.vocalProfile, layer.type, currentBgLabel);
             }
             
@@ -258,20 +755,32 @@ class TransmissionMixer {
                 finalBgLabel = currentBgLabel; 
             }
             
-            processedBackgroundLabels.push(finalBgLabel); // Add to list for mixing
+            if (layer.cue) {
+                cueLabels.push(finalBgLabel); // Summed onto the cue bus below
+            } else {
+                processedBackgroundLabels.push(finalBgLabel); // Add to list for mixing
+            }
         });
 
+        if (cueLabels.length > 1) {
+            // normalize=0 keeps each cue at its own volume instead of dividing by the cue count
+            filters.push(`${cueLabels.join('')}amix=inputs=${cueLabels.length}:duration=longest:dropout_transition=0:normalize=0[cueBus]`);
+            processedBackgroundLabels.push('[cueBus]');
+        } else if (cueLabels.length === 1) {
+            processedBackgroundLabels.push(cueLabels[0]);
+        }
+
         let mixedBackgroundsLabel = '[mixedBackgrounds]'; // Label for all background layers combined
         if (processedBackgroundLabels.length > 0) {
             // Merge all processed background layers into a single stream
             filters.push(`${processedBackgroundLabels.join('')}amix=inputs=${processedBackgroundLabels.length}:duration=longest[rawMixedBackgrounds]`);
 
             // 3. Apply Dynamic Ducking (Sidechain Compression) to the mixed background
-            if (this.config.ducking.enabled) {
+            if (sidechainLabel) {
                 const ducking = this.config.ducking;
                 // sidechaincompress: [main_input][sidechain_input]sidechaincompress=...[output]
-                // Main input is rawMixedBackgrounds, sidechain input is currentVoiceLabel
-                filters.push(`[rawMixedBackgrounds]${currentVoiceLabel}sidechaincompress=threshold=${ducking.threshold}:ratio=${ducking.ratio}:attack=${ducking.attack}:release=${ducking.release}${mixedBackgroundsLabel}`);
+                // Main input is rawMixedBackgrounds, sidechain input is the voice bus copy
+                filters.push(`[rawMixedBackgrounds]${sidechainLabel}sidechaincompress=threshold=${ducking.threshold}:ratio=${ducking.ratio}:attack=${ducking.attack}:release=${ducking.release}${mixedBackgroundsLabel}`);
             } else {
                 // If ducking is disabled, the raw mixed backgrounds become the final mixed backgrounds
                 mixedBackgroundsLabel = '[rawMixedBackgrounds]'; 
@@ -289,54 +798,253 @@ class TransmissionMixer {
 
         if (finalMixInputLabels.length > 1) {
             // If both voice and backgrounds are present, mix them
-            filters.push(`${finalMixInputLabels.join('')}amix=inputs=${finalMixInputLabels.length}:duration=first:dropout_transition=2[preMaster]`);
+            filters.push(`${finalMixInputLabels.join('')}amix=inputs=${finalMixInputLabels.length}:duration=first:dropout_transition=2[out]`);
         } else {
-            // If only voice (no backgrounds), the processed voice stream is the pre-master output
-            filters.push(`${currentVoiceLabel}anull[preMaster]`); // anull ensures a valid output stream even with one input
+            // If only voice (no backgrounds), the processed voice stream is the output
+            filters.push(`${currentVoiceLabel}anull[out]`); // anull ensures a valid output stream even with one input
+        }
+
+        // 5. Mastering (loudness normalization and limiting) runs as a separate two-pass stage
+        // on this mix; see Mastering.master.
+
+        return filters.join(';'); // Join all filter chains with semicolons
+    }
+
+    /**
+     * Builds one voice stem's chain: volume and fades, transmission character (with its noise bed), pan,
+     * placement on the timeline, padding to the program length, and EQ.
+     * @param {object} voiceLayer A voice layer.
+     * @param {number} index The stem's FFmpeg input index.
+     * @param {number} length Program length in seconds.
+     * @param {Array<string>} filters Filter chains; the stem's chains are appended.
+     * @returns {string} The label of the processed stem, e.g. '[voice0]'.
+     */
+    _voiceFilters(voiceLayer, index, length, filters) {
+        const label = `voice${index}`;
+        const volume = voiceLayer.volume !== undefined ? voiceLayer.volume : this.config.mixing.voiceVolume; // 0 mutes the stem
+        let voiceFilterChain = `[${index}:a]volume=${volume}`;
+        if (voiceLayer.fadeIn > 0) voiceFilterChain += `,afade=t=in:ss=0:d=${voiceLayer.fadeIn}`;
+        if (voiceLayer.fadeOut > 0 && voiceLayer.duration) voiceFilterChain += `,afade=t=out:st=${voiceLayer.duration - voiceLayer.fadeOut}:d=${voiceLayer.fadeOut}`;
+
+        // Transmission character (band-limiting, saturation, crushing, dropouts) in the stem's own time,
+        // with its noise bed mixed underneath before the stem is placed on the timeline
+        if (voiceLayer.character) {
+            const dropouts = voiceLayer.dropouts || [];
+            voiceFilterChain += this.transmission.voiceFilters(voiceLayer.character, dropouts);
+            const noise = this.transmission.noiseSource(voiceLayer.character, dropouts, voiceLayer.duration);
+            if (noise) {
+                filters.push(`${voiceFilterChain}[${label}Character]`);
+                filters.push(`${noise}[${label}Noise]`);
+                voiceFilterChain = `[${label}Character][${label}Noise]amix=inputs=2:duration=first:dropout_transition=0:normalize=0`;
+            }
         }
 
-        // 5. Mastering (Loudness Normalization and Limiting) - Based on config
-        const masteringConfig = this.config.mastering;
-        let masterFilterChain = '[preMaster]'; // Start with the pre-master mix
-        let finalOutputLabel = '[out]';
-
-        if (masteringConfig.normalizeLoudness && this.config.processing.targetLufs) {
-            // Apply loudness normalization using 'loudnorm' filter
-            // I will aim for a single-pass implementation for speed, if 'measured' values are not needed.
-            // For a two-pass approach, we'd run one pass to measure, then another to apply.
-            // Single-pass is faster for automation.
-            masterFilterChain += `,loudnorm=i=${this.config.processing.targetLufs}:tp=${this.config.processing.truePeakDb}:lra=7:print_format=json`; // tp for true peak, lra for loudness range
+        // Balance pan: the centre is untouched, and the far side fades out towards -1 (left) or 1 (right)
+        if (voiceLayer.pan && this.config.processing.channels > 1) {
+            const left = Math.min(1, 1 - voiceLayer.pan).toFixed(3);
+            const right = Math.min(1, 1 + voiceLayer.pan).toFixed(3);
+            voiceFilterChain += `,aformat=channel_layouts=mono,pan=stereo|c0=${left}*c0|c1=${right}*c0`;
         }
-        
-        if (masteringConfig.limiterThreshold && masteringConfig.limiterAttack && masteringConfig.limiterRelease) {
-             // Apply a final limiter to catch any peaks and adhere to true peak limits
-             masterFilterChain += `,alimiter=level_in=1:level_out=${Math.pow(10, masteringConfig.limiterThreshold / 20)}:limit=${Math.pow(10, masteringConfig.limiterThreshold / 20)}:attack=${masteringConfig.limiterAttack}:release=${masteringConfig.limiterRelease}`;
+        voiceFilterChain += this._delayFilter(voiceLayer);
+        if (length > 0) voiceFilterChain += `,apad=whole_dur=${length}`;
+
+        // The stem's own EQ bands, or the voice EQ from audio-settings.json config
+        const voiceEQ = this.config.effects.voiceEQ;
+        const bands = voiceLayer.eq || (voiceEQ ? [voiceEQ] : []);
+        bands.forEach(band => {
+            voiceFilterChain += `,equalizer=f=${band.frequency}:width_type=h:width=${band.width}:g=${band.gain}`;
+        });
+        filters.push(`${voiceFilterChain}[${label}]`);
+        return `[${label}]`;
+    }
+
+    /**
+     * Builds the filter chains that fit a looping bed to its playDuration, starting at its sourceStart.
+     * A bed that is long enough is just trimmed. A shorter one becomes a loop unit whose tail is
+     * crossfaded into its head (so every repeat is seamless), repeated with `aloop`, which holds
+     * one copy of the unit in memory regardless of episode length. Units longer than
+     * `beds.maxLoopBufferSeconds` are rendered to a file beforehand (see _prepareLongLoops) and repeated
+     * by the demuxer instead (`loopInput`), so nothing is held in memory.
+     * @param {object} layer A bed layer (see LayerManager._fitBed).
+     * @param {string} inputLabel The layer's FFmpeg input label, e.g. '[1:a]'.
+     * @param {number} index The layer's background index, used for unique labels.
+     * @returns {{filters: Array<string>, label: string}} Chains to add, and the label of the fitted stream.
+     */
+    _fitBedFilters(layer, inputLabel, index) {
+        const start = layer.sourceStart || 0;
+        const trimStart = start > 0 ? `,atrim=start=${start},asetpts=PTS-STARTPTS` : '';
+        const sampleRate = this.config.processing.sampleRate;
+        if (layer.loopInput) {
+            // The trim to playDuration follows in the volume/fade chain; it also ends the endless input
+            return { filters: [`${inputLabel}aresample=${sampleRate}${trimStart}[bg${index}_fit]`], label: `[bg${index}_fit]` };
+        }
+        if (!this._needsLoop(layer)) {
+            return start > 0
+                ? { filters: [`${inputLabel}atrim=start=${start},asetpts=PTS-STARTPTS[bg${index}_fit]`], label: `[bg${index}_fit]` }
+                : { filters: [], label: inputLabel };
         }
 
-        filters.push(`${masterFilterChain}${finalOutputLabel}`); // Add mastering chain
+        const seam = layer.loopCrossfade || 0;
+        const unitLabel = `[bg${index}_unit]`;
+        const filters = this._loopUnitFilters(inputLabel, seam, `bg${index}`, unitLabel);
+        const unitSamples = Math.round((layer.duration - seam) * sampleRate);
+        filters.push(`${unitLabel}aloop=loop=-1:size=${unitSamples}${trimStart}[bg${index}_fit]`);
+        return { filters, label: `[bg${index}_fit]` };
+    }
 
-        return filters.join(';'); // Join all filter chains with semicolons
+    /**
+     * @param {object} layer A background layer.
+     * @returns {boolean} Whether the layer must loop to fill its playDuration.
+     */
+    _needsLoop(layer) {
+        const start = layer.sourceStart || 0;
+        return Boolean(layer.loop && layer.playDuration && layer.duration && layer.duration - start < layer.playDuration);
+    }
+
+    /**
+     * Builds the chains that turn a bed into its loop unit: the source from `seam` to the end, with its last
+     * `seam` seconds crossfaded into the source's first `seam` seconds.
+     * @param {string} inputLabel
+     * @param {number} seam Crossfade length in seconds (0 for a plain repeat).
+     * @param {string} prefix Prefix for the intermediate labels.
+     * @param {string} unitLabel Label of the loop unit.
+     * @returns {Array<string>}
+     */
+    _loopUnitFilters(inputLabel, seam, prefix, unitLabel) {
+        const sampleRate = this.config.processing.sampleRate;
+        if (seam <= 0) return [`${inputLabel}aresample=${sampleRate}${unitLabel}`];
+        return [
+            `${inputLabel}aresample=${sampleRate},asplit=2[${prefix}_body][${prefix}_head]`,
+            `[${prefix}_body]atrim=start=${seam},asetpts=PTS-STARTPTS[${prefix}_main]`,
+            `[${prefix}_head]atrim=end=${seam},asetpts=PTS-STARTPTS[${prefix}_intro]`,
+            `[${prefix}_main][${prefix}_intro]acrossfade=d=${seam}:c1=qsin:c2=qsin${unitLabel}`
+        ];
+    }
+
+    /**
+     * Swaps beds whose loop unit is too long for `aloop` for a rendered unit the demuxer repeats (`-stream_loop`).
+     * A unit without a crossfade is the source itself, so only crossfaded units are rendered.
+     * @param {Array<object>} layers All layers of the mix.
+     * @param {string} outputPath The mix output; rendered units are written next to it.
+     * @param {Array<string>} loopFiles Filled with the files written, for the caller to remove.
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<Array<object>>} The layers, with long loops replaced by `loopInput` layers.
+     */
+    async _prepareLongLoops(layers, outputPath, loopFiles, signal) {
+        const beds = this.config.beds || {};
+        const maxSeconds = beds.maxLoopBufferSeconds !== undefined ? beds.maxLoopBufferSeconds : 60;
+        const base = path.join(path.dirname(outputPath), path.basename(outputPath, path.extname(outputPath)));
+        const prepared = [];
+        for (const [index, layer] of layers.entries()) {
+            const seam = layer.loopCrossfade || 0;
+            if (layer.type === 'voice' || !layer.filePath || !this._needsLoop(layer) || layer.duration - seam <= maxSeconds) {
+                prepared.push(layer);
+                continue;
+            }
+            let unitPath = layer.filePath;
+            if (seam > 0) {
+                unitPath = `${base}.loop${index}.wav`;
+                loopFiles.push(unitPath);
+                await this._renderLoopUnit(layer.filePath, seam, unitPath, signal);
+            }
+            prepared.push({ ...layer, filePath: unitPath, loopInput: true });
+        }
+        return prepared;
+    }
+
+    /**
+     * Renders a bed's crossfaded loop unit to a float WAV.
+     * @param {string} inputPath
+     * @param {number} seam Crossfade length in seconds.
+     * @param {string} unitPath
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<string>} The unit path.
+     */
+    _renderLoopUnit(inputPath, seam, unitPath, signal) {
+        return new Promise((resolve, reject) => {
+            const command = ffmpeg(inputPath)
+                .complexFilter(this._loopUnitFilters('[0:a]', seam, 'bed', '[unit]'))
+                .outputOption('-map [unit]')
+                .audioCodec('pcm_f32le')
+                .format('wav');
+
+            if (signal) {
+                if (signal.aborted) return reject(new Error('Processing cancelled.'));
+                const onAbort = () => command.kill('SIGKILL');
+                signal.addEventListener('abort', onAbort, { once: true });
+                command.on('end', () => signal.removeEventListener('abort', onAbort));
+                command.on('error', () => signal.removeEventListener('abort', onAbort));
+            }
+
+            command
+                .on('end', () => resolve(unitPath))
+                .on('error', err => reject(err))
+                .save(unitPath);
+        });
+    }
+
+    /**
+     * Builds an `adelay` filter that shifts a layer to its startOffset on the episode timeline.
+     * @param {object} layer A layer object with an optional startOffset in seconds.
+     * @returns {string} The filter (with a leading comma), or an empty string when no delay is needed.
+     */
+    _delayFilter(layer) {
+        const delayMs = Math.round((layer.startOffset || 0) * 1000);
+        return delayMs > 0 ? `,adelay=delays=${delayMs}:all=1` : '';
     }
 
     /**
      * Generates episode metadata based on the content analysis.
      * This metadata can be used for podcast platforms, show notes, etc.
      * @param {object} analysis The content analysis result.
+     * @param {object} [details={}] Render details: `duration` (the mixed program, intro to outro), `transmission`
+     * (the first voice's preset and intensity, and the dropout count), `speakers` (multi-voice episodes), `title`, `seed` and
+     * `assets` (library selection), `chapters`, `episodeNumber` and `recordingDate` (YYYY-MM-DD, defaults to today).
      * @returns {object} Metadata object.
      */
-    generateMetadata(analysis) {
+    generateMetadata(analysis, details = {}) {
+        const recordingDate = details.recordingDate || new Date().toISOString().slice(0, 10);
+        // Parse as local midnight so the formatted date doesn't shift a day in negative UTC offsets
+        const recordedOn = new Date(`${recordingDate}T00:00:00`);
         return {
-            title: `Lost Transmission: ${analysis.location || 'Unknown Location'} - ${analysis.mood || 'Mysterious'}`,
-            description: `Miles Wandr discovers mysterious signals from ${analysis.location || 'an unknown location'}, revealing a ${analysis.mood || 'mysterious'} story. Recorded: ${new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}`,
-            duration: analysis.duration, // Total episode duration
+            title: details.title || `Lost Transmission: ${analysis.location || 'Unknown Location'} - ${analysis.mood || 'Mysterious'}`,
+            description: `${this.showConfig.artist} discovers mysterious signals from ${analysis.location || 'an unknown location'}, revealing a ${analysis.mood || 'mysterious'} story. Recorded: ${recordedOn.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}`,
+            artist: this.showConfig.artist,
+            show: this.showConfig.title,
+            publisher: this.showConfig.publisher,
+            genre: this.showConfig.genre,
+            episodeNumber: details.episodeNumber || null,
+            recordingDate: recordingDate,
+            duration: details.duration || analysis.duration, // Total episode duration, intro to outro
             location: analysis.location,
             mood: analysis.mood,
+            scenes: (analysis.scenes || []).map(({ start, end, location, mood }) => ({ start, end, location, mood })),
             keywords: analysis.keywords.join(', '), // Join keywords into a string
             sentiment: analysis.sentimentScore,
+            chapters: details.chapters || [],
+            transmission: details.transmission || null,
+            speakers: details.speakers || [], // { name, transmission, speakingSeconds } per labelled voice stem
+            seed: details.seed || null, // Re-render with this seed to get the same selection
+            assets: details.assets || {}, // Library asset IDs by layer type
             vocalProfile: `Dominant Freq: ${analysis.vocalProfile?.dominantFrequency.toFixed(2)}Hz, Mid Energy: ${analysis.vocalProfile?.averageEnergyByBand?.mid.toFixed(4)}`,
             timestamp: new Date().toISOString()
         };
     }
 }
 
+/**
+ * Processing stages reported through the `onProgress` callback, in pipeline order.
+ */
+TransmissionMixer.STAGES = [
+    { id: 'tts', label: 'Voice generation' },
+    { id: 'repair', label: 'Voice repair' },
+    { id: 'probe', label: 'Duration probe' },
+    { id: 'transcription', label: 'Transcription' },
+    { id: 'vocal-fft', label: 'Vocal FFT' },
+    { id: 'layers', label: 'Layer creation' },
+    { id: 'mix', label: 'Mix' },
+    { id: 'master', label: 'Master & export' },
+    { id: 'qc', label: 'Quality check' }
+];
+
 module.exports = TransmissionMixer;
@@ -0,0 +1,320 @@
+/**
+ * Quality check for Lost Transmissions
+ * Listens to the finished primary deliverable once and grades it against the `qc` thresholds in
+ * audio-settings.json: integrated loudness and true peak (from the mastering report), clipping, runs of
+ * digital silence, how far the voice sits above the beds, phase/mono compatibility, and the episode's
+ * length against the voice timeline. Every check is 'pass', 'warn' or 'fail' (or 'skipped' when it can't
+ * be measured, e.g. phase on a mono episode); the report's status is the worst of them.
+ */
+
+const ffmpeg = require('fluent-ffmpeg');
+const { programLength } = require('../../core/timeline');
+
+const DEFAULTS = {
+    enabled: true,
+    blockPublishOnFail: false,
+    loudness: { failDeviationLu: 2 },                                      // Warns outside the profile's tolerance
+    truePeak: { failDb: 0 },                                               // Warns above the profile's ceiling
+    clipping: { levelDb: -0.1, warnCount: 1, failCount: 50 },
+    silence: { noiseDb: -80, minSeconds: 0.5, warnSeconds: 2, failSeconds: 5 },
+    voiceToBed: { warnLu: 10, failLu: 6, marginSeconds: 1, minSamples: 10 }, // Margin keeps ducking ramps out of the bed level
+    phase: { warnCorrelation: 0.3, failCorrelation: 0 },
+    duration: { warnSeconds: 1, failSeconds: 5 }
+};
+
+const SEVERITY = { skipped: 0, pass: 1, warn: 2, fail: 3 };
+
+class QualityCheck {
+    /**
+     * @param {object} config Audio settings; uses `qc` and `processing.channels`.
+     */
+    constructor(config) {
+        const qc = config.qc || {};
+        this.settings = { ...DEFAULTS };
+        Object.keys(DEFAULTS).forEach(key => {
+            if (qc[key] === undefined) return;
+            this.settings[key] = typeof DEFAULTS[key] === 'object' ? { ...DEFAULTS[key], ...qc[key] } : qc[key];
+        });
+        this.channels = config.processing.channels;
+    }
+
+    /**
+     * @returns {boolean} Whether renders are checked at all.
+     */
+    get enabled() {
+        return this.settings.enabled !== false;
+    }
+
+    /**
+     * Checks a finished deliverable.
+     * The check never fails a render: if it can't run, a warning is logged and null returned.
+     * @param {string} filePath The primary deliverable.
+     * @param {object} context
+     * @param {object} context.loudness The deliverable's mastering report (`after`, `target`).
+     * @param {Array<object>} context.layers The mixed layers (episode and voice timeline).
+     * @param {Array<object>} [context.voiceActivity] Speech regions on the episode timeline, for the voice-to-bed ratio.
+     * @param {AbortSignal} [context.signal]
+     * @param {Function} [context.onProgress] Called with a 0-100 percent.
+     * @returns {Promise<object|null>} `{ status, checks }`, or null.
+     */
+    async check(filePath, context) {
+        try {
+            const measurements = await this.measure(filePath, context);
+            const report = this.evaluate(measurements, context);
+            const flagged = report.checks.filter(check => check.status === 'warn' || check.status === 'fail');
+            const icon = { pass: '✅', warn: '⚠️', fail: '❌' }[report.status];
+            console.log(`🔎 ${icon} Quality check: ${report.status}${flagged.length ? ` (${flagged.map(check => `${check.label}: ${check.message}`).join('; ')})` : ''}`);
+            return report;
+        } catch (err) {
+            if (context.signal && context.signal.aborted) throw err;
+            console.warn(`⚠️ Quality check could not run: ${err.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Measures a file in one FFmpeg pass: astats (peaks), silencedetect, ebur128 momentary loudness and,
+     * for stereo, aphasemeter. The reports are parsed line by line as FFmpeg prints them.
+     * @param {string} filePath
+     * @param {object} [options={}]
+     * @param {AbortSignal} [options.signal]
+     * @param {Function} [options.onProgress]
+     * @returns {Promise<object>} `{ duration, peakDb, peakCount, silences, momentary, phase }`: silences are
+     * `{ start, end }`, momentary is `{ time, loudness }` every 100 ms, phase is `{ mean, samples }` or null.
+     */
+    measure(filePath, options = {}) {
+        const { silence } = this.settings;
+        const stereo = this.channels > 1;
+        const filters = [
+            'astats=metadata=0',
+            `silencedetect=noise=${silence.noiseDb}dB:d=${silence.minSeconds}`,
+            'ebur128=framelog=info'
+        ];
+        if (stereo) filters.push('aphasemeter=video=0', 'ametadata=mode=print:key=lavfi.aphasemeter.phase');
+
+        const result = { duration: 0, peakDb: -Infinity, peakCount: 0, silences: [], momentary: [], phase: null };
+        let phaseSum = 0;
+        let phaseSamples = 0;
+        let silenceStart = null;
+        let overall = false;
+
+        return new Promise((resolve, reject) => {
+            const command = ffmpeg(filePath)
+                .noVideo()
+                .audioFilters(filters)
+                .format('null');
+
+            if (options.signal) {
+                if (options.signal.aborted) return reject(new Error('Processing cancelled.'));
+                const onAbort = () => command.kill('SIGKILL');
+                options.signal.addEventListener('abort', onAbort, { once: true });
+                command.on('end', () => options.signal.removeEventListener('abort', onAbort));
+                command.on('error', () => options.signal.removeEventListener('abort', onAbort));
+            }
+
+            command
+                .on('codecData', data => {
+                    result.duration = this._seconds(data.duration);
+                })
+                .on('progress', progress => {
+                    if (options.onProgress && progress.percent) options.onProgress(progress.percent);
+                })
+                .on('stderr', line => {
+                    let match;
+                    if ((match = line.match(/\bt:\s*([\d.]+)\s.*\bM:\s*(-?[\d.]+|-inf)/))) {
+                        result.momentary.push({ time: Number(match[1]), loudness: match[2] === '-inf' ? -Infinity : Number(match[2]) });
+                    } else if ((match = line.match(/lavfi\.aphasemeter\.phase=(-?[\d.]+)/))) {
+                        phaseSum += Number(match[1]);
+                        phaseSamples++;
+                    } else if ((match = line.match(/silence_start:\s*(-?[\d.]+)/))) {
+                        silenceStart = Math.max(0, Number(match[1]));
+                    } else if ((match = line.match(/silence_end:\s*([\d.]+)/)) && silenceStart !== null) {
+                        result.silences.push({ start: silenceStart, end: Number(match[1]) });
+                        silenceStart = null;
+                    } else if (line.includes('Overall')) {
+                        overall = true; // astats prints per-channel sections, then the overall one
+                    } else if (overall && (match = line.match(/Peak level dB:\s*(-?[\d.]+|-inf)/))) {
+                        result.peakDb = match[1] === '-inf' ? -Infinity : Number(match[1]);
+                    } else if (overall && (match = line.match(/Peak count:\s*([\d.]+)/))) {
+                        result.peakCount = Number(match[1]);
+                    }
+                })
+                .on('end', () => {
+                    const last = result.momentary[result.momentary.length - 1];
+                    if (last && last.time > result.duration) result.duration = last.time;
+                    if (silenceStart !== null) result.silences.push({ start: silenceStart, end: result.duration });
+                    result.phase = stereo && phaseSamples > 0 ? { mean: phaseSum / phaseSamples, samples: phaseSamples } : null;
+                    resolve(result);
+                })
+                .on('error', err => reject(err))
+                .save('-');
+        });
+    }
+
+    /**
+     * Grades measurements against the thresholds.
+     * @param {object} measurements Result of measure.
+     * @param {object} context As for check.
+     * @returns {object} `{ status, checks }`; each check is `{ id, label, status, value, unit, message }`.
+     */
+    evaluate(measurements, context) {
+        const checks = [
+            this._loudness(context.loudness),
+            this._truePeak(context.loudness),
+            this._clipping(measurements),
+            this._silence(measurements),
+            this._voiceToBed(measurements, context.voiceActivity),
+            this._phase(measurements),
+            this._duration(measurements, context.layers)
+        ];
+        const status = checks.reduce((worst, check) => SEVERITY[check.status] > SEVERITY[worst] ? check.status : worst, 'pass');
+        return { status, checks };
+    }
+
+    /**
+     * @param {object} loudness Mastering report of the deliverable.
+     * @returns {object} The integrated loudness check.
+     */
+    _loudness(loudness) {
+        const { integrated, tolerance } = loudness.target;
+        const value = loudness.after.integrated;
+        const deviation = Math.abs(value - integrated);
+        return this._grade('loudness', 'Integrated loudness', value, 'LUFS',
+            deviation > this.settings.loudness.failDeviationLu ? 'fail' : deviation > tolerance ? 'warn' : 'pass',
+            `${value} LUFS against a target of ${integrated} ±${tolerance}`);
+    }
+
+    /**
+     * @param {object} loudness Mastering report of the deliverable.
+     * @returns {object} The true peak check.
+     */
+    _truePeak(loudness) {
+        const value = loudness.after.truePeak;
+        const ceiling = loudness.target.truePeak;
+        return this._grade('truePeak', 'True peak', value, 'dBTP',
+            value > this.settings.truePeak.failDb ? 'fail' : value > ceiling + 0.1 ? 'warn' : 'pass',
+            `${value} dBTP against a ceiling of ${ceiling}`);
+    }
+
+    /**
+     * @param {object} measurements
+     * @returns {object} The clipping check.
+     */
+    _clipping({ peakDb, peakCount }) {
+        const { levelDb, warnCount, failCount } = this.settings.clipping;
+        const clipped = peakDb >= levelDb ? peakCount : 0; // Peak count is how often the peak level was reached
+        return this._grade('clipping', 'Clipping', clipped, 'samples',
+            clipped >= failCount ? 'fail' : clipped >= warnCount ? 'warn' : 'pass',
+            clipped > 0 ? `${clipped} clipped sample(s) at ${peakDb} dBFS` : 'no clipping');
+    }
+
+    /**
+     * @param {object} measurements
+     * @returns {object} The digital silence check (graded on the longest run).
+     */
+    _silence({ silences }) {
+        const { warnSeconds, failSeconds, noiseDb } = this.settings.silence;
+        const longest = silences.reduce((max, run) => Math.max(max, run.end - run.start), 0);
+        const rounded = Math.round(longest * 10) / 10;
+        return this._grade('silence', 'Digital silence', rounded, 's',
+            longest >= failSeconds ? 'fail' : longest >= warnSeconds ? 'warn' : 'pass',
+            silences.length > 0 ? `${silences.length} run(s) below ${noiseDb} dB, longest ${rounded}s` : 'none');
+    }
+
+    /**
+     * Median momentary loudness while the voice speaks, against the median in its longer pauses (away from
+     * the ducking ramps), within the voice's span so the intro and outro don't count as bed.
+     * @param {object} measurements
+     * @param {Array<object>} [voiceActivity] Speech regions on the episode timeline.
+     * @returns {object} The voice-to-bed check.
+     */
+    _voiceToBed({ momentary }, voiceActivity) {
+        const { warnLu, failLu, marginSeconds, minSamples } = this.settings.voiceToBed;
+        if (!voiceActivity || voiceActivity.length === 0) {
+            return this._grade('voiceToBed', 'Voice to bed', null, 'LU', 'skipped', 'no voice-activity map');
+        }
+        const first = voiceActivity[0].start;
+        const last = Math.max(...voiceActivity.map(region => region.end));
+        const window = 0.4; // Momentary loudness covers the last 400 ms
+        const voice = [];
+        const bed = [];
+        momentary.forEach(({ time, loudness }) => {
+            const start = time - window;
+            if (start < first || time > last || !isFinite(loudness)) return;
+            if (voiceActivity.some(region => start >= region.start && time <= region.end)) {
+                voice.push(loudness);
+            } else if (!voiceActivity.some(region => start < region.end + marginSeconds && time > region.start - marginSeconds)) {
+                bed.push(loudness);
+            }
+        });
+        if (voice.length < minSamples || bed.length < minSamples) {
+            return this._grade('voiceToBed', 'Voice to bed', null, 'LU', 'skipped', 'no pauses long enough to hear the beds');
+        }
+        const ratio = Math.round((this._median(voice) - this._median(bed)) * 10) / 10;
+        return this._grade('voiceToBed', 'Voice to bed', ratio, 'LU',
+            ratio < failLu ? 'fail' : ratio < warnLu ? 'warn' : 'pass',
+            `voice ${ratio} LU above the beds (want at least ${warnLu})`);
+    }
+
+    /**
+     * @param {object} measurements
+     * @returns {object} The phase/mono compatibility check.
+     */
+    _phase({ phase }) {
+        const { warnCorrelation, failCorrelation } = this.settings.phase;
+        if (!phase) {
+            return this._grade('phase', 'Phase / mono', null, 'correlation', 'skipped', 'mono output');
+        }
+        const value = Math.round(phase.mean * 100) / 100;
+        return this._grade('phase', 'Phase / mono', value, 'correlation',
+            value < failCorrelation ? 'fail' : value < warnCorrelation ? 'warn' : 'pass',
+            `average correlation ${value} (1 is mono-safe, below 0 cancels in mono)`);
+    }
+
+    /**
+     * The episode should be as long as its planned timeline and never end before the voice does.
+     * @param {object} measurements
+     * @param {Array<object>} layers
+     * @returns {object} The duration check.
+     */
+    _duration({ duration }, layers) {
+        const { warnSeconds, failSeconds } = this.settings.duration;
+        const expected = programLength(layers);
+        const voiceEnd = Math.max(0, ...layers.filter(layer => layer.type === 'voice')
+            .map(layer => (layer.startOffset || 0) + (layer.duration || 0)));
+        const difference = Math.round((duration - expected) * 10) / 10;
+        const status = duration < voiceEnd - 0.1 || Math.abs(difference) >= failSeconds ? 'fail'
+            : Math.abs(difference) >= warnSeconds ? 'warn' : 'pass';
+        return this._grade('duration', 'Duration', Math.round(duration * 10) / 10, 's', status,
+            duration < voiceEnd - 0.1
+                ? `ends ${(voiceEnd - duration).toFixed(1)}s before the voice does`
+                : `${difference >= 0 ? '+' : ''}${difference}s against the ${expected.toFixed(1)}s timeline`);
+    }
+
+    /**
+     * @returns {object} A check `{ id, label, status, value, unit, message }`.
+     */
+    _grade(id, label, value, unit, status, message) {
+        return { id, label, status, value, unit, message };
+    }
+
+    /**
+     * @param {Array<number>} values
+     * @returns {number}
+     */
+    _median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    /**
+     * @param {string} timestamp FFmpeg's `HH:MM:SS.ms`.
+     * @returns {number} Seconds.
+     */
+    _seconds(timestamp) {
+        return String(timestamp || '0').split(':').reduce((total, part) => total * 60 + Number(part), 0) || 0;
+    }
+}
+
+module.exports = QualityCheck;
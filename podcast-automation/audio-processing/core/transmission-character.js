@@ -0,0 +1,168 @@
+/**
+ * Transmission character for Lost Transmissions
+ * Makes the voice sound like it arrived over the air: band-limiting, saturation, bit and
+ * sample-rate reduction, a noise bed and intermittent dropouts, from a named preset in
+ * config/transmission-presets.json ("shortwave", "am-broadcast", "field-recorder", "clean").
+ * Intensity (0-1) scales every stage between untouched and the full preset, and can follow
+ * the analyzer's `intensity`. Dropout times are returned so the layer manager can place
+ * signal_loss and tuning samples on them.
+ */
+
+const path = require('path');
+
+// What each stage sounds like at intensity 0
+const NEUTRAL = { highpass: 20, lowpass: 20000, saturationDb: 0, bits: 24 };
+
+class TransmissionCharacter {
+    /**
+     * @param {object} config Audio settings (audio-settings.json).
+     * @param {object} [presets] Preset definitions (defaults to config/transmission-presets.json).
+     */
+    constructor(config, presets = require(path.join(__dirname, '../../config/transmission-presets.json'))) {
+        this.config = config;
+        this.presets = presets;
+    }
+
+    /**
+     * Resolves the preset and intensity for one render.
+     * @param {object} [request={}]
+     * @param {string} [request.preset] Preset name; defaults to the presets file's `default`.
+     * @param {number} [request.intensity] 0-1. When omitted, follows `analysisIntensity` if `followIntensity` is on, else 1.
+     * @param {string} [request.analysisIntensity] The analyzer's 'low', 'medium' or 'high'.
+     * @returns {object} Settings `{ preset, label, intensity, active, highpass, lowpass, saturationDb, bits, sampleRate, noise,
+     * dropouts, dropoutSamples }`, with every value already scaled by intensity.
+     * @throws {Error} If the preset is unknown or the intensity is out of range.
+     */
+    resolve(request = {}) {
+        const name = request.preset || this.presets.default;
+        const preset = this.presets.presets[name];
+        if (!preset) {
+            throw new Error(`Unknown transmission preset "${name}". Available: ${Object.keys(this.presets.presets).join(', ')}.`);
+        }
+
+        let intensity = request.intensity;
+        if (intensity === undefined || intensity === null) {
+            const levels = this.presets.intensityLevels || {};
+            intensity = this.presets.followIntensity && levels[request.analysisIntensity] !== undefined
+                ? levels[request.analysisIntensity]
+                : 1;
+        }
+        if (!Number.isFinite(intensity) || intensity < 0 || intensity > 1) {
+            throw new Error(`Transmission intensity must be a number from 0 to 1 (got ${intensity}).`);
+        }
+
+        const sampleRate = this.config.processing.sampleRate;
+        // Frequencies move geometrically so half intensity sounds like half the effect
+        const towards = (neutral, target) => neutral * Math.pow(target / neutral, intensity);
+        const settings = {
+            preset: name,
+            label: preset.label || name,
+            intensity: intensity,
+            highpass: Math.round(towards(NEUTRAL.highpass, preset.highpass || NEUTRAL.highpass)),
+            lowpass: Math.round(towards(NEUTRAL.lowpass, preset.lowpass || NEUTRAL.lowpass)),
+            saturationDb: (preset.saturationDb || 0) * intensity,
+            bits: Math.round((NEUTRAL.bits + ((preset.bits || NEUTRAL.bits) - NEUTRAL.bits) * intensity) * 10) / 10,
+            sampleRate: Math.round(towards(sampleRate, Math.min(preset.sampleRate || sampleRate, sampleRate))),
+            noise: preset.noise && intensity > 0
+                ? { ...preset.noise, levelDb: preset.noise.levelDb + 20 * Math.log10(intensity) }
+                : null,
+            dropouts: preset.dropouts && intensity > 0
+                ? { ...preset.dropouts, perMinute: preset.dropouts.perMinute * intensity }
+                : null,
+            dropoutSamples: this.presets.dropoutSamples || null // Library groups played as each dropout starts and ends
+        };
+        settings.active = intensity > 0 && (
+            settings.highpass > NEUTRAL.highpass || settings.lowpass < NEUTRAL.lowpass ||
+            settings.saturationDb > 0 || settings.bits < NEUTRAL.bits ||
+            settings.sampleRate < sampleRate || !!settings.noise || !!settings.dropouts);
+        return settings;
+    }
+
+    /**
+     * Places dropouts across the voice track with a seeded generator, so a re-render drops out at the same moments.
+     * The first and last 5 seconds are left alone.
+     * @param {object} settings Result of `resolve`.
+     * @param {number} voiceDuration Seconds.
+     * @param {SeededRandom} random
+     * @returns {Array<object>} Dropouts `{ start, end }` in seconds from the start of the voice, sorted, non-overlapping.
+     */
+    planDropouts(settings, voiceDuration, random) {
+        const dropouts = settings.dropouts;
+        const margin = 5;
+        if (!settings.active || !dropouts || voiceDuration <= margin * 2) return [];
+
+        const count = Math.round(dropouts.perMinute * (voiceDuration / 60));
+        // One dropout per equal slice of the track keeps them spread out
+        const sliceLength = (voiceDuration - margin * 2) / count;
+        const planned = [];
+        for (let i = 0; i < count; i++) {
+            const length = dropouts.minSeconds + random.next() * (dropouts.maxSeconds - dropouts.minSeconds);
+            const start = margin + sliceLength * i + random.next() * Math.max(0, sliceLength - length);
+            planned.push({ start: this._round(start), end: this._round(start + length) });
+        }
+        return planned;
+    }
+
+    /**
+     * Filters for the voice, applied in the voice's own time (before it is placed on the timeline).
+     * @param {object} settings Result of `resolve`.
+     * @param {Array<object>} dropouts Result of `planDropouts`.
+     * @returns {string} A filter chain with a leading comma, or an empty string for no processing.
+     */
+    voiceFilters(settings, dropouts) {
+        if (!settings.active) return '';
+        const filters = [];
+        if (settings.highpass > NEUTRAL.highpass) filters.push(`highpass=f=${settings.highpass}`);
+        if (settings.lowpass < NEUTRAL.lowpass) filters.push(`lowpass=f=${settings.lowpass}`);
+        if (settings.saturationDb > 0) {
+            // Drive into a soft clipper, then take the gain back out
+            filters.push(`volume=${this._round(settings.saturationDb)}dB,asoftclip=type=tanh,volume=${this._round(-settings.saturationDb)}dB`);
+        }
+        const samples = Math.max(1, Math.round(this.config.processing.sampleRate / settings.sampleRate));
+        if (settings.bits < NEUTRAL.bits || samples > 1) {
+            filters.push(`acrusher=bits=${settings.bits}:samples=${samples}:mode=log:aa=1:mix=1`);
+        }
+        if (dropouts.length > 0) {
+            filters.push(`volume=volume=${settings.dropouts.floor}:enable='${this._during(dropouts)}'`);
+        }
+        return filters.length > 0 ? `,${filters.join(',')}` : '';
+    }
+
+    /**
+     * A source filter for the noise bed under the voice; it swells during dropouts.
+     * @param {object} settings Result of `resolve`.
+     * @param {Array<object>} dropouts Result of `planDropouts`.
+     * @param {number} voiceDuration Seconds.
+     * @returns {string|null} A filter chain without input label, or null when the preset has no noise.
+     */
+    noiseSource(settings, dropouts, voiceDuration) {
+        if (!settings.active || !settings.noise) return null;
+        const amplitude = Math.pow(10, settings.noise.levelDb / 20);
+        const fade = Math.min(1, voiceDuration / 4);
+        let chain = `anoisesrc=color=${settings.noise.color || 'pink'}:amplitude=${amplitude.toFixed(5)}` +
+            `:sample_rate=${this.config.processing.sampleRate}:duration=${this._round(voiceDuration)}` +
+            `,afade=t=in:d=${this._round(fade)},afade=t=out:st=${this._round(voiceDuration - fade)}:d=${this._round(fade)}`;
+        if (dropouts.length > 0 && settings.noise.dropoutBoostDb) {
+            chain += `,volume=volume=${settings.noise.dropoutBoostDb}dB:enable='${this._during(dropouts)}'`;
+        }
+        return chain;
+    }
+
+    /**
+     * @param {Array<object>} dropouts
+     * @returns {string} An FFmpeg expression that is non-zero during any dropout.
+     */
+    _during(dropouts) {
+        return dropouts.map(({ start, end }) => `between(t,${start},${end})`).join('+');
+    }
+
+    /**
+     * @param {number} value
+     * @returns {number} The value rounded to 10 ms / 0.01 dB.
+     */
+    _round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+module.exports = TransmissionCharacter;
@@ -0,0 +1,123 @@
+/**
+ * Voice activity detection for Lost Transmissions
+ * Maps where each voice stem is speaking with FFmpeg's `silencedetect`, placed on the episode timeline.
+ * The map keys the ducking envelopes (see core/ducking.js), so beds duck while someone talks and
+ * recover (or swell) in the pauses, regardless of how loud the voice bus happens to be.
+ */
+
+const ffmpeg = require('fluent-ffmpeg');
+
+class VoiceActivityDetector {
+    /**
+     * @param {object} config Audio settings; uses `ducking.detection`.
+     * @param {object} [detection={}] Thresholds that override `ducking.detection` (voice repair uses its own).
+     */
+    constructor(config, detection = {}) {
+        this.detection = {
+            noiseDb: -40,           // Quieter than this counts as silence
+            minSilenceSeconds: 0.3, // Shorter gaps stay part of the speech around them
+            minSpeechSeconds: 0.1,  // Shorter blips (clicks, breaths) are not speech
+            ...((config.ducking && config.ducking.detection) || {}),
+            ...detection
+        };
+    }
+
+    /**
+     * Detects speech on every voice layer.
+     * A stem that can't be analyzed is treated as speaking throughout, with a warning, so the
+     * beds still duck under it.
+     * @param {Array<object>} voiceLayers Voice layers (`filePath`, `duration`, `startOffset`).
+     * @param {object} [options={}]
+     * @param {AbortSignal} [options.signal]
+     * @returns {Promise<Array<object>>} Speech regions `{ start, end, speaker }` on the episode timeline, sorted by start.
+     */
+    async detect(voiceLayers, options = {}) {
+        const regions = [];
+        for (const layer of voiceLayers) {
+            const offset = layer.startOffset || 0;
+            let speech;
+            try {
+                speech = await this.detectFile(layer.filePath, layer.duration, options.signal);
+            } catch (err) {
+                if (options.signal && options.signal.aborted) throw err;
+                console.warn(`⚠️ Voice activity detection failed for ${layer.filePath}: ${err.message}. Ducking under the whole stem.`);
+                speech = [{ start: 0, end: layer.duration || 0 }];
+            }
+            speech.forEach(({ start, end }) => regions.push({
+                start: this._round(offset + start),
+                end: this._round(offset + end),
+                speaker: layer.speaker || null
+            }));
+        }
+        regions.sort((a, b) => a.start - b.start);
+        const speaking = regions.reduce((sum, region) => sum + region.end - region.start, 0);
+        console.log(`🗣️ Voice activity: ${regions.length} region(s), ${speaking.toFixed(1)}s of speech.`);
+        return regions;
+    }
+
+    /**
+     * Detects speech in one file.
+     * @param {string} filePath
+     * @param {number} duration The file's length in seconds (closes a region still open at the end).
+     * @param {AbortSignal} [signal] Kills the FFmpeg pass.
+     * @returns {Promise<Array<object>>} Speech regions `{ start, end }` in the file's own time.
+     */
+    detectFile(filePath, duration, signal) {
+        const { noiseDb, minSilenceSeconds } = this.detection;
+        return new Promise((resolve, reject) => {
+            const command = ffmpeg(filePath)
+                .audioFilters(`silencedetect=noise=${noiseDb}dB:d=${minSilenceSeconds}`)
+                .format('null');
+
+            if (signal) {
+                if (signal.aborted) return reject(new Error('Processing cancelled.'));
+                const onAbort = () => command.kill('SIGKILL');
+                signal.addEventListener('abort', onAbort, { once: true });
+                command.on('end', () => signal.removeEventListener('abort', onAbort));
+                command.on('error', () => signal.removeEventListener('abort', onAbort));
+            }
+
+            // fluent-ffmpeg only hands the last lines of stderr to 'end', so collect the report as it is printed
+            const report = [];
+            command
+                .on('stderr', line => {
+                    if (line.includes('silence_')) report.push(line);
+                })
+                .on('end', () => resolve(this.parseSilence(report.join('\n'), duration)))
+                .on('error', err => reject(err))
+                .save('-');
+        });
+    }
+
+    /**
+     * Inverts silencedetect's report into speech regions.
+     * @param {string} stderr FFmpeg output with `silence_start: <s>` / `silence_end: <s>` lines.
+     * @param {number} duration File length in seconds.
+     * @returns {Array<object>} Speech regions `{ start, end }` of at least `minSpeechSeconds`.
+     */
+    parseSilence(stderr, duration) {
+        const speech = [];
+        let speechStart = 0;
+        for (const [, kind, value] of stderr.matchAll(/silence_(start|end):\s*(-?[\d.]+)/g)) {
+            const time = Math.max(0, parseFloat(value));
+            if (kind === 'start') {
+                if (speechStart !== null) speech.push({ start: speechStart, end: time });
+                speechStart = null;
+            } else {
+                speechStart = time;
+            }
+        }
+        if (speechStart !== null && duration > speechStart) speech.push({ start: speechStart, end: duration });
+        return speech.filter(region => region.end - region.start >= this.detection.minSpeechSeconds);
+    }
+
+    /**
+     * @param {number} value
+     * @returns {number} The value rounded to milliseconds.
+     */
+    _round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+}
+
+module.exports = VoiceActivityDetector;
@@ -0,0 +1,215 @@
+/**
+ * Voice generator for Lost Transmissions
+ * The script-first front stage: renders each line of a parsed script with the configured TTS provider
+ * (see audio-processing/tts), lays the lines end to end with short pauses (longer at scene changes) and
+ * assembles one voice stem per speaker, silent while the others talk. The script text becomes each stem's
+ * timed transcript, so generated speech never has to be transcribed.
+ */
+
+const ffmpeg = require('fluent-ffmpeg'); // Probing clip durations and assembling the stems
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createTtsProvider } = require('../tts'); // Pluggable text-to-speech backends
+
+class VoiceGenerator {
+    /**
+     * @param {object} config Audio settings; `config.tts` selects the provider and the pauses between lines.
+     */
+    constructor(config) {
+        this.config = config;
+        this.ttsConfig = {
+            pauseSeconds: 0.6,      // Between lines
+            scenePauseSeconds: 1.5, // Where a new scene starts
+            ...(config.tts || {})
+        };
+        this.provider = createTtsProvider(this.ttsConfig);
+    }
+
+    /**
+     * Renders a script into voice stems.
+     * Lines without a speaker label in a script that has labels are voiced as "Narrator".
+     * @param {object} script Result of parseScript.
+     * @param {object} options
+     * @param {string} options.outputBase Path prefix for the stems: `<outputBase>.wav` for an unlabelled script,
+     * otherwise `<outputBase>-<speaker>.wav` per speaker (`<outputBase>-<speaker>-<n>.wav` for the nth speaker when an
+     * earlier speaker's name gives the same file name).
+     * @param {AbortSignal} [options.signal] Stops between lines and kills a running FFmpeg assembly.
+     * @param {Function} [options.onProgress] Called with a 0-100 percent as lines are rendered and stems assembled.
+     * @returns {Promise<object>} `{ voices, scenes, duration }`: `voices` are stems `{ filePath, speaker, transcript }`
+     * for processTransmission; `scenes` are `{ start, end, location, mood }` in seconds of the voice track.
+     */
+    async generate(script, options) {
+        const { signal } = options;
+        const report = options.onProgress || (() => {});
+        const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'lt-tts-'));
+        console.log(`🗣️ Generating ${script.lines.length} line(s) with the ${this.provider.name} TTS provider...`);
+        try {
+            // 1. Render every line
+            const clips = [];
+            for (let index = 0; index < script.lines.length; index++) {
+                if (signal && signal.aborted) throw new Error('Processing cancelled.');
+                const line = script.lines[index];
+                const speaker = line.speaker || (script.speakers.length > 0 ? 'Narrator' : null);
+                const outputPath = path.join(workDir, `line-${String(index + 1).padStart(4, '0')}${this.provider.extension}`);
+                const rendered = await this.provider.synthesize(line.text, { speaker, outputPath, signal });
+                const duration = rendered.duration || await this._probeDuration(rendered.filePath);
+                clips.push({ ...line, speaker, filePath: rendered.filePath, duration });
+                report(((index + 1) / script.lines.length) * 80);
+            }
+
+            // 2. Lay the lines end to end on the voice track
+            let cursor = 0;
+            clips.forEach((clip, index) => {
+                if (index > 0) {
+                    cursor += clip.scene !== clips[index - 1].scene ? this.ttsConfig.scenePauseSeconds : this.ttsConfig.pauseSeconds;
+                }
+                clip.start = this._round(cursor);
+                clip.end = this._round(cursor + clip.duration);
+                cursor = clip.end;
+            });
+            const duration = cursor;
+
+            // 3. One full-length stem per speaker, so each voice can be mixed on its own
+            const speakers = [...new Set(clips.map(clip => clip.speaker))];
+            const voices = [];
+            const names = new Set();
+            for (const [index, speaker] of speakers.entries()) {
+                const own = clips.filter(clip => clip.speaker === speaker);
+                let name = speaker ? `-${speaker.toLowerCase().replace(/[^a-z0-9]+/g, '-')}` : '';
+                // "Dr. Vance" and "Dr Vance" share a name; the speaker's number keeps their stems apart
+                if (names.has(name)) name += `-${index + 1}`;
+                names.add(name);
+                const filePath = `${options.outputBase}${name}.wav`;
+                await this._assemble(own, filePath, duration, workDir, signal);
+                voices.push({
+                    filePath: filePath,
+                    speaker: speaker,
+                    transcript: {
+                        text: own.map(clip => clip.text).join(' '),
+                        segments: own.map(({ start, end, text }) => ({ start, end, text }))
+                    }
+                });
+                report(80 + (voices.length / speakers.length) * 20);
+            }
+            console.log(`🗣️ Voice generated: ${duration.toFixed(1)}s,`, voices.map(voice => path.basename(voice.filePath)).join(', '));
+
+            return { voices, scenes: this._sceneTimes(script.scenes, clips, duration), duration };
+        } finally {
+            await fs.rm(workDir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Places the script's scene annotations on the voice track. A scene starts with its first line
+     * (the first scene at 0) and ends where the next begins; scenes without lines are dropped.
+     * @param {Array<object>} scenes `{ location, mood }` from parseScript.
+     * @param {Array<object>} clips Timed lines.
+     * @param {number} duration Voice track length in seconds.
+     * @returns {Array<object>} `{ start, end, location, mood? }`.
+     */
+    _sceneTimes(scenes, clips, duration) {
+        const placed = scenes
+            .map((scene, index) => {
+                const first = clips.find(clip => clip.scene === index);
+                return first ? { start: first.start, location: scene.location, ...(scene.mood ? { mood: scene.mood } : {}) } : null;
+            })
+            .filter(Boolean);
+        return placed.map((scene, index) => ({
+            ...scene,
+            start: index === 0 ? 0 : scene.start,
+            end: index < placed.length - 1 ? placed[index + 1].start : duration
+        }));
+    }
+
+    /**
+     * Lays a speaker's lines into one WAV stem, each at its start time, padded to the full voice track.
+     * Each line is rendered on its own with the silence before it, cut to end exactly where the next part
+     * begins (so the parts never drift), and the parts are joined by the concat demuxer: only one line's
+     * file is open at a time, however long the script is.
+     * @param {Array<object>} clips Timed lines `{ filePath, start, end }`.
+     * @param {string} outputPath
+     * @param {number} duration Voice track length in seconds.
+     * @param {string} workDir Scratch directory for the parts.
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<string>} The output path.
+     */
+    async _assemble(clips, outputPath, duration, workDir, signal) {
+        const sampleRate = this.config.processing.sampleRate;
+        const name = path.basename(outputPath, path.extname(outputPath));
+        const parts = [];
+        let cursor = 0; // Samples of the stem laid down so far
+        for (let index = 0; index < clips.length; index++) {
+            const clip = clips[index];
+            const end = Math.round((index < clips.length - 1 ? clip.end : duration) * sampleRate);
+            const length = end - cursor;
+            const partPath = path.join(workDir, `${name}-part-${String(index + 1).padStart(4, '0')}.wav`);
+            await this._run(ffmpeg(clip.filePath).audioFilters([
+                `aresample=${sampleRate}`,
+                'aformat=sample_fmts=s16:channel_layouts=mono',
+                `adelay=delays=${Math.max(0, Math.round(clip.start * sampleRate) - cursor)}S:all=1`,
+                `apad=whole_len=${length}`,
+                `atrim=end_sample=${length}`
+            ]), partPath, signal);
+            parts.push(partPath);
+            cursor = end;
+        }
+
+        const listPath = path.join(workDir, `${name}-parts.txt`);
+        await fs.writeFile(listPath, parts.map(part => `file '${part.replace(/'/g, "'\\''")}'`).join('\n') + '\n');
+        return this._run(ffmpeg(listPath).inputOptions(['-f', 'concat', '-safe', '0']), outputPath, signal);
+    }
+
+    /**
+     * Runs an FFmpeg command to a 16-bit WAV.
+     * @param {object} command A fluent-ffmpeg command with its input and filters set.
+     * @param {string} outputPath
+     * @param {AbortSignal} [signal] Kills the command when aborted.
+     * @returns {Promise<string>} The output path.
+     */
+    _run(command, outputPath, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal) {
+                if (signal.aborted) return reject(new Error('Processing cancelled.'));
+                const onAbort = () => command.kill('SIGKILL');
+                signal.addEventListener('abort', onAbort, { once: true });
+                command.on('end', () => signal.removeEventListener('abort', onAbort));
+                command.on('error', () => signal.removeEventListener('abort', onAbort));
+            }
+
+            command
+                .audioCodec('pcm_s16le')
+                .format('wav')
+                .on('end', () => resolve(outputPath))
+                .on('error', (err) => {
+                    console.error('❌ Voice assembly failed:', err.message);
+                    reject(err);
+                })
+                .save(outputPath);
+        });
+    }
+
+    /**
+     * Gets the duration of a rendered line using FFmpeg's ffprobe.
+     * @param {string} filePath
+     * @returns {Promise<number>} Seconds.
+     */
+    _probeDuration(filePath) {
+        return new Promise((resolve, reject) => {
+            ffmpeg.ffprobe(filePath, (err, metadata) => {
+                if (err) return reject(err);
+                resolve(metadata.format.duration);
+            });
+        });
+    }
+
+    /**
+     * @param {number} value
+     * @returns {number} The value rounded to milliseconds.
+     */
+    _round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+}
+
+module.exports = VoiceGenerator;
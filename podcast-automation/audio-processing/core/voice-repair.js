@@ -0,0 +1,201 @@
+/**
+ * Voice repair for Lost Transmissions
+ * Cleans the voice stems before they are analyzed and mixed: click removal, de-essing, optional breath
+ * attenuation, and the time-altering edits (leading/trailing silence trim, long pauses shortened to
+ * `silence.maxPauseSeconds`). Edits are planned over the whole voice track (see core/voice-edits.js), so
+ * stems stay in step, and every repaired stem carries its edit list so its transcript can be moved onto it.
+ * Settings live under `voiceRepair` in audio-settings.json.
+ */
+
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs').promises;
+const VoiceActivityDetector = require('./voice-activity'); // Speech regions for the silence edits
+const { planEdits, stemEdits, editedDuration, isUnedited } = require('../../core/voice-edits');
+
+class VoiceRepair {
+    /**
+     * @param {object} config Audio settings; uses `voiceRepair`.
+     */
+    constructor(config) {
+        const settings = config.voiceRepair || {};
+        this.settings = {
+            enabled: settings.enabled !== false,
+            declick: settings.declick !== false,
+            deess: { enabled: true, intensity: 0.5, maxReduction: 0.5, frequency: 0.5, ...settings.deess },
+            breaths: { enabled: false, thresholdDb: -35, reductionDb: -12, attackMs: 5, releaseMs: 150, ...settings.breaths },
+            silence: {
+                trimLeading: true,
+                trimTrailing: true,
+                paddingSeconds: 0.15,
+                maxPauseSeconds: null,
+                noiseDb: -45,
+                minSilenceSeconds: 0.25,
+                ...settings.silence
+            }
+        };
+        const { noiseDb, minSilenceSeconds } = this.settings.silence;
+        this.voiceActivity = new VoiceActivityDetector(config, { noiseDb, minSilenceSeconds });
+    }
+
+    /**
+     * Repairs every stem of an episode.
+     * Repair is not critical: if it fails, the episode is mixed from the stems as recorded, with a warning.
+     * @param {Array<object>} stems Stems from core/voice-stems.resolveStems.
+     * @param {object} options
+     * @param {string} options.outputBase Path prefix for the repaired stems: `<outputBase>.wav` for one stem,
+     * `<outputBase>-<n>.wav` for several.
+     * @param {AbortSignal} [options.signal] Kills a running FFmpeg pass.
+     * @param {Function} [options.onProgress] Called with a 0-100 percent.
+     * @returns {Promise<object>} `{ stems, files, removedSeconds }`: repaired stems (with `sourcePath`, the original
+     * file, and `edits`, its edit list; `offset` moves with the edits), the files written (for cleanup) and
+     * how much time the edits took out of the voice track.
+     */
+    async repairStems(stems, options) {
+        const report = options.onProgress || (() => {});
+        if (!this.settings.enabled) {
+            report(100);
+            return { stems, files: [], removedSeconds: 0 };
+        }
+
+        const files = [];
+        try {
+            // 1. Where each stem speaks, on the voice track
+            const durations = [];
+            const speech = [];
+            for (let index = 0; index < stems.length; index++) {
+                const stem = stems[index];
+                const duration = await this._probeDuration(stem.filePath);
+                durations.push(duration);
+                if (this._timeEditsEnabled()) {
+                    const regions = await this.voiceActivity.detectFile(stem.filePath, duration, options.signal);
+                    regions.forEach(({ start, end }) => speech.push({ start: stem.offset + start, end: stem.offset + end }));
+                }
+                report(((index + 1) / stems.length) * 30);
+            }
+
+            // 2. One edit list for the whole track, cut down to each stem
+            const trackDuration = Math.max(...stems.map((stem, index) => stem.offset + durations[index]));
+            const trackEdits = this._timeEditsEnabled()
+                ? planEdits(speech, trackDuration, this.settings.silence)
+                : [{ start: 0, end: trackDuration, at: 0 }];
+            const perStem = stems.map((stem, index) => stemEdits(trackEdits, stem.offset, durations[index]));
+            if (perStem.some(({ edits }) => edits.length === 0)) {
+                throw new Error('a voice stem would be cut entirely');
+            }
+
+            // 3. Render the repaired stems
+            const repaired = [];
+            for (let index = 0; index < stems.length; index++) {
+                const stem = stems[index];
+                const { offset, edits } = perStem[index];
+                const filters = this.filters(isUnedited(edits, durations[index]) ? null : edits);
+                if (filters.length === 0) {
+                    repaired.push({ ...stem, offset, sourcePath: stem.filePath, edits });
+                    continue;
+                }
+                const outputPath = stems.length === 1 ? `${options.outputBase}.wav` : `${options.outputBase}-${index + 1}.wav`;
+                files.push(outputPath);
+                await this._render(stem.filePath, outputPath, filters, options.signal);
+                repaired.push({ ...stem, filePath: outputPath, offset, sourcePath: stem.filePath, edits });
+                report(30 + ((index + 1) / stems.length) * 70);
+            }
+
+            const removedSeconds = Math.round((trackDuration - editedDuration(trackEdits)) * 10) / 10;
+            console.log(`🩹 Voice repaired: ${this._describe()}; ${trackEdits.length - 1} pause(s) shortened, ${removedSeconds}s removed.`);
+            report(100);
+            return { stems: repaired, files, removedSeconds };
+        } catch (err) {
+            await Promise.all(files.map(file => fs.unlink(file).catch(() => {})));
+            if (options.signal && options.signal.aborted) throw err;
+            console.warn(`⚠️ Voice repair failed: ${err.message}. Mixing the voice as recorded.`);
+            report(100);
+            return { stems, files: [], removedSeconds: 0 };
+        }
+    }
+
+    /**
+     * Builds the repair filter chain for one stem.
+     * @param {Array<object>|null} edits The stem's edit list, or null when it keeps its timing.
+     * @returns {Array<string>} Audio filters, in order; empty when there is nothing to repair.
+     */
+    filters(edits) {
+        const { declick, deess, breaths } = this.settings;
+        const filters = [];
+        if (declick) filters.push('adeclick');
+        if (deess.enabled) filters.push(`deesser=i=${deess.intensity}:m=${deess.maxReduction}:f=${deess.frequency}`);
+        if (breaths.enabled) {
+            // Breaths sit between the silence floor and speech; the gate lowers anything under the threshold
+            const linear = db => Math.pow(10, db / 20).toFixed(5);
+            filters.push(`agate=threshold=${linear(breaths.thresholdDb)}:range=${linear(breaths.reductionDb)}:attack=${breaths.attackMs}:release=${breaths.releaseMs}`);
+        }
+        if (edits) {
+            // Small frames keep the cuts within a few milliseconds of the plan
+            const kept = edits.map(part => `between(t,${part.start},${part.end})`).join('+');
+            filters.push('asetnsamples=n=256', `aselect='${kept}'`, 'asetpts=N/SR/TB');
+        }
+        return filters;
+    }
+
+    /**
+     * @returns {boolean} Whether any time-altering edit is switched on.
+     */
+    _timeEditsEnabled() {
+        const { trimLeading, trimTrailing, maxPauseSeconds } = this.settings.silence;
+        return trimLeading || trimTrailing || (maxPauseSeconds !== undefined && maxPauseSeconds !== null);
+    }
+
+    /**
+     * @returns {string} The repair steps that are switched on, for the log.
+     */
+    _describe() {
+        const { declick, deess, breaths } = this.settings;
+        const steps = [declick && 'de-click', deess.enabled && 'de-ess', breaths.enabled && 'breaths attenuated'].filter(Boolean);
+        return steps.length > 0 ? steps.join(', ') : 'no filtering';
+    }
+
+    /**
+     * Runs one repair pass to a 24-bit WAV.
+     * @param {string} inputPath
+     * @param {string} outputPath
+     * @param {Array<string>} filters
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<string>} The output path.
+     */
+    _render(inputPath, outputPath, filters, signal) {
+        return new Promise((resolve, reject) => {
+            const command = ffmpeg(inputPath)
+                .noVideo()
+                .audioFilters(filters)
+                .audioCodec('pcm_s24le')
+                .format('wav');
+
+            if (signal) {
+                if (signal.aborted) return reject(new Error('Processing cancelled.'));
+                const onAbort = () => command.kill('SIGKILL');
+                signal.addEventListener('abort', onAbort, { once: true });
+                command.on('end', () => signal.removeEventListener('abort', onAbort));
+                command.on('error', () => signal.removeEventListener('abort', onAbort));
+            }
+
+            command
+                .on('end', () => resolve(outputPath))
+                .on('error', err => reject(err))
+                .save(outputPath);
+        });
+    }
+
+    /**
+     * @param {string} filePath
+     * @returns {Promise<number>} Duration in seconds.
+     */
+    _probeDuration(filePath) {
+        return new Promise((resolve, reject) => {
+            ffmpeg.ffprobe(filePath, (err, metadata) => {
+                if (err) return reject(err);
+                resolve(metadata.format.duration);
+            });
+        });
+    }
+}
+
+module.exports = VoiceRepair;
@@ -0,0 +1,128 @@
+/**
+ * Chapter builder for Lost Transmissions
+ * Derives episode chapters from the intro, scene boundaries and outro, and serializes them
+ * as FFmpeg metadata (which FFmpeg writes as ID3 CHAP/CTOC frames or MP4 chapters) and as
+ * Podcasting 2.0 chapters JSON.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { programLength, voiceStart: voiceStartOf } = require('../../core/timeline');
+
+const PODCAST_CHAPTERS_VERSION = '1.2.0';
+
+/**
+ * Turns a location/mood id like "desert-night" into "Desert Night".
+ * @param {string} value
+ * @returns {string}
+ */
+function titleCase(value) {
+    return String(value || 'unknown').split(/[-_\s]+/).filter(Boolean)
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * Builds non-overlapping chapters on the final episode timeline.
+ * Scene times are relative to the voice track and are shifted by where it starts on the timeline;
+ * the intro and outro take precedence where they overlap the voice.
+ * @param {object} analysis Content analysis (uses `scenes`, `location`, `mood`).
+ * @param {Array<object>} layers The mixed layers (uses voice, structural-intro and structural-outro).
+ * @returns {Array<object>} Chapters `{ start, end, title }` in seconds, sorted and contiguous.
+ */
+function buildChapters(analysis, layers) {
+    if (!layers.some(layer => layer.type === 'voice')) return [];
+    const voiceStart = voiceStartOf(layers);
+    const programEnd = programLength(layers); // Through the end of the outro
+    const intro = layers.find(layer => layer.type === 'structural-intro');
+    const outro = layers.find(layer => layer.type === 'structural-outro');
+
+    const marks = [];
+    if (intro) marks.push({ start: intro.startOffset || 0, title: 'Intro' });
+
+    const scenes = analysis.scenes && analysis.scenes.length > 0
+        ? analysis.scenes
+        : [{ start: 0, location: analysis.location, mood: analysis.mood }];
+    const introEnd = intro ? (intro.startOffset || 0) + (intro.duration || 0) : 0;
+    scenes.forEach((scene, index) => {
+        const label = `${titleCase(scene.location)} (${scene.mood || 'mysterious'})`;
+        marks.push({
+            start: Math.max(voiceStart + scene.start, index === 0 ? introEnd : 0),
+            title: scenes.length > 1 ? `Scene ${index + 1}: ${label}` : `Transmission: ${label}`
+        });
+    });
+
+    if (outro) marks.push({ start: outro.startOffset || 0, title: 'Outro' });
+
+    // Drop marks that land past the end or on top of an earlier one, then close each chapter at the next
+    const sorted = marks
+        .filter(mark => mark.start < programEnd)
+        .sort((a, b) => a.start - b.start)
+        .filter((mark, index, all) => index === 0 || mark.start - all[index - 1].start >= 1);
+    if (sorted.length > 0) sorted[0].start = 0; // Chapters must cover the whole episode
+
+    return sorted.map((mark, index) => ({
+        start: mark.start,
+        end: index < sorted.length - 1 ? sorted[index + 1].start : programEnd,
+        title: mark.title
+    }));
+}
+
+/**
+ * Escapes a value for an FFmpeg metadata file.
+ * @param {string|number} value
+ * @returns {string}
+ */
+function escapeFfmetadata(value) {
+    return String(value).replace(/([=;#\\\n])/g, '\\$1');
+}
+
+/**
+ * Serializes global tags and chapters as an FFmpeg metadata (FFMETADATA1) file.
+ * @param {object} tags Global tags (key → value); empty values are skipped.
+ * @param {Array<object>} chapters Chapters `{ start, end, title }` in seconds.
+ * @returns {string}
+ */
+function toFfmetadata(tags, chapters) {
+    const lines = [';FFMETADATA1'];
+    Object.entries(tags).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') lines.push(`${key}=${escapeFfmetadata(value)}`);
+    });
+    chapters.forEach(chapter => {
+        lines.push('[CHAPTER]', 'TIMEBASE=1/1000',
+            `START=${Math.round(chapter.start * 1000)}`,
+            `END=${Math.round(chapter.end * 1000)}`,
+            `title=${escapeFfmetadata(chapter.title)}`);
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Serializes chapters in the Podcasting 2.0 JSON chapters format.
+ * @param {Array<object>} chapters Chapters `{ start, end, title }` in seconds.
+ * @returns {object}
+ */
+function toPodcastChapters(chapters) {
+    return {
+        version: PODCAST_CHAPTERS_VERSION,
+        chapters: chapters.map(chapter => ({
+            startTime: Number(chapter.start.toFixed(3)),
+            endTime: Number(chapter.end.toFixed(3)),
+            title: chapter.title
+        }))
+    };
+}
+
+/**
+ * Writes `<name>.chapters.json` (Podcasting 2.0) next to the episode.
+ * @param {Array<object>} chapters
+ * @param {string} audioFilePath The episode file the chapters belong to.
+ * @returns {Promise<string|null>} The written path, or null when there are no chapters.
+ */
+async function writePodcastChapters(chapters, audioFilePath) {
+    if (!chapters || chapters.length === 0) return null;
+    const chaptersPath = path.join(path.dirname(audioFilePath), `${path.basename(audioFilePath, path.extname(audioFilePath))}.chapters.json`);
+    await fs.writeFile(chaptersPath, JSON.stringify(toPodcastChapters(chapters), null, 2));
+    return chaptersPath;
+}
+
+module.exports = { buildChapters, toFfmetadata, toPodcastChapters, writePodcastChapters };
@@ -0,0 +1,138 @@
+/**
+ * Tagger for Lost Transmissions
+ * Embeds episode metadata, cover art and chapters into a finished deliverable with a
+ * stream-copy FFmpeg pass (no re-encode). MP3 gets ID3v2.3 frames including CHAP/CTOC,
+ * M4A gets MP4 atoms and chapters, FLAC/Opus get Vorbis comments.
+ */
+
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs').promises;
+const { toFfmetadata } = require('./chapters');
+
+// What each output container (export profile `container`) can carry
+const CONTAINER_SUPPORT = {
+    mp3: { coverArt: true, chapters: true, outputOptions: ['-id3v2_version 3', '-write_id3v1 1'] },
+    ipod: { coverArt: true, chapters: true, outputOptions: [] },
+    mp4: { coverArt: true, chapters: true, outputOptions: [] },
+    flac: { coverArt: true, chapters: true, outputOptions: [] },
+    opus: { coverArt: false, chapters: true, outputOptions: [] },
+    ogg: { coverArt: false, chapters: true, outputOptions: [] },
+    wav: { coverArt: false, chapters: false, outputOptions: [] }
+};
+
+class Tagger {
+    /**
+     * Maps episode metadata to FFmpeg metadata keys. FFmpeg translates these into ID3 frames
+     * (TIT2, TPE1, TALB, TRCK, TDRC/TYER, COMM, TXXX...) or MP4 atoms (©nam, ©ART, ©alb, trkn, ©day, desc...).
+     * @param {object} metadata From TransmissionMixer.generateMetadata.
+     * @param {string} container Export profile container.
+     * @returns {object} Tag key → value.
+     */
+    tagsFor(metadata, container) {
+        const tags = {
+            title: metadata.title,
+            artist: metadata.artist,
+            album_artist: metadata.artist,
+            album: metadata.show,
+            genre: metadata.genre,
+            publisher: metadata.publisher,
+            track: metadata.episodeNumber,
+            date: metadata.recordingDate,
+            comment: metadata.description,
+            description: metadata.description,
+            keywords: metadata.keywords
+        };
+        if (container === 'ipod' || container === 'mp4') {
+            // iTunes podcast atoms
+            tags.show = metadata.show;
+            tags.episode_sort = metadata.episodeNumber;
+            tags.synopsis = metadata.description;
+            delete tags.keywords; // No MP4 atom for keywords
+        }
+        return tags;
+    }
+
+    /**
+     * Writes tags, cover art and chapters into an existing file (in place).
+     * @param {string} filePath The deliverable to tag.
+     * @param {object} params
+     * @param {string} params.container Export profile container (e.g. 'mp3', 'ipod', 'flac').
+     * @param {object} params.metadata Episode metadata.
+     * @param {Array<object>} [params.chapters] Chapters `{ start, end, title }` in seconds.
+     * @param {string} [params.coverArt] Path to a JPEG/PNG cover image.
+     * @param {AbortSignal} [params.signal]
+     * @returns {Promise<object>} `{ tags, chapters, coverArt }` describing what was embedded.
+     */
+    async tag(filePath, params) {
+        const support = CONTAINER_SUPPORT[params.container] || { coverArt: false, chapters: false, outputOptions: [] };
+        const chapters = support.chapters ? (params.chapters || []) : [];
+        const coverArt = support.coverArt && params.coverArt && await this._exists(params.coverArt) ? params.coverArt : null;
+        if (support.coverArt && params.coverArt && !coverArt) {
+            console.warn(`⚠️ Cover art not found, skipping: ${params.coverArt}`);
+        }
+
+        const metadataPath = `${filePath}.ffmetadata.txt`;
+        const taggedPath = `${filePath}.tagging`;
+        await fs.writeFile(metadataPath, toFfmetadata(this.tagsFor(params.metadata, params.container), chapters));
+
+        try {
+            let command = ffmpeg(filePath).input(metadataPath).inputFormat('ffmetadata');
+            const outputOptions = ['-map 0:a', '-map_metadata 1', '-map_chapters 1', '-c copy', ...support.outputOptions];
+            if (coverArt) {
+                command = command.input(coverArt);
+                outputOptions.push('-map 2:v', '-disposition:v:0 attached_pic', '-metadata:s:v title=Cover', '-metadata:s:v comment=Cover (front)');
+            }
+            command = command.outputOptions(outputOptions).format(params.container).output(taggedPath);
+
+            await this._run(command, params.signal);
+            await fs.rename(taggedPath, filePath);
+        } finally {
+            await fs.unlink(metadataPath).catch(() => {});
+            await fs.unlink(taggedPath).catch(() => {});
+        }
+
+        return { tags: true, chapters: chapters.length, coverArt: !!coverArt };
+    }
+
+    /**
+     * Runs a prepared fluent-ffmpeg command, killing it when the signal aborts.
+     * @param {object} command
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<void>}
+     */
+    _run(command, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal) {
+                if (signal.aborted) {
+                    return reject(new Error('Processing cancelled.'));
+                }
+                const onAbort = () => command.kill('SIGKILL');
+                signal.addEventListener('abort', onAbort, { once: true });
+                command.on('end', () => signal.removeEventListener('abort', onAbort));
+                command.on('error', () => signal.removeEventListener('abort', onAbort));
+            }
+            command
+                .on('end', () => resolve())
+                .on('error', (err, stdout, stderr) => {
+                    console.error('FFmpeg stderr:', stderr);
+                    reject(err);
+                })
+                .run();
+        });
+    }
+
+    /**
+     * @param {string} filePath
+     * @returns {Promise<boolean>}
+     */
+    async _exists(filePath) {
+        try {
+            await fs.access(filePath);
+            return true;
+        } catch (err) {
+            return false;
+        }
+    }
+}
+
+module.exports = Tagger;
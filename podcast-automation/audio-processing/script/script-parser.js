@@ -0,0 +1,139 @@
+/**
+ * Script parser for Lost Transmissions
+ * Reads an episode script (plain text or Markdown) into the lines a TTS provider speaks.
+ *
+ * Annotations:
+ *   # The Lighthouse Signal           The first level-1 heading is the episode title (not spoken)
+ *   ## Scene: coastal (mysterious)    Starts a scene with a location and optional mood;
+ *   [Scene: coastal (mysterious)]     the bracketed form works in plain text
+ *   MILES: We found it.               A speaker label: upper case, bold, or a known speaker (see
+ *   **Miles:** We found it.           parseScript). Later paragraphs keep the speaker until the next label
+ *   [static crackles] / (whispering)  Lines wholly in brackets or parentheses are stage directions, not spoken
+ *   <!-- note -->                     Comments are ignored, as are other headings
+ *
+ * Each paragraph (blank-line separated, or a new speaker label) is one spoken line.
+ */
+
+const SCENE_PATTERN = /^(?:#{1,6}\s*)?\[?\s*scene\s*:\s*([^()\]]+?)\s*(?:\(([^)]*)\))?\s*\]?$/i;
+const BOLD_SPEAKER_PATTERN = /^(?:\*\*|__)([A-Za-z][A-Za-z0-9.'-]*(?: [A-Za-z0-9.'-]+){0,2})(?::(?:\*\*|__)|(?:\*\*|__)\s*:)\s+(.+)$/;
+const PLAIN_SPEAKER_PATTERN = /^([A-Za-z][A-Za-z0-9.'-]*(?: [A-Za-z0-9.'-]+){0,2})\s*:\s+(.+)$/;
+const HEADING_PATTERN = /^(#{1,6})\s+(.*)$/;
+const DIRECTION_PATTERN = /^(\[[^\]]*\]|\([^)]*\))$/;
+
+/**
+ * Removes Markdown formatting from spoken text.
+ * @param {string} text
+ * @returns {string}
+ */
+function stripMarkdown(text) {
+    return text
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, '')          // Images
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')        // Links keep their text
+        .replace(/`([^`]*)`/g, '$1')                    // Inline code
+        .replace(/(\*\*|__)(.+?)\1/g, '$2')              // Bold
+        .replace(/(^|\W)[*_](.+?)[*_](?=\W|$)/g, '$1$2') // Italics
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Finds a speaker label at the start of a line. Bold labels (`**Miles:**`) and upper-case ones (`MILES:`)
+ * always count; a plain `Miles:` only when Miles is a known speaker, so prose like "Then he said: ..."
+ * or "Warning: ..." stays spoken text.
+ * @param {string} line
+ * @param {Array<string>} knownSpeakers
+ * @returns {{speaker: string, text: string}|null}
+ */
+function matchSpeaker(line, knownSpeakers) {
+    const bold = line.match(BOLD_SPEAKER_PATTERN);
+    if (bold) return { speaker: bold[1].trim(), text: bold[2] };
+
+    const plain = line.match(PLAIN_SPEAKER_PATTERN);
+    if (!plain) return null;
+    const label = plain[1].trim();
+    const known = knownSpeakers.find(name => name.toLowerCase() === label.toLowerCase());
+    if (known) return { speaker: known, text: plain[2] };
+    return /[A-Z]/.test(label) && label === label.toUpperCase() ? { speaker: label, text: plain[2] } : null;
+}
+
+/**
+ * Parses a script into spoken lines, speakers and scenes.
+ * @param {string} content Script text (plain text or Markdown).
+ * @param {object} [options={}]
+ * @param {Array<string>} [options.speakers] Known speaker names (e.g. the manifest's `voices`); a plain
+ * `Name:` label is only taken as a speaker when it is one of these, and keeps the name's spelling.
+ * @returns {object} `{ title, speakers, scenes, lines }`: `speakers` in order of appearance, `scenes` as
+ * `{ location, mood }`, and `lines` as `{ text, speaker, scene }` where `scene` indexes `scenes` (null before the first).
+ * A script without speaker labels has `speakers: []` and null line speakers.
+ * @throws {Error} If the script has no spoken lines.
+ */
+function parseScript(content, options = {}) {
+    const knownSpeakers = options.speakers || [];
+    const result = { title: null, speakers: [], scenes: [], lines: [] };
+    let speaker = null;
+    let paragraph = null;
+
+    const flush = () => {
+        if (paragraph) {
+            const text = stripMarkdown(paragraph.join(' '));
+            if (text) {
+                result.lines.push({ text, speaker, scene: result.scenes.length > 0 ? result.scenes.length - 1 : null });
+            }
+        }
+        paragraph = null;
+    };
+
+    const source = String(content || '').replace(/\r/g, '').replace(/<!--[\s\S]*?-->/g, '');
+    for (const rawLine of source.split('\n')) {
+        const line = rawLine.trim().replace(/^>\s*/, '').replace(/^(?:[-*+]|\d+\.)\s+/, '');
+        if (!line) {
+            flush();
+            continue;
+        }
+
+        const scene = line.match(SCENE_PATTERN);
+        if (scene) {
+            flush();
+            // Library ids are lower-case and hyphenated ("Desert Night" → desert-night)
+            const toId = value => value.trim().toLowerCase().replace(/\s+/g, '-');
+            result.scenes.push({ location: toId(scene[1]), mood: scene[2] && scene[2].trim() ? toId(scene[2]) : null });
+            continue;
+        }
+
+        const heading = line.match(HEADING_PATTERN);
+        if (heading) {
+            flush();
+            if (heading[1] === '#' && result.title === null) result.title = stripMarkdown(heading[2]);
+            continue;
+        }
+
+        if (DIRECTION_PATTERN.test(line)) {
+            flush();
+            continue;
+        }
+
+        const labelled = matchSpeaker(line, knownSpeakers);
+        if (labelled) {
+            flush();
+            speaker = labelled.speaker;
+            if (speaker === speaker.toUpperCase()) {
+                // Screenplay-style MILES becomes Miles
+                speaker = speaker.toLowerCase().replace(/(^|\s)\S/g, letter => letter.toUpperCase());
+            }
+            if (!result.speakers.includes(speaker)) result.speakers.push(speaker);
+            paragraph = [labelled.text];
+            continue;
+        }
+
+        paragraph = paragraph || [];
+        paragraph.push(line);
+    }
+    flush();
+
+    if (result.lines.length === 0) {
+        throw new Error('The script has no spoken lines.');
+    }
+    return result;
+}
+
+module.exports = { parseScript, stripMarkdown };
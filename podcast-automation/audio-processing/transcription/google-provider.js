@@ -0,0 +1,81 @@
+/**
+ * Google Cloud Speech-to-Text transcription provider.
+ * Requires Google Cloud credentials and network access.
+ */
+
+const fs = require('fs').promises;
+
+class GoogleSpeechProvider {
+    /**
+     * @param {object} [options={}] Provider settings from `transcription.google` in audio-settings.json.
+     */
+    constructor(options = {}) {
+        this.name = 'google';
+        this.options = options;
+        this.speechClient = null; // Created lazily so offline providers never load the Google SDK
+    }
+
+    /**
+     * Transcribes an audio file with Google Cloud Speech-to-Text.
+     * @param {string} audioFilePath The path to the audio file (e.g., MP3 from ElevenLabs).
+     * @returns {Promise<object>} Transcript `{ text, segments }`, one segment per recognition result with word timings.
+     */
+    async transcribe(audioFilePath) {
+        if (!this.speechClient) {
+            const speech = require('@google-cloud/speech');
+            this.speechClient = new speech.SpeechClient();
+        }
+
+        const audioBytes = await fs.readFile(audioFilePath); // Read audio file as bytes
+        
+        const request = {
+            audio: { content: audioBytes.toString('base64') }, // Base64 encode the audio
+            config: {
+                encoding: this.options.encoding || 'MP3', // Specify the audio encoding (assuming ElevenLabs outputs MP3)
+                sampleRateHertz: this.options.sampleRateHertz || 16000, // Common sample rate for voice; confirm ElevenLabs output SR
+                languageCode: this.options.languageCode || 'en-US', // Language of the speech
+                enableAutomaticPunctuation: true, // Improve readability of transcript
+                enableWordTimeOffsets: true, // Keep per-word start/end times for captions and cue placement
+                model: this.options.model || 'latest_long' // Optimized model for longer audio and higher accuracy
+            }
+        };
+        
+        // Send the recognition request to Google Cloud Speech-to-Text
+        const [response] = await this.speechClient.recognize(request);
+
+        // Keep each result as a timed segment; the flat text joins them as before
+        const segments = response.results
+            .map(result => result.alternatives[0])
+            .filter(alternative => alternative && alternative.transcript)
+            .map(alternative => {
+                const words = (alternative.words || []).map(word => ({
+                    word: word.word,
+                    start: this._toSeconds(word.startTime),
+                    end: this._toSeconds(word.endTime)
+                }));
+                return {
+                    start: words.length ? words[0].start : null,
+                    end: words.length ? words[words.length - 1].end : null,
+                    text: alternative.transcript.trim(),
+                    words: words
+                };
+            });
+
+        return {
+            text: segments.map(segment => segment.text).join('\n'),
+            segments: segments
+        };
+    }
+
+    /**
+     * Converts a protobuf Duration (`{ seconds, nanos }`) to seconds.
+     * @param {object} duration
+     * @returns {number}
+     */
+    _toSeconds(duration) {
+        if (!duration) return 0;
+        return Number(duration.seconds || 0) + (duration.nanos || 0) / 1e9;
+    }
+}
+
+module.exports = GoogleSpeechProvider;
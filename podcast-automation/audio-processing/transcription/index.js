@@ -0,0 +1,43 @@
+/**
+ * Transcription provider registry for Lost Transmissions.
+ * Every provider exposes `name` and `transcribe(audioFilePath, options) => Promise<{ text, segments }>`,
+ * where segments are `{ start, end, text, words? }` in seconds (null times when the source has no timing);
+ * the one used by ContentAnalyzer is chosen by `transcription.provider` in audio-settings.json.
+ */
+
+const GoogleSpeechProvider = require('./google-provider');
+const LocalRecognizerProvider = require('./local-provider');
+const SidecarTranscriptProvider = require('./sidecar-provider');
+
+const PROVIDERS = {
+    google: GoogleSpeechProvider,
+    local: LocalRecognizerProvider,
+    sidecar: SidecarTranscriptProvider
+};
+
+/**
+ * Creates the transcription provider described by the config.
+ * @param {object} [config={}] The `transcription` section of audio-settings.json.
+ * @param {string} [config.provider='google'] One of 'google', 'local' or 'sidecar'.
+ * @param {string} [config.sidecar.fallback] Provider the sidecar provider falls back to when no file exists.
+ * @returns {object} A transcription provider instance.
+ */
+function createTranscriptionProvider(config = {}) {
+    const name = config.provider || 'google';
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown transcription provider "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}.`);
+    }
+
+    if (name === 'sidecar') {
+        const sidecarConfig = config.sidecar || {};
+        const fallback = sidecarConfig.fallback && sidecarConfig.fallback !== 'sidecar'
+            ? createTranscriptionProvider({ ...config, provider: sidecarConfig.fallback })
+            : null;
+        return new SidecarTranscriptProvider(sidecarConfig, fallback);
+    }
+
+    return new Provider(config[name] || {});
+}
+
+module.exports = { createTranscriptionProvider, PROVIDERS };
@@ -0,0 +1,88 @@
+/**
+ * Local speech recognizer transcription provider.
+ * Runs an offline Whisper/Vosk-style command-line tool and reads back its output,
+ * so analysis works without credentials or network access.
+ */
+
+const { execFile } = require('child_process');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { parseTranscript } = require('./transcript-parsers');
+
+class LocalRecognizerProvider {
+    /**
+     * @param {object} [options={}] Provider settings from `transcription.local` in audio-settings.json.
+     * @param {string} options.command Executable to run (e.g., 'whisper').
+     * @param {Array<string>} [options.args] Arguments; `{input}`, `{outputDir}` and `{language}` are substituted.
+     * @param {string} [options.outputExtension] Extension of the file the tool writes to `{outputDir}`
+     *   (named after the input file). When omitted, the tool's stdout is used as the transcript.
+     * @param {string} [options.language='en'] Language code passed through as `{language}`.
+     * @param {number} [options.timeoutMs] Kill the recognizer if it runs longer than this.
+     */
+    constructor(options = {}) {
+        this.name = 'local';
+        if (!options.command) {
+            throw new Error('Local transcription provider requires a "command" setting.');
+        }
+        this.options = options;
+    }
+
+    /**
+     * Transcribes an audio file with the configured local recognizer.
+     * @param {string} audioFilePath The path to the audio file.
+     * @param {object} [options={}]
+     * @param {AbortSignal} [options.signal] Kills the recognizer process when aborted.
+     * @returns {Promise<object>} Transcript `{ text, segments }`.
+     */
+    async transcribe(audioFilePath, options = {}) {
+        const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'lt-transcript-'));
+        try {
+            const args = (this.options.args || ['{input}']).map(arg => arg
+                .replace('{input}', audioFilePath)
+                .replace('{outputDir}', outputDir)
+                .replace('{language}', this.options.language || 'en'));
+
+            console.log(`🗒️ Running local recognizer: ${this.options.command} ${args.join(' ')}`);
+            const stdout = await this._run(this.options.command, args, options.signal);
+
+            if (!this.options.outputExtension) {
+                return parseTranscript(stdout, 'stdout.txt');
+            }
+
+            const baseName = path.basename(audioFilePath, path.extname(audioFilePath));
+            const outputFile = path.join(outputDir, `${baseName}${this.options.outputExtension}`);
+            const content = await fs.readFile(outputFile, 'utf8');
+            return parseTranscript(content, outputFile);
+        } finally {
+            await fs.rm(outputDir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Runs the recognizer and resolves with its stdout.
+     * @param {string} command
+     * @param {Array<string>} args
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<string>}
+     */
+    _run(command, args, signal) {
+        return new Promise((resolve, reject) => {
+            execFile(command, args, {
+                signal,
+                timeout: this.options.timeoutMs || 0,
+                maxBuffer: 64 * 1024 * 1024 // Long episodes produce long transcripts on stdout
+            }, (err, stdout, stderr) => {
+                if (err) {
+                    console.error(`❌ Local recognizer failed: ${err.message}`);
+                    if (stderr) console.error('Recognizer stderr:', stderr);
+                    return reject(err);
+                }
+                resolve(stdout);
+            });
+        });
+    }
+}
+
+module.exports = LocalRecognizerProvider;
@@ -0,0 +1,69 @@
+/**
+ * Sidecar transcript provider.
+ * Reads a transcript file stored next to the audio (e.g., `episode-12.txt` beside `episode-12.mp3`).
+ * ElevenLabs scripts already exist as text, so this skips speech recognition entirely.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const { parseTranscript } = require('./transcript-parsers');
+
+const DEFAULT_EXTENSIONS = ['.txt', '.srt', '.vtt', '.json'];
+
+class SidecarTranscriptProvider {
+    /**
+     * @param {object} [options={}] Provider settings from `transcription.sidecar` in audio-settings.json.
+     * @param {Array<string>} [options.extensions] Sidecar extensions to look for, in priority order.
+     * @param {object} [fallbackProvider=null] Provider used when no sidecar file exists.
+     */
+    constructor(options = {}, fallbackProvider = null) {
+        this.name = 'sidecar';
+        this.extensions = options.extensions || DEFAULT_EXTENSIONS;
+        this.fallbackProvider = fallbackProvider;
+    }
+
+    /**
+     * Reads the transcript for an audio file from its sidecar file.
+     * @param {string} audioFilePath The path to the audio file.
+     * @param {object} [options={}]
+     * @param {string} [options.transcriptPath] Explicit transcript file, bypassing the sidecar lookup.
+     * @returns {Promise<object>} Transcript `{ text, segments }`.
+     */
+    async transcribe(audioFilePath, options = {}) {
+        const transcriptPath = options.transcriptPath || await this.findSidecar(audioFilePath);
+
+        if (!transcriptPath) {
+            if (this.fallbackProvider) {
+                console.log(`🗒️ No sidecar transcript for ${path.basename(audioFilePath)}; using ${this.fallbackProvider.name} provider.`);
+                return this.fallbackProvider.transcribe(audioFilePath, options);
+            }
+            throw new Error(`No sidecar transcript found for ${audioFilePath} (looked for ${this.extensions.join(', ')}).`);
+        }
+
+        console.log(`🗒️ Using sidecar transcript: ${transcriptPath}`);
+        const content = await fs.readFile(transcriptPath, 'utf8');
+        return parseTranscript(content, transcriptPath);
+    }
+
+    /**
+     * Looks for `<audio basename><ext>` next to the audio file.
+     * @param {string} audioFilePath
+     * @returns {Promise<string|null>} Path of the first sidecar found, or null.
+     */
+    async findSidecar(audioFilePath) {
+        const base = path.join(path.dirname(audioFilePath), path.basename(audioFilePath, path.extname(audioFilePath)));
+        for (const extension of this.extensions) {
+            const candidate = `${base}${extension}`;
+            try {
+                await fs.access(candidate);
+                return candidate;
+            } catch (err) {
+                // Not present; try the next extension
+            }
+        }
+        return null;
+    }
+}
+
+module.exports = SidecarTranscriptProvider;
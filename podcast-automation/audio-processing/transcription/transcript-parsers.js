@@ -0,0 +1,139 @@
+/**
+ * Transcript file parsers for Lost Transmissions
+ * Turns plain-text, SubRip (.srt), WebVTT (.vtt) and JSON transcripts into a transcript object:
+ *   { text: string, segments: Array<{ start, end, text, words?: Array<{ word, start, end }> }> }
+ * Times are in seconds. Plain text has no timing, so its segments carry `start`/`end` of null
+ * and are spread over the audio later by ContentAnalyzer.
+ */
+
+const path = require('path');
+
+/**
+ * Converts an SRT/VTT timestamp ("00:01:02,500", "01:02.500") to seconds.
+ * @param {string} timestamp
+ * @returns {number}
+ */
+function parseTimestamp(timestamp) {
+    const parts = timestamp.trim().replace(',', '.').split(':').map(Number);
+    return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+/**
+ * Parses an SRT/VTT document into timed segments.
+ * @param {string} content Raw caption file content.
+ * @returns {object} Transcript object with one segment per cue.
+ */
+function parseCaptions(content) {
+    const blocks = content.replace(/\r/g, '').split(/\n{2,}/);
+    const segments = [];
+
+    for (const block of blocks) {
+        const lines = block.split('\n').map(line => line.trim()).filter(Boolean);
+        const timingIndex = lines.findIndex(line => line.includes('-->'));
+        if (timingIndex === -1) continue; // WEBVTT header, NOTE blocks, stray text
+
+        const [startText, endText] = lines[timingIndex].split('-->');
+        const text = lines.slice(timingIndex + 1)
+            .map(line => line.replace(/<[^>]+>/g, '')) // Inline tags like <i> or <v Speaker>
+            .join(' ')
+            .trim();
+        if (!text) continue;
+
+        segments.push({
+            start: parseTimestamp(startText),
+            end: parseTimestamp(endText.trim().split(/\s+/)[0]), // VTT cue settings follow the end time
+            text: text
+        });
+    }
+
+    return { text: segments.map(segment => segment.text).join('\n'), segments };
+}
+
+/**
+ * Normalizes one JSON segment/word list entry to `{ start, end, text, words }`.
+ * @param {object} segment
+ * @returns {object}
+ */
+function normalizeSegment(segment) {
+    const words = Array.isArray(segment.words)
+        ? segment.words.map(word => ({
+            word: (word.word || word.text || '').trim(),
+            start: Number(word.start),
+            end: Number(word.end)
+        }))
+        : undefined;
+    return {
+        start: segment.start !== undefined ? Number(segment.start) : null,
+        end: segment.end !== undefined ? Number(segment.end) : null,
+        text: (segment.text || '').trim(),
+        ...(words ? { words } : {})
+    };
+}
+
+/**
+ * Parses common JSON transcript shapes:
+ * Whisper `{ text, segments: [{ start, end, text, words? }] }`, Vosk `{ text, result: [{ word, start, end }] }`,
+ * `{ transcript }`, or a bare array of segments.
+ * @param {string} content Raw JSON content.
+ * @returns {object} Transcript object.
+ */
+function parseJson(content) {
+    const data = JSON.parse(content);
+
+    if (Array.isArray(data) || Array.isArray(data.segments)) {
+        const segments = (Array.isArray(data) ? data : data.segments).map(normalizeSegment);
+        const text = typeof data.text === 'string' ? data.text.trim() : segments.map(segment => segment.text).join(' ');
+        return { text, segments };
+    }
+
+    if (Array.isArray(data.result)) {
+        // Vosk word list: keep it as a single segment carrying word timings
+        const words = data.result.map(word => ({ word: word.word, start: Number(word.start), end: Number(word.end) }));
+        const text = typeof data.text === 'string' ? data.text.trim() : words.map(word => word.word).join(' ');
+        return {
+            text,
+            segments: words.length ? [{ start: words[0].start, end: words[words.length - 1].end, text, words }] : []
+        };
+    }
+
+    const text = typeof data.text === 'string' ? data.text : data.transcript;
+    if (typeof text === 'string') {
+        return parsePlainText(text);
+    }
+    throw new Error('Unrecognized JSON transcript format.');
+}
+
+/**
+ * Splits untimed text into sentence segments with null timings.
+ * @param {string} content
+ * @returns {object} Transcript object.
+ */
+function parsePlainText(content) {
+    const text = content.trim();
+    const sentences = text.match(/[^.!?\n]+[.!?]*/g) || [];
+    const segments = sentences
+        .map(sentence => sentence.trim())
+        .filter(Boolean)
+        .map(sentence => ({ start: null, end: null, text: sentence }));
+    return { text, segments };
+}
+
+/**
+ * Parses transcript content based on its file extension.
+ * @param {string} content Raw file content.
+ * @param {string} filePath Path (or name) of the transcript file, used to pick the parser.
+ * @returns {object} Transcript object `{ text, segments }`.
+ */
+function parseTranscript(content, filePath) {
+    switch (path.extname(filePath).toLowerCase()) {
+        case '.srt':
+        case '.vtt':
+            return parseCaptions(content);
+        case '.json':
+            return parseJson(content);
+        default:
+            return parsePlainText(content);
+    }
+}
+
+module.exports = { parseTranscript, parseCaptions, parseJson, parsePlainText, parseTimestamp };
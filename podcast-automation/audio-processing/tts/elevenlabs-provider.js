@@ -0,0 +1,80 @@
+/**
+ * ElevenLabs text-to-speech provider.
+ * Requires an API key (read from the environment) and network access.
+ */
+
+const { createWriteStream } = require('fs');
+const { pipeline } = require('stream').promises;
+
+class ElevenLabsProvider {
+    /**
+     * @param {object} [options={}] Provider settings from `tts.elevenlabs` in audio-settings.json.
+     * @param {object} options.voices Voice IDs by speaker label; `default` is used for unlabelled lines and unknown speakers.
+     * @param {string} [options.apiKeyEnv='ELEVENLABS_API_KEY'] Environment variable holding the API key.
+     * @param {string} [options.modelId='eleven_multilingual_v2']
+     * @param {string} [options.outputFormat='mp3_44100_128']
+     * @param {object} [options.voiceSettings] Passed through as `voice_settings` (stability, similarity_boost, ...).
+     * @param {string} [options.baseUrl='https://api.elevenlabs.io']
+     */
+    constructor(options = {}) {
+        this.name = 'elevenlabs';
+        this.extension = '.mp3';
+        this.options = options;
+        this.fetch = null; // Loaded lazily so the stub provider works without node-fetch
+    }
+
+    /**
+     * Picks the ElevenLabs voice for a speaker.
+     * @param {string|null} speaker
+     * @returns {string} Voice ID.
+     * @throws {Error} If neither the speaker nor `default` has a voice.
+     */
+    voiceFor(speaker) {
+        const voices = this.options.voices || {};
+        const voiceId = (speaker && voices[speaker]) || voices.default;
+        if (!voiceId) {
+            throw new Error(`No ElevenLabs voice for ${speaker ? `speaker "${speaker}"` : 'unlabelled lines'}. Set tts.elevenlabs.voices.default (or a voice per speaker).`);
+        }
+        return voiceId;
+    }
+
+    /**
+     * Renders one line of the script to an MP3 file.
+     * @param {string} text
+     * @param {object} options
+     * @param {string|null} [options.speaker] Speaker label, mapped to a voice by `voices`.
+     * @param {string} options.outputPath Where to write the audio.
+     * @param {AbortSignal} [options.signal] Aborts the request.
+     * @returns {Promise<object>} `{ filePath, duration: null }`; the caller probes the duration.
+     */
+    async synthesize(text, { speaker = null, outputPath, signal } = {}) {
+        const apiKeyEnv = this.options.apiKeyEnv || 'ELEVENLABS_API_KEY';
+        const apiKey = process.env[apiKeyEnv];
+        if (!apiKey) {
+            throw new Error(`ElevenLabs API key missing: set the ${apiKeyEnv} environment variable.`);
+        }
+        if (!this.fetch) this.fetch = require('node-fetch');
+
+        const voiceId = this.voiceFor(speaker);
+        const url = `${this.options.baseUrl || 'https://api.elevenlabs.io'}/v1/text-to-speech/${encodeURIComponent(voiceId)}` +
+            `?output_format=${encodeURIComponent(this.options.outputFormat || 'mp3_44100_128')}`;
+        const response = await this.fetch(url, {
+            method: 'POST',
+            headers: { 'xi-api-key': apiKey, 'Content-Type': 'application/json', Accept: 'audio/mpeg' },
+            body: JSON.stringify({
+                text: text,
+                model_id: this.options.modelId || 'eleven_multilingual_v2',
+                ...(this.options.voiceSettings ? { voice_settings: this.options.voiceSettings } : {})
+            }),
+            signal
+        });
+        if (!response.ok) {
+            throw new Error(`ElevenLabs request failed (${response.status}): ${(await response.text()).slice(0, 300)}`);
+        }
+
+        await pipeline(response.body, createWriteStream(outputPath));
+        return { filePath: outputPath, duration: null };
+    }
+}
+
+module.exports = ElevenLabsProvider;
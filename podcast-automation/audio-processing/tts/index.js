@@ -0,0 +1,32 @@
+/**
+ * Text-to-speech provider registry for Lost Transmissions.
+ * Every provider exposes `name`, `extension` (of the files it writes) and
+ * `synthesize(text, { speaker, outputPath, signal }) => Promise<{ filePath, duration }>`, where `duration`
+ * is in seconds or null when the provider doesn't know it; the one used by VoiceGenerator is chosen by
+ * `tts.provider` in audio-settings.json.
+ */
+
+const ElevenLabsProvider = require('./elevenlabs-provider');
+const StubToneProvider = require('./stub-provider');
+
+const PROVIDERS = {
+    elevenlabs: ElevenLabsProvider,
+    stub: StubToneProvider
+};
+
+/**
+ * Creates the TTS provider described by the config.
+ * @param {object} [config={}] The `tts` section of audio-settings.json.
+ * @param {string} [config.provider='elevenlabs'] One of 'elevenlabs' or 'stub'.
+ * @returns {object} A TTS provider instance.
+ */
+function createTtsProvider(config = {}) {
+    const name = config.provider || 'elevenlabs';
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown TTS provider "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}.`);
+    }
+    return new Provider(config[name] || {});
+}
+
+module.exports = { createTtsProvider, PROVIDERS };
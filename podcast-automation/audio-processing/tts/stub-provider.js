@@ -0,0 +1,79 @@
+/**
+ * Stub text-to-speech provider.
+ * Writes a WAV tone (or silence) as long as the line would take to read aloud, so the script-first
+ * workflow can be run and tested offline without an API key. Each speaker gets its own pitch.
+ */
+
+const fs = require('fs').promises;
+
+class StubToneProvider {
+    /**
+     * @param {object} [options={}] Provider settings from `tts.stub` in audio-settings.json.
+     * @param {string} [options.signal='tone'] 'tone' or 'silence'.
+     * @param {number} [options.frequency=220] Tone pitch in Hz for the first speaker; later speakers are a fifth apart.
+     * @param {number} [options.wordsPerMinute=150] Reading speed used for the line length.
+     * @param {number} [options.sampleRate=22050]
+     */
+    constructor(options = {}) {
+        this.name = 'stub';
+        this.extension = '.wav';
+        this.options = { signal: 'tone', frequency: 220, wordsPerMinute: 150, sampleRate: 22050, ...options };
+        this.speakers = []; // Speakers in order of first use, for their pitch
+    }
+
+    /**
+     * Writes the stand-in audio for one line.
+     * @param {string} text
+     * @param {object} options
+     * @param {string|null} [options.speaker]
+     * @param {string} options.outputPath Where to write the WAV file.
+     * @returns {Promise<object>} `{ filePath, duration }`.
+     */
+    async synthesize(text, { speaker = null, outputPath } = {}) {
+        const words = text.split(/\s+/).filter(Boolean).length;
+        const duration = Math.max(0.5, Math.round(words / this.options.wordsPerMinute * 60 * 100) / 100);
+
+        if (!this.speakers.includes(speaker)) this.speakers.push(speaker);
+        const frequency = this.options.frequency * Math.pow(1.5, this.speakers.indexOf(speaker));
+
+        await fs.writeFile(outputPath, this._wav(duration, this.options.signal === 'silence' ? 0 : frequency));
+        return { filePath: outputPath, duration: duration };
+    }
+
+    /**
+     * Encodes a mono 16-bit PCM WAV file.
+     * @param {number} duration Seconds.
+     * @param {number} frequency Tone pitch in Hz; 0 for silence.
+     * @returns {Buffer}
+     */
+    _wav(duration, frequency) {
+        const sampleRate = this.options.sampleRate;
+        const samples = Math.round(duration * sampleRate);
+        const buffer = Buffer.alloc(44 + samples * 2);
+        buffer.write('RIFF', 0);
+        buffer.writeUInt32LE(36 + samples * 2, 4);
+        buffer.write('WAVE', 8);
+        buffer.write('fmt ', 12);
+        buffer.writeUInt32LE(16, 16);             // Format chunk size
+        buffer.writeUInt16LE(1, 20);              // PCM
+        buffer.writeUInt16LE(1, 22);              // Mono
+        buffer.writeUInt32LE(sampleRate, 24);
+        buffer.writeUInt32LE(sampleRate * 2, 28); // Byte rate
+        buffer.writeUInt16LE(2, 32);              // Block align
+        buffer.writeUInt16LE(16, 34);             // Bits per sample
+        buffer.write('data', 36);
+        buffer.writeUInt32LE(samples * 2, 40);
+
+        if (frequency > 0) {
+            const ramp = Math.round(0.01 * sampleRate); // 10 ms fades avoid clicks at the edges
+            for (let i = 0; i < samples; i++) {
+                const envelope = Math.min(1, i / ramp, (samples - 1 - i) / ramp);
+                const value = 0.25 * envelope * Math.sin(2 * Math.PI * frequency * i / sampleRate);
+                buffer.writeInt16LE(Math.round(value * 32767), 44 + i * 2);
+            }
+        }
+        return buffer;
+    }
+}
+
+module.exports = StubToneProvider;
@@ -0,0 +1,323 @@
+/**
+ * BatchProcessor for Lost Transmissions
+ * Renders many inputs with TransmissionMixer from the command line: a list of files, directories or glob
+ * patterns (batch mode), or every file that lands in an inbox folder (watch mode). At most `concurrency`
+ * renders run at once; inputs whose content was already rendered (see core/processed-ledger.js) are
+ * skipped unless `force` is set or that render failed its quality check. Voice files go through processTransmission, `.txt`/`.md` scripts through
+ * processScript.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { watch } = require('fs');
+const TransmissionMixer = require('../audio-processing/core/mixer');
+const ProcessedLedger = require('./processed-ledger');
+const { hashFile } = require('./file-hash');
+
+const AUDIO_EXTENSIONS = ['.mp3', '.wav', '.m4a', '.aac', '.flac', '.ogg', '.opus'];
+const SCRIPT_EXTENSIONS = ['.txt', '.md'];
+
+class BatchProcessor {
+    /**
+     * @param {object} [options={}]
+     * @param {string} [options.outputDir] Where episodes are written (defaults to audio-processing/output).
+     * @param {number} [options.concurrency] Renders at once (defaults to config `batch.concurrency`).
+     * @param {boolean} [options.force=false] Render inputs even if the ledger has them.
+     * @param {object} [options.renderOptions={}] Passed to every render (e.g. `profiles`, `transmission`).
+     * @param {ProcessedLedger} [options.ledger]
+     * @param {Function} [options.createMixer] Returns the TransmissionMixer for one render.
+     * @param {Function} [options.onResult] Called with each result as it finishes.
+     */
+    constructor(options = {}) {
+        this.config = require('../config/audio-settings.json');
+        const batchConfig = this.config.batch || {};
+        this.outputDir = options.outputDir || path.join(__dirname, '..', 'audio-processing', 'output');
+        this.concurrency = Math.max(1, options.concurrency || batchConfig.concurrency || 1);
+        this.settleMs = batchConfig.settleMs !== undefined ? batchConfig.settleMs : 2000;
+        this.force = options.force === true;
+        this.renderOptions = options.renderOptions || {};
+        this.ledger = options.ledger || new ProcessedLedger();
+        this.createMixer = options.createMixer || (() => new TransmissionMixer());
+        this.onResult = options.onResult || (() => {});
+
+        this.pending = [];             // Inputs waiting for a free slot, in order
+        this.queued = new Set();       // Inputs pending or rendering, so a watcher never queues one twice
+        this.active = new Map();       // input -> AbortController of the running render
+        this.outputNames = new Map();  // Output base name -> input that claimed it this session
+        this.results = [];
+        this.idleWaiters = [];
+    }
+
+    /**
+     * Expands files, directories (searched recursively) and glob patterns (`*`, `?`, `**`) into input files.
+     * @param {Array<string>} patterns
+     * @returns {Promise<Array<string>>} Absolute paths of supported inputs, sorted and without duplicates.
+     * @throws {Error} If a plain path doesn't exist.
+     */
+    async resolveInputs(patterns) {
+        const files = new Set();
+        for (const pattern of patterns) {
+            if (/[*?]/.test(pattern)) {
+                const { base, regex } = this._globToRegex(pattern);
+                (await this._walk(base)).filter(file => regex.test(file)).forEach(file => files.add(file));
+                continue;
+            }
+            const resolved = path.resolve(pattern);
+            const stats = await fs.stat(resolved).catch(() => null);
+            if (!stats) throw new Error(`Input not found: ${pattern}`);
+            if (stats.isDirectory()) {
+                (await this._walk(resolved)).forEach(file => files.add(file));
+            } else {
+                files.add(resolved);
+            }
+        }
+        return [...files].filter(file => this.isSupported(file)).sort();
+    }
+
+    /**
+     * @param {string} filePath
+     * @returns {boolean} Whether the file is a voice file or script the mixer can render.
+     */
+    isSupported(filePath) {
+        const extension = path.extname(filePath).toLowerCase();
+        return AUDIO_EXTENSIONS.includes(extension) || SCRIPT_EXTENSIONS.includes(extension);
+    }
+
+    /**
+     * Batch mode: renders every input and waits for all of them.
+     * @param {Array<string>} inputs Input files (see resolveInputs).
+     * @returns {Promise<Array<object>>} One result per input (see _process), in the order they finished.
+     */
+    async run(inputs) {
+        await fs.mkdir(this.outputDir, { recursive: true });
+        inputs.forEach(input => this.enqueue(input));
+        await this.idle();
+        return this.results;
+    }
+
+    /**
+     * Watch mode: renders what is already in the inbox, then every supported file that appears in it.
+     * Files are queued once their size has stopped changing for `batch.settleMs`, so half-copied uploads
+     * are not picked up.
+     * @param {string} inbox Folder to watch (created if missing).
+     * @returns {Promise<object>} `{ stop }`; `stop()` stops watching, cancels running renders and resolves
+     * with every result of the session.
+     */
+    async watch(inbox) {
+        const folder = path.resolve(inbox);
+        if (folder === path.resolve(this.outputDir)) {
+            throw new Error('The inbox and the output folder must be different.');
+        }
+        await fs.mkdir(folder, { recursive: true });
+        await fs.mkdir(this.outputDir, { recursive: true });
+
+        const settling = new Map(); // input -> timer
+        let stopped = false;
+        const consider = (filePath) => {
+            if (stopped || !this.isSupported(filePath) || this.queued.has(filePath) || settling.has(filePath)) return;
+            let lastSize = -1;
+            const check = async () => {
+                const stats = await fs.stat(filePath).catch(() => null);
+                if (stopped || !stats || !stats.isFile()) return settling.delete(filePath);
+                if (stats.size > 0 && stats.size === lastSize) {
+                    settling.delete(filePath);
+                    this.enqueue(filePath);
+                    return;
+                }
+                lastSize = stats.size;
+                settling.set(filePath, setTimeout(check, this.settleMs));
+            };
+            settling.set(filePath, setTimeout(check, 0));
+        };
+
+        const watcher = watch(folder, (event, name) => {
+            if (name) consider(path.join(folder, name));
+        });
+        (await fs.readdir(folder)).forEach(name => consider(path.join(folder, name)));
+        console.log(`👀 Watching ${folder} for voice files and scripts (${this.concurrency} at a time)...`);
+
+        return {
+            stop: async () => {
+                stopped = true;
+                watcher.close();
+                settling.forEach(timer => clearTimeout(timer));
+                this.pending.splice(0).forEach(input => this.queued.delete(input));
+                this.active.forEach(controller => controller.abort());
+                await this.idle();
+                return this.results;
+            }
+        };
+    }
+
+    /**
+     * Queues an input unless it is already pending or rendering.
+     * @param {string} input
+     */
+    enqueue(input) {
+        if (this.queued.has(input)) return;
+        this.queued.add(input);
+        this.pending.push(input);
+        this._drain();
+    }
+
+    /**
+     * @returns {Promise<void>} Resolves once nothing is pending or rendering.
+     */
+    idle() {
+        if (this.pending.length === 0 && this.active.size === 0) return Promise.resolve();
+        return new Promise(resolve => this.idleWaiters.push(resolve));
+    }
+
+    /**
+     * Starts pending inputs while slots are free.
+     */
+    _drain() {
+        while (this.active.size < this.concurrency && this.pending.length > 0) {
+            const input = this.pending.shift();
+            const controller = new AbortController();
+            this.active.set(input, controller);
+            this._process(input, controller.signal)
+                .catch(err => this._result(input, { status: 'failed', error: err.message }))
+                .then(result => {
+                    this.active.delete(input);
+                    this.queued.delete(input);
+                    this.results.push(result);
+                    this.onResult(result);
+                    this._drain();
+                    if (this.pending.length === 0 && this.active.size === 0) {
+                        this.idleWaiters.splice(0).forEach(resolve => resolve());
+                    }
+                });
+        }
+    }
+
+    /**
+     * Renders one input, or skips it if the ledger already has its content (and that render didn't fail QC).
+     * @param {string} input
+     * @param {AbortSignal} signal
+     * @returns {Promise<object>} `{ input, status, hash, outputPath, duration, qc, seconds, error }` where status is
+     * 'done', 'skipped', 'failed' or 'cancelled'.
+     */
+    async _process(input, signal) {
+        const started = Date.now();
+        const hash = await hashFile(input);
+        const previous = this.force ? null : await this.ledger.get(hash);
+        // A render that failed QC is tried again, so fixed thresholds or assets take effect without --force
+        if (previous && previous.qc !== 'fail') {
+            return this._result(input, { status: 'skipped', hash, outputPath: previous.outputPath, qc: previous.qc || null, started });
+        }
+
+        const outputPath = path.join(this.outputDir, `${this._outputName(input, hash)}.${this.config.processing.format}`);
+        const mixer = this.createMixer();
+        const options = { ...this.renderOptions, outputPath, signal };
+        console.log(`🎬 Rendering ${input}`);
+        const result = SCRIPT_EXTENSIONS.includes(path.extname(input).toLowerCase())
+            ? await mixer.processScript(input, options)
+            : await mixer.processTransmission(input, options);
+
+        if (!result.success) {
+            return this._result(input, { status: result.cancelled ? 'cancelled' : 'failed', hash, error: result.error, started });
+        }
+        const qc = result.qc ? result.qc.status : null;
+        try {
+            await this.ledger.record({ hash, input, outputPath: result.outputPath, qc });
+        } catch (err) {
+            console.warn(`⚠️ Could not update the processed-inputs ledger: ${err.message}`);
+        }
+        return this._result(input, {
+            status: 'done',
+            hash,
+            outputPath: result.outputPath,
+            duration: result.metadata && result.metadata.duration,
+            qc,
+            started
+        });
+    }
+
+    /**
+     * @param {string} input
+     * @param {object} fields
+     * @returns {object} A result with every field present.
+     */
+    _result(input, fields) {
+        return {
+            input: input,
+            status: fields.status,
+            hash: fields.hash || null,
+            outputPath: fields.outputPath || null,
+            duration: fields.duration || null, // Episode length in seconds
+            qc: fields.qc || null,             // 'pass', 'warn' or 'fail'
+            seconds: fields.started ? Math.round((Date.now() - fields.started) / 100) / 10 : null, // Wall time
+            error: fields.error || null
+        };
+    }
+
+    /**
+     * Output base name for an input: its own name, with a short content hash added when another input
+     * of this session already uses that name.
+     * @param {string} input
+     * @param {string} hash
+     * @returns {string}
+     */
+    _outputName(input, hash) {
+        const name = path.basename(input, path.extname(input));
+        const owner = this.outputNames.get(name);
+        if (owner === undefined || owner === input) {
+            this.outputNames.set(name, input);
+            return name;
+        }
+        return `${name}-${hash.slice(0, 8)}`;
+    }
+
+    /**
+     * Converts a glob to a regex over absolute paths, with the directory to search (the part before
+     * the first wildcard).
+     * @param {string} pattern
+     * @returns {{base: string, regex: RegExp}}
+     */
+    _globToRegex(pattern) {
+        const absolute = path.resolve(pattern).split(path.sep).join('/');
+        const segments = absolute.split('/');
+        const firstWild = segments.findIndex(segment => /[*?]/.test(segment));
+        const base = segments.slice(0, firstWild).join('/') || '/';
+        const source = absolute
+            .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*\*\//g, '\u0000')
+            .replace(/\*\*/g, '\u0001')
+            .replace(/\*/g, '[^/]*')
+            .replace(/\?/g, '[^/]')
+            .replace(/\u0000/g, '(?:.*/)?')
+            .replace(/\u0001/g, '.*');
+        return { base: base.split('/').join(path.sep), regex: new RegExp(`^${source}$`) };
+    }
+
+    /**
+     * Recursively lists files under a directory. A missing directory is treated as empty.
+     * @param {string} dir
+     * @returns {Promise<Array<string>>} Absolute paths.
+     */
+    async _walk(dir) {
+        let entries;
+        try {
+            entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch (err) {
+            if (err.code === 'ENOENT') return [];
+            throw err;
+        }
+        const files = [];
+        for (const entry of entries) {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                files.push(...await this._walk(fullPath));
+            } else if (entry.isFile()) {
+                files.push(fullPath);
+            }
+        }
+        return files;
+    }
+}
+
+BatchProcessor.AUDIO_EXTENSIONS = AUDIO_EXTENSIONS;
+BatchProcessor.SCRIPT_EXTENSIONS = SCRIPT_EXTENSIONS;
+
+module.exports = BatchProcessor;
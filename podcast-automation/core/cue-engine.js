@@ -0,0 +1,111 @@
+/**
+ * CueEngine for Lost Transmissions
+ * Scans the timestamped transcript for trigger words and decides where sound effects land,
+ * so a "door" in the narration gets a door creak at that exact moment.
+ * Trigger words, effects and spacing rules live in config/cue-rules.json.
+ */
+
+class CueEngine {
+    /**
+     * @param {object} [cueRules] Cue configuration (defaults to config/cue-rules.json).
+     * @param {object} cueRules.rules Global rules: minSpacingSeconds, maxPerMinute, defaultVolume, repeatSpacingSeconds.
+     * @param {Array<object>} cueRules.cues Cue definitions: `{ triggers: [...], effect, volume?, offsetSeconds? }`.
+     */
+    constructor(cueRules = require('../config/cue-rules.json')) {
+        this.rules = {
+            minSpacingSeconds: 8,     // Minimum gap between any two cues
+            maxPerMinute: 3,          // Cap on cues inside any rolling 60-second window
+            defaultVolume: 0.35,      // Used when a cue has no volume of its own
+            repeatSpacingSeconds: 45, // Minimum gap before the same effect plays again
+            ...(cueRules.rules || {})
+        };
+
+        // Index trigger words for direct lookup: 'door' -> cue definition
+        this.triggerIndex = new Map();
+        (cueRules.cues || []).forEach(cue => {
+            cue.triggers.forEach(trigger => this.triggerIndex.set(this._normalize(trigger), cue));
+        });
+    }
+
+    /**
+     * Finds effect cues in a timed transcript.
+     * @param {Array<object>} segments Timed transcript segments `{ start, end, text, words? }` (from ContentAnalyzer).
+     * @returns {Array<object>} Cues sorted by time: `{ time, effect, volume, trigger }`.
+     */
+    findCues(segments = []) {
+        const candidates = [];
+        this._timedWords(segments).forEach(({ word, start }) => {
+            const cue = this.triggerIndex.get(this._normalize(word));
+            if (cue) {
+                candidates.push({
+                    time: Math.max(0, start + (cue.offsetSeconds || 0)),
+                    effect: cue.effect,
+                    volume: cue.volume !== undefined ? cue.volume : this.rules.defaultVolume,
+                    trigger: this._normalize(word)
+                });
+            }
+        });
+
+        return this._applyRules(candidates.sort((a, b) => a.time - b.time));
+    }
+
+    /**
+     * Enforces spacing and density rules, keeping the earliest cue whenever two collide.
+     * @param {Array<object>} candidates Cues sorted by time.
+     * @returns {Array<object>} Accepted cues.
+     */
+    _applyRules(candidates) {
+        const accepted = [];
+        const lastByEffect = new Map();
+
+        for (const cue of candidates) {
+            const previous = accepted[accepted.length - 1];
+            if (previous && cue.time - previous.time < this.rules.minSpacingSeconds) continue;
+
+            const lastSameEffect = lastByEffect.get(cue.effect);
+            if (lastSameEffect !== undefined && cue.time - lastSameEffect < this.rules.repeatSpacingSeconds) continue;
+
+            const inLastMinute = accepted.filter(other => cue.time - other.time < 60).length;
+            if (inLastMinute >= this.rules.maxPerMinute) continue;
+
+            accepted.push(cue);
+            lastByEffect.set(cue.effect, cue.time);
+        }
+
+        return accepted;
+    }
+
+    /**
+     * Flattens segments into `{ word, start }` pairs. Segments without word timings get
+     * per-word times interpolated across the segment.
+     * @param {Array<object>} segments
+     * @returns {Array<object>}
+     */
+    _timedWords(segments) {
+        const words = [];
+        segments.forEach(segment => {
+            if (segment.start === null || segment.end === null) return;
+
+            if (segment.words && segment.words.length > 0) {
+                segment.words.forEach(word => words.push({ word: word.word, start: word.start }));
+                return;
+            }
+
+            const tokens = segment.text.split(/\s+/).filter(Boolean);
+            const step = tokens.length > 0 ? (segment.end - segment.start) / tokens.length : 0;
+            tokens.forEach((token, index) => words.push({ word: token, start: segment.start + index * step }));
+        });
+        return words;
+    }
+
+    /**
+     * Lowercases a word and strips surrounding punctuation.
+     * @param {string} word
+     * @returns {string}
+     */
+    _normalize(word) {
+        return String(word).toLowerCase().replace(/^[^a-z0-9]+|[^a-z0-9]+$/g, '');
+    }
+}
+
+module.exports = CueEngine;
@@ -0,0 +1,160 @@
+/**
+ * Voice-keyed ducking for Lost Transmissions
+ * Turns a voice-activity map (the seconds of the episode timeline where someone is speaking) into a gain
+ * envelope per background layer. Every layer type has its own duck depth, attack, release and look-ahead
+ * (`ducking.layers` in audio-settings.json, falling back to `ducking.layers.default`); types listed in
+ * `ducking.exempt` (structural elements, cued effects) are never ducked. Beds with `swell: true` rise by
+ * `ducking.swell.gainDb` during pauses of at least `ducking.swell.minPauseSeconds`.
+ *
+ * The envelope is a list of timed `volume` commands in episode time, written to a command file and sent
+ * by `asendcmd` after a layer is placed on the timeline, so the filter graph stays the same size however
+ * many phrases the episode has:
+ *
+ *              look-ahead  attack                  release
+ *   1.0 ‾‾‾‾‾‾‾‾‾‾‾‾‾‾‾‾\                        /‾‾‾‾‾‾‾‾‾
+ *   duck                \______________________/
+ *                           |<--- speaking --->|
+ */
+
+const { escapeFilterValue } = require('./filtergraph');
+
+const DEFAULT_PROFILE = { depthDb: -10, attack: 0.2, release: 1.0, lookahead: 0.2, swell: false };
+const MIN_RAMP = 0.01; // Seconds; keeps the ramps from dividing by zero
+const RAMP_STEP = 0.02; // Seconds between gain commands on a ramp, about one audio frame
+
+/**
+ * Resolves the ducking profile for a layer.
+ * @param {object} layer A background layer.
+ * @param {object} [duckingConfig={}] The `ducking` config section.
+ * @returns {object|null} `{ depthDb, attack, release, lookahead, swell }`, or null when the layer is exempt.
+ */
+function duckProfile(layer, duckingConfig = {}) {
+    const exempt = duckingConfig.exempt || [];
+    if (exempt.includes(layer.type)) {
+        return null;
+    }
+    const profiles = duckingConfig.layers || {};
+    const profile = { ...DEFAULT_PROFILE, ...profiles.default, ...profiles[layer.type] };
+    return {
+        ...profile,
+        attack: Math.max(MIN_RAMP, profile.attack),
+        release: Math.max(MIN_RAMP, profile.release),
+        lookahead: Math.max(0, profile.lookahead)
+    };
+}
+
+/**
+ * Merges overlapping or touching speech regions.
+ * @param {Array<object>} regions `{ start, end }` in seconds, in any order.
+ * @param {number} [bridge=0] Gaps shorter than this are treated as continuous speech.
+ * @returns {Array<object>} Sorted, non-overlapping regions.
+ */
+function mergeRegions(regions, bridge = 0) {
+    return regions
+        .filter(region => region.end > region.start)
+        .sort((a, b) => a.start - b.start)
+        .reduce((merged, region) => {
+            const previous = merged[merged.length - 1];
+            if (previous && region.start - previous.end < bridge) {
+                previous.end = Math.max(previous.end, region.end);
+            } else {
+                merged.push({ start: region.start, end: region.end });
+            }
+            return merged;
+        }, []);
+}
+
+/**
+ * Builds a layer's gain envelope.
+ * Speech regions closer together than the profile's release plus look-ahead are ducked as one, so the
+ * bed never half-recovers between phrases and the ramps of different regions never overlap.
+ * @param {Array<object>} activity Speech regions `{ start, end }` on the episode timeline.
+ * @param {object} profile From duckProfile.
+ * @param {object} swell The `ducking.swell` config section; used when `profile.swell` is set.
+ * @param {number} [swell.minPauseSeconds=4] Shortest pause (after the release, before the next look-ahead) that swells.
+ * @param {number} [swell.gainDb=3] How far the bed rises above its level.
+ * @param {number} [swell.rampSeconds=1.5] Rise and fall time.
+ * @param {object} target
+ * @param {string} target.name Name of the layer's `volume` instance (e.g. 'bg0_duck').
+ * @param {string} target.commandPath Where the caller will write the returned commands.
+ * @returns {object|null} `{ filter, commands }` (the `asendcmd` and `volume` filters, without a leading comma,
+ * and the command file's content), or null when there is nothing to duck.
+ */
+function duckEnvelope(activity, profile, swell, target) {
+    const { attack, release, lookahead } = profile;
+    const regions = mergeRegions(activity, release + lookahead);
+    if (regions.length === 0) return null;
+
+    // Ramp down from `lookahead` before speech over `attack`, hold, ramp up over `release` after it
+    const duckDepth = 1 - Math.pow(10, profile.depthDb / 20);
+    const shapes = regions.map(({ start, end }) => trapezoid(start - lookahead, end + release, attack, release, -duckDepth));
+
+    if (profile.swell && swell && swell.enabled !== false) {
+        const minPause = swell.minPauseSeconds !== undefined ? swell.minPauseSeconds : 4;
+        const ramp = Math.max(MIN_RAMP, swell.rampSeconds !== undefined ? swell.rampSeconds : 1.5);
+        const rise = Math.pow(10, (swell.gainDb !== undefined ? swell.gainDb : 3) / 20) - 1;
+        for (let i = 1; i < regions.length; i++) {
+            const from = regions[i - 1].end + release;
+            const to = regions[i].start - lookahead;
+            if (to - from >= minPause) shapes.push(trapezoid(from, to, ramp, ramp, rise));
+        }
+    }
+
+    // The shapes never overlap, so in time order their corners trace the whole envelope
+    const points = shapes.sort((a, b) => a[0].time - b[0].time).flat();
+    const round = value => Number(value.toFixed(3));
+    const lines = [];
+    let initial = 1; // Gain from t=0, for ramps that start before the episode does
+    let sent = 1;
+    const send = (time, gain) => {
+        if (time <= 0) {
+            initial = sent = gain;
+        } else if (Math.abs(gain - sent) >= 0.001) {
+            lines.push(`${round(time)} volume@${target.name} volume ${gain.toFixed(4)};`);
+            sent = gain;
+        }
+    };
+    for (let i = 1; i < points.length; i++) {
+        const from = points[i - 1];
+        const to = points[i];
+        if (to.gain === from.gain) continue; // Held
+        const steps = Math.max(1, Math.ceil((to.time - from.time) / RAMP_STEP));
+        for (let step = 1; step <= steps; step++) {
+            const mix = step / steps;
+            send(from.time + (to.time - from.time) * mix, from.gain + (to.gain - from.gain) * mix);
+        }
+    }
+
+    return {
+        filter: `asendcmd=f=${escapeFilterValue(target.commandPath)},volume@${target.name}=volume=${initial.toFixed(4)}`,
+        commands: lines.join('\n') + '\n'
+    };
+}
+
+/**
+ * Corners of one ramp-hold-ramp gain change, cut short to a triangle when the ramps don't fit.
+ * @param {number} from Where the change starts, in seconds.
+ * @param {number} to Where it is back to unity.
+ * @param {number} rise Ramp time into the change.
+ * @param {number} fall Ramp time out of it.
+ * @param {number} height Gain added at full change (negative for a duck).
+ * @returns {Array<object>} `{ time, gain }` points.
+ */
+function trapezoid(from, to, rise, fall, height) {
+    if (to - from >= rise + fall) {
+        return [
+            { time: from, gain: 1 },
+            { time: from + rise, gain: 1 + height },
+            { time: to - fall, gain: 1 + height },
+            { time: to, gain: 1 }
+        ];
+    }
+    const peak = from + (to - from) * rise / (rise + fall);
+    return [
+        { time: from, gain: 1 },
+        { time: peak, gain: 1 + height * (peak - from) / rise },
+        { time: to, gain: 1 }
+    ];
+}
+
+module.exports = { duckProfile, duckEnvelope, mergeRegions };
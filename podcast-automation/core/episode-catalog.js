@@ -0,0 +1,176 @@
+/**
+ * EpisodeCatalog for Lost Transmissions
+ * A persistent record of every finished episode: metadata, an analysis summary, duration,
+ * and each exported deliverable with its file size. The catalog backs the RSS feed and
+ * the episodes API, so renders are no longer anonymous `transmission-<timestamp>` files.
+ * Stored as one JSON file, written atomically (temp file + rename).
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+
+// Enclosure MIME types by export profile container
+const MIME_TYPES = {
+    mp3: 'audio/mpeg',
+    ipod: 'audio/x-m4a',
+    mp4: 'audio/mp4',
+    opus: 'audio/ogg',
+    ogg: 'audio/ogg',
+    flac: 'audio/flac',
+    wav: 'audio/wav'
+};
+
+class EpisodeCatalog {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.file] Catalog file (defaults to config `catalog.file`).
+     */
+    constructor(options = {}) {
+        this.config = require('../config/audio-settings.json');
+        const catalogConfig = this.config.catalog || {};
+        this.file = options.file || path.join(__dirname, '..', catalogConfig.file || 'audio-processing/catalog/episodes.json');
+        this.episodes = null;          // Loaded lazily
+        this.loading = null;           // The first load, shared by every caller while it runs
+        this.writes = Promise.resolve(); // Serializes writes so concurrent jobs never clobber each other
+    }
+
+    /**
+     * Loads the catalog from disk (once). A missing file is an empty catalog. Concurrent first calls share
+     * one read, so an entry added while another request is still loading is never replaced by a fresh array.
+     * @returns {Promise<Array<object>>} All episodes.
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = this._read().catch((err) => {
+                this.loading = null; // Let the next call try again
+                throw err;
+            });
+        }
+        return this.loading;
+    }
+
+    /**
+     * @returns {Promise<Array<object>>} The episodes in the catalog file.
+     */
+    async _read() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+            this.episodes = Array.isArray(data.episodes) ? data.episodes : [];
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+            this.episodes = [];
+        }
+        return this.episodes;
+    }
+
+    /**
+     * @returns {Promise<Array<object>>} All episodes, newest first.
+     */
+    async list() {
+        const episodes = await this.load();
+        return [...episodes].sort((a, b) => b.publishedAt.localeCompare(a.publishedAt));
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<object|null>}
+     */
+    async get(id) {
+        const episodes = await this.load();
+        return episodes.find(episode => episode.id === id) || null;
+    }
+
+    /**
+     * Records a finished render.
+     * @param {object} result Successful result of TransmissionMixer.processTransmission.
+     * @param {object} [source={}] Where the render came from: `{ jobId, originalName }`.
+     * @returns {Promise<object>} The new catalog entry.
+     */
+    async addRender(result, source = {}) {
+        const metadata = result.metadata || {};
+        const analysis = result.analysis || {};
+        const deliverables = await Promise.all((result.deliverables || []).map(async deliverable => ({
+            profile: deliverable.profile,
+            label: deliverable.label,
+            fileName: path.basename(deliverable.path),
+            container: deliverable.container,
+            mimeType: MIME_TYPES[deliverable.container] || 'application/octet-stream',
+            size: await this._fileSize(deliverable.path),
+            loudness: deliverable.loudness ? {
+                integrated: deliverable.loudness.after.integrated,
+                truePeak: deliverable.loudness.after.truePeak,
+                withinTolerance: deliverable.loudness.withinTolerance
+            } : null
+        })));
+
+        const entry = {
+            id: crypto.randomUUID(),
+            jobId: source.jobId || null,
+            sourceName: source.originalName || null,
+            title: metadata.title,
+            description: metadata.description,
+            episodeNumber: metadata.episodeNumber || null,
+            recordingDate: metadata.recordingDate || null,
+            publishedAt: new Date().toISOString(),
+            duration: metadata.duration || analysis.duration || 0,
+            keywords: metadata.keywords || '',
+            summary: {
+                location: analysis.location,
+                mood: analysis.mood,
+                intensity: analysis.intensity,
+                sentiment: analysis.sentimentScore,
+                scenes: metadata.scenes || []
+            },
+            deliverables: deliverables, // Primary (feed enclosure) first
+            qc: result.qc ? result.qc.status : null, // 'pass', 'warn' or 'fail'; null when no check ran
+            files: {
+                captions: result.captions ? {
+                    srt: path.basename(result.captions.srt),
+                    vtt: path.basename(result.captions.vtt)
+                } : null,
+                chapters: result.chaptersPath ? path.basename(result.chaptersPath) : null,
+                manifest: result.manifestPath ? path.basename(result.manifestPath) : null
+            }
+        };
+
+        const episodes = await this.load();
+        episodes.push(entry);
+        await this._save();
+        console.log(`🗂️ Cataloged episode "${entry.title}" (${entry.id})`);
+        return entry;
+    }
+
+    /**
+     * Writes the catalog atomically. Saves are chained so the last write always holds every entry.
+     * @returns {Promise<void>}
+     */
+    _save() {
+        const write = this.writes
+            .catch(() => {}) // A failed earlier write must not block later ones
+            .then(async () => {
+                const tempPath = `${this.file}.tmp`;
+                await fs.mkdir(path.dirname(this.file), { recursive: true });
+                await fs.writeFile(tempPath, JSON.stringify({ episodes: this.episodes }, null, 2));
+                await fs.rename(tempPath, this.file);
+            });
+        this.writes = write;
+        return write;
+    }
+
+    /**
+     * @param {string} filePath
+     * @returns {Promise<number>} Size in bytes, or 0 if the file is missing.
+     */
+    async _fileSize(filePath) {
+        try {
+            return (await fs.stat(filePath)).size;
+        } catch (err) {
+            return 0;
+        }
+    }
+}
+
+EpisodeCatalog.MIME_TYPES = MIME_TYPES;
+
+module.exports = EpisodeCatalog;
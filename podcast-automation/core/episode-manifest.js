@@ -0,0 +1,340 @@
+/**
+ * Episode project manifest for Lost Transmissions
+ * A manifest (JSON or YAML) pins decisions the automatic pipeline would otherwise guess:
+ * location, mood, specific ambience/music files, manual cues, per-layer volume and fades,
+ * and intro/outro/ducking toggles. Every render writes its resolved manifest next to the
+ * output so the episode can be reproduced and hand-edited.
+ *
+ * Example (YAML):
+ *   location: coastal
+ *   mood: mysterious
+ *   ambience: ambience/coastal/ocean-waves-calm.mp3
+ *   cues:
+ *     - { time: 12.5, effect: effects/door-creak.mp3, volume: 0.4 }
+ *   layers:
+ *     music: { volume: 0.12, fadeIn: 3 }
+ *   outro: false
+ *   ducking: true
+ *   transmission: { preset: shortwave, intensity: 0.6 }
+ *   voices:
+ *     Guest: { volume: 0.9, pan: 0.3, transmission: field-recorder }
+ *
+ * Cue and scene times are seconds from the start of the voice track.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { normalizeTransmission, normalizeVoiceSettings, STEM_SETTING_KEYS } = require('./voice-stems');
+const { voiceStart: voiceStartOf } = require('./timeline');
+
+const MANIFEST_VERSION = 1;
+const LAYER_OVERRIDE_KEYS = ['volume', 'fadeIn', 'fadeOut'];
+
+/**
+ * Loads and validates a manifest.
+ * @param {string|object} source Path to a .json/.yaml/.yml file, or an already-parsed manifest object.
+ * @returns {Promise<object>} The normalized manifest.
+ */
+async function loadManifest(source) {
+    if (typeof source !== 'string') {
+        return normalizeManifest(source);
+    }
+
+    const content = await fs.readFile(source, 'utf8');
+    const extension = path.extname(source).toLowerCase();
+    let data;
+    if (extension === '.yaml' || extension === '.yml') {
+        const yaml = require('js-yaml'); // Only needed when a YAML manifest is used
+        data = yaml.load(content);
+    } else {
+        data = JSON.parse(content);
+    }
+    return normalizeManifest(data);
+}
+
+/**
+ * Validates a manifest and fills in defaults. Throws on invalid fields so mistakes
+ * surface before a render starts rather than halfway through FFmpeg.
+ * @param {object} data Raw manifest data.
+ * @returns {object} Normalized manifest.
+ */
+function normalizeManifest(data) {
+    const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+    if (!isObject(data)) {
+        throw new Error('Episode manifest must be an object.');
+    }
+
+    const toList = (value, field) => {
+        if (value === undefined || value === null) return null;
+        const list = Array.isArray(value) ? value : [value];
+        if (list.length === 0 || list.some(item => typeof item !== 'string')) {
+            throw new Error(`Manifest "${field}" must be a file path or a list of file paths.`);
+        }
+        return list;
+    };
+
+    const toToggle = (value, field) => {
+        if (value === undefined || value === null) return null;
+        if (typeof value === 'boolean' || typeof value === 'string') return value;
+        throw new Error(`Manifest "${field}" must be true, false or a file path.`);
+    };
+
+    const transmission = data.transmission !== undefined && data.transmission !== null
+        ? normalizeTransmission(data.transmission, 'Manifest transmission')
+        : null;
+
+    // Per-speaker settings for multi-voice episodes, keyed by speaker label
+    if (data.voices !== undefined && !isObject(data.voices)) {
+        throw new Error('Manifest "voices" must map speaker labels to { volume, pan, eq, transmission, offset }.');
+    }
+    const voices = {};
+    Object.entries(data.voices || {}).forEach(([speaker, settings]) => {
+        voices[speaker] = normalizeVoiceSettings(settings || {}, `Manifest voices.${speaker}`);
+    });
+
+    if (data.cues !== undefined && data.cues !== null && !Array.isArray(data.cues)) {
+        throw new Error('Manifest "cues" must be a list of { time, effect, volume }.');
+    }
+    const cues = (data.cues || []).map((cue, index) => {
+        if (!isObject(cue) || typeof cue.time !== 'number' || cue.time < 0 || typeof cue.effect !== 'string') {
+            throw new Error(`Manifest cue #${index + 1} needs a non-negative "time" and an "effect" path.`);
+        }
+        return { time: cue.time, effect: cue.effect, ...(cue.volume !== undefined ? { volume: cue.volume } : {}) };
+    });
+
+    if (data.layers !== undefined && data.layers !== null && !isObject(data.layers)) {
+        throw new Error('Manifest "layers" must map layer types to { volume, fadeIn, fadeOut }.');
+    }
+    const layers = {};
+    Object.entries(data.layers || {}).forEach(([type, overrides]) => {
+        if (!isObject(overrides)) {
+            throw new Error(`Manifest layers.${type} must be an object of overrides.`);
+        }
+        layers[type] = {};
+        LAYER_OVERRIDE_KEYS.forEach(key => {
+            if (overrides[key] === undefined) return;
+            if (typeof overrides[key] !== 'number' || overrides[key] < 0) {
+                throw new Error(`Manifest layers.${type}.${key} must be a non-negative number.`);
+            }
+            layers[type][key] = overrides[key];
+        });
+    });
+
+    if (data.scenes && !Array.isArray(data.scenes)) {
+        throw new Error('Manifest "scenes" must be a list of { start, end, location, mood }.');
+    }
+    const scenes = data.scenes
+        ? data.scenes.map((scene, index) => {
+            if (!isObject(scene) || typeof scene.start !== 'number' || typeof scene.end !== 'number' || scene.end <= scene.start) {
+                throw new Error(`Manifest scene #${index + 1} needs numeric "start" and "end" with end > start.`);
+            }
+            // Optional per-scene `ambience` / `music` file paths pin that scene's beds
+            return { ...scene };
+        })
+        : null;
+
+    return {
+        version: data.version || MANIFEST_VERSION,
+        seed: data.seed !== undefined && data.seed !== null ? String(data.seed) : null, // Library selection seed
+        autoAnalysis: data.autoAnalysis !== false, // false: skip transcription/vocal analysis entirely
+        location: data.location || null,
+        mood: data.mood || null,
+        scenes: scenes,
+        ambience: toList(data.ambience, 'ambience'),
+        music: toList(data.music, 'music'),
+        intro: toToggle(data.intro, 'intro'),
+        outro: toToggle(data.outro, 'outro'),
+        ducking: typeof data.ducking === 'boolean' ? data.ducking : null,
+        transmission: transmission, // { preset, intensity } for the voice's radio character
+        voices: voices, // Per-speaker stem settings
+        autoCues: data.autoCues !== false, // false: only the manifest's own cues are placed
+        cues: cues,
+        layers: layers
+    };
+}
+
+/**
+ * Pins location, mood and scenes from the manifest onto an analysis object (in place).
+ * A pinned location or mood overrides every scene too, unless the manifest lists scenes itself.
+ * @param {object} analysis Content analysis.
+ * @param {object} manifest Normalized manifest.
+ * @returns {object} The same analysis object.
+ */
+function applyManifestToAnalysis(analysis, manifest) {
+    if (manifest.location) analysis.location = manifest.location;
+    if (manifest.mood) analysis.mood = manifest.mood;
+
+    if (manifest.scenes) {
+        analysis.scenes = manifest.scenes.map(scene => ({
+            location: analysis.location,
+            mood: analysis.mood,
+            intensity: analysis.intensity,
+            ...scene
+        }));
+    } else if (analysis.scenes && (manifest.location || manifest.mood)) {
+        analysis.scenes = analysis.scenes.map(scene => ({
+            ...scene,
+            location: manifest.location || scene.location,
+            mood: manifest.mood || scene.mood
+        }));
+    }
+    return analysis;
+}
+
+/**
+ * Applies manifest file choices and toggles to the library selection (in place).
+ * @param {object} libraries Selection from TransmissionMixer.selectAudioLibraries.
+ * @param {object} manifest Normalized manifest.
+ * @returns {object} The same selection object; `pinned` marks bed types chosen by the manifest.
+ */
+function applyManifestToLibraries(libraries, manifest) {
+    libraries.pinned = {};
+    if (manifest.ambience) {
+        libraries.ambience = manifest.ambience;
+        libraries.pinned.ambience = true;
+    }
+    if (manifest.music) {
+        libraries.music = manifest.music;
+        libraries.pinned.music = true;
+    }
+
+    libraries.structural = { ...(libraries.structural || {}) };
+    ['intro', 'outro'].forEach(part => {
+        const toggle = manifest[part];
+        if (toggle === false) libraries.structural[part] = null;
+        else if (typeof toggle === 'string') libraries.structural[part] = toggle;
+    });
+    return libraries;
+}
+
+/**
+ * Applies per-type volume/fade overrides to the created layers (in place).
+ * Cued effects keep their per-cue volume, and scene beds only take the volume override
+ * so their boundary crossfades stay intact. Voice levels are resolved per stem (see
+ * voice-stems.resolveStems), so voice layers only take the fade overrides.
+ * @param {Array<object>} layers Layers from LayerManager.
+ * @param {object} manifest Normalized manifest.
+ * @returns {Array<object>} The same layers array.
+ */
+function applyLayerOverrides(layers, manifest) {
+    layers.forEach(layer => {
+        const overrides = manifest.layers[layer.type];
+        if (!overrides || layer.cue) return;
+        if (layer.scene !== undefined) {
+            if (overrides.volume !== undefined) layer.volume = overrides.volume;
+            return;
+        }
+        if (layer.type === 'voice') {
+            const { volume, ...fades } = overrides;
+            Object.assign(layer, fades);
+            return;
+        }
+        Object.assign(layer, overrides);
+    });
+    return layers;
+}
+
+/**
+ * Builds the manifest that reproduces a finished render: every automatic decision
+ * (files, cues, scenes, levels) is written out explicitly.
+ * @param {object} params
+ * @param {object} params.analysis The (manifest-adjusted) analysis used for the render.
+ * @param {Array<object>} params.layers The layers that were mixed.
+ * @param {boolean} params.ducking Whether ducking was applied.
+ * @param {string} [params.seed] The library selection seed.
+ * @param {Function} params.toLibraryPath Converts an absolute layer path back to a library-relative one.
+ * @returns {object} A manifest that `loadManifest` accepts.
+ */
+function resolveManifest({ analysis, layers, ducking, seed, toLibraryPath }) {
+    const filesOf = type => [...new Set(layers.filter(layer => layer.type === type && !layer.cue).map(layer => toLibraryPath(layer.filePath)))];
+    const structural = type => {
+        const layer = layers.find(l => l.type === type);
+        return layer ? toLibraryPath(layer.filePath) : false;
+    };
+
+    const levels = {};
+    layers.forEach(layer => {
+        if (layer.cue || levels[layer.type]) return;
+        levels[layer.type] = { volume: layer.volume, fadeIn: layer.fadeIn, fadeOut: layer.fadeOut };
+    });
+
+    // Manifest times (scenes, cues) are relative to the voice track; layers sit on the episode timeline
+    const voiceLayers = layers.filter(layer => layer.type === 'voice');
+    const voiceStart = voiceStartOf(layers);
+    const character = voiceLayers.length > 0 && voiceLayers[0].character;
+
+    // Labelled stems record their own settings under their speaker, so a re-render mixes each voice the same way
+    const voices = {};
+    voiceLayers.filter(layer => layer.speaker).forEach(layer => {
+        voices[layer.speaker] = {};
+        STEM_SETTING_KEYS.forEach(key => {
+            if (key === 'transmission') {
+                if (layer.character) voices[layer.speaker].transmission = { preset: layer.character.preset, intensity: layer.character.intensity };
+            } else if (layer[key] !== undefined) {
+                voices[layer.speaker][key] = layer[key];
+            }
+        });
+    });
+
+    // Scene-scheduled beds are recorded per scene (the bed playing at each scene's midpoint);
+    // single beds are recorded as top-level ambience/music
+    const sceneBeds = layers.some(layer => layer.scene !== undefined);
+    const bedAt = (type, voiceTime) => {
+        const time = voiceStart + voiceTime;
+        const layer = layers.find(l => l.type === type && !l.cue &&
+            time >= l.startOffset && time < l.startOffset + (l.playDuration || Infinity));
+        return layer ? toLibraryPath(layer.filePath) : undefined;
+    };
+    const scenes = sceneBeds
+        ? analysis.scenes.map(({ start, end, location, mood }) => ({
+            start, end, location, mood,
+            ambience: bedAt('ambience', (start + end) / 2),
+            music: bedAt('music', (start + end) / 2)
+        }))
+        : null;
+    const ambience = sceneBeds ? [] : filesOf('ambience');
+    const music = sceneBeds ? [] : filesOf('music');
+
+    return {
+        version: MANIFEST_VERSION,
+        ...(seed ? { seed } : {}),
+        autoAnalysis: true,
+        location: analysis.location,
+        mood: analysis.mood,
+        ...(scenes ? { scenes } : {}),
+        ...(ambience.length ? { ambience } : {}),
+        ...(music.length ? { music } : {}),
+        intro: structural('structural-intro'),
+        outro: structural('structural-outro'),
+        ducking: ducking,
+        ...(character ? { transmission: { preset: character.preset, intensity: character.intensity } } : {}),
+        ...(Object.keys(voices).length ? { voices } : {}),
+        autoCues: false, // Cues below are the complete, explicit list
+        cues: layers
+            .filter(layer => layer.cue && !layer.dropout)
+            .map(layer => ({ time: layer.startOffset - voiceStart, effect: toLibraryPath(layer.filePath), volume: layer.volume })),
+        layers: levels
+    };
+}
+
+/**
+ * Writes a resolved manifest next to the rendered episode as `<name>.project.json`.
+ * @param {object} manifest Resolved manifest.
+ * @param {string} outputPath The rendered audio file.
+ * @returns {Promise<string>} Path of the written manifest.
+ */
+async function writeManifest(manifest, outputPath) {
+    const manifestPath = path.join(path.dirname(outputPath), `${path.basename(outputPath, path.extname(outputPath))}.project.json`);
+    await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+    return manifestPath;
+}
+
+module.exports = {
+    loadManifest,
+    normalizeManifest,
+    applyManifestToAnalysis,
+    applyManifestToLibraries,
+    applyLayerOverrides,
+    resolveManifest,
+    writeManifest
+};
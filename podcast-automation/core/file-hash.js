@@ -0,0 +1,25 @@
+/**
+ * File hashing for Lost Transmissions
+ * Content hashes identify episodes (and seed their library picks) and let the batch CLI recognize inputs
+ * it has already rendered.
+ */
+
+const crypto = require('crypto');
+const { createReadStream } = require('fs');
+
+/**
+ * Computes the SHA-256 of a file without loading it into memory.
+ * @param {string} filePath
+ * @returns {Promise<string>} Hex digest.
+ */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+module.exports = { hashFile };
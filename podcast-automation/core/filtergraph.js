@@ -0,0 +1,17 @@
+/**
+ * FFmpeg filtergraph helpers for Lost Transmissions
+ */
+
+/**
+ * Escapes a value (e.g. a file path) for use as a filter option inside a filtergraph. FFmpeg unescapes
+ * twice: once when it splits the graph into filters (`\ ' [ ] , ;`), then when it splits a filter's
+ * options (`\ ' :`), so Windows paths like `C:\episodes\a.cmd` and paths containing quotes survive both.
+ * @param {string} value
+ * @returns {string} The value, ready to follow `option=` without quotes.
+ */
+function escapeFilterValue(value) {
+    const option = String(value).replace(/[\\':]/g, '\\$&');
+    return option.replace(/[\\'[\],;]/g, '\\$&');
+}
+
+module.exports = { escapeFilterValue };
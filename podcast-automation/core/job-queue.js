@@ -0,0 +1,254 @@
+/**
+ * JobQueue for Lost Transmissions
+ * Runs long-lived processing jobs in the background with a concurrency limit,
+ * persists every job's state to disk so it survives a server restart,
+ * and supports cancelling queued or running jobs.
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+
+// States a job can no longer leave once reached
+const TERMINAL_STATES = ['done', 'failed', 'cancelled'];
+
+class JobQueue extends EventEmitter {
+    /**
+     * @param {object} options - Queue options.
+     * @param {Function} options.processor - Async function `(job, context) => result` that does the actual work.
+     *   `context` provides `signal` (an AbortSignal fired on cancel), `onStatus(status)` for state changes
+     *   and `onProgress({ stage, percent })` for fine-grained stage progress.
+     * @param {number} [options.concurrency] - Maximum number of jobs running at once (defaults to config `jobs.concurrency`).
+     * @param {string} [options.storageDir] - Directory for persisted job files (defaults to config `jobs.directory`).
+     */
+    constructor(options = {}) {
+        super();
+        this.config = require('../config/audio-settings.json');
+        const jobsConfig = this.config.jobs || {};
+
+        if (typeof options.processor !== 'function') {
+            throw new Error('JobQueue requires a processor function.');
+        }
+        this.processor = options.processor;
+        this.concurrency = Math.max(1, options.concurrency || jobsConfig.concurrency || 1);
+        this.storageDir = options.storageDir || path.join(__dirname, '..', jobsConfig.directory || 'audio-processing/jobs');
+
+        this.jobs = new Map();   // jobId -> job record
+        this.pending = [];       // jobIds waiting for a free slot, in FIFO order
+        this.active = new Map(); // jobId -> AbortController of the running job
+        this.writes = new Map(); // jobId -> last pending disk write
+    }
+
+    /**
+     * Loads persisted jobs from disk and resumes any that were queued or interrupted
+     * by a restart. Must be called once before jobs are enqueued.
+     * @returns {Promise<void>}
+     */
+    async init() {
+        await fs.mkdir(this.storageDir, { recursive: true });
+        const files = (await fs.readdir(this.storageDir)).filter(file => file.endsWith('.json'));
+
+        const restored = [];
+        for (const file of files) {
+            try {
+                const job = JSON.parse(await fs.readFile(path.join(this.storageDir, file), 'utf8'));
+                this.jobs.set(job.id, job);
+                restored.push(job);
+            } catch (err) {
+                console.warn(`⚠️ Skipping unreadable job file ${file}: ${err.message}`);
+            }
+        }
+
+        // Jobs that were mid-flight when the server stopped are started again from scratch
+        const resumable = restored
+            .filter(job => !TERMINAL_STATES.includes(job.status))
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        for (const job of resumable) {
+            if (job.status !== 'queued') {
+                console.log(`🔁 Re-queueing interrupted job ${job.id} (was ${job.status})`);
+                await this._update(job, { status: 'queued', startedAt: null, progress: {} });
+            }
+            this.pending.push(job.id);
+        }
+
+        console.log(`📋 Job queue ready: ${restored.length} job(s) on disk, ${this.pending.length} resumed.`);
+        this._drain();
+    }
+
+    /**
+     * Adds a new job to the queue.
+     * @param {object} input - Job input (e.g., `{ filePath, originalName }`), persisted with the job.
+     * @param {object} [options={}] - Processing options passed through to the processor.
+     * @returns {Promise<object>} The newly created job record.
+     */
+    async enqueue(input, options = {}) {
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            status: 'queued',
+            input: input,
+            options: options,
+            progress: {},
+            result: null,
+            error: null,
+            createdAt: now,
+            updatedAt: now,
+            startedAt: null,
+            finishedAt: null
+        };
+
+        this.jobs.set(job.id, job);
+        await this._persist(job);
+        this.pending.push(job.id);
+        this.emit('update', job);
+        this._drain();
+        return job;
+    }
+
+    /**
+     * @param {string} jobId
+     * @returns {object|null} The job record, or null if unknown.
+     */
+    get(jobId) {
+        return this.jobs.get(jobId) || null;
+    }
+
+    /**
+     * @returns {Array<object>} All known jobs, newest first.
+     */
+    list() {
+        return [...this.jobs.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Cancels a job. Queued jobs are removed immediately; running jobs have their
+     * AbortSignal fired, which kills the active FFmpeg process.
+     * @param {string} jobId
+     * @returns {Promise<object|null>} The job record, or null if unknown.
+     */
+    async cancel(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job) return null;
+        if (TERMINAL_STATES.includes(job.status)) return job;
+
+        const controller = this.active.get(jobId);
+        if (controller) {
+            console.log(`🛑 Cancelling running job ${jobId}`);
+            controller.abort(); // _run() records the 'cancelled' state once the processor unwinds
+            return job;
+        }
+
+        this.pending = this.pending.filter(id => id !== jobId);
+        await this._finish(job, { status: 'cancelled' });
+        return job;
+    }
+
+    /**
+     * Starts pending jobs until the concurrency limit is reached.
+     */
+    _drain() {
+        while (this.active.size < this.concurrency && this.pending.length > 0) {
+            const job = this.jobs.get(this.pending.shift());
+            if (job) this._run(job);
+        }
+    }
+
+    /**
+     * Runs a single job through the processor and records its outcome.
+     * @param {object} job
+     */
+    async _run(job) {
+        const controller = new AbortController();
+        this.active.set(job.id, controller);
+
+        try {
+            await this._update(job, { status: 'analyzing', startedAt: new Date().toISOString() });
+            const result = await this.processor(job, {
+                signal: controller.signal,
+                onStatus: (status) => {
+                    if (!controller.signal.aborted) this._update(job, { status });
+                },
+                onProgress: (progress) => this._progress(job, progress)
+            });
+
+            if (controller.signal.aborted) {
+                await this._finish(job, { status: 'cancelled' });
+            } else if (result && result.success === false) {
+                await this._finish(job, { status: 'failed', error: result.error || 'Processing failed.' });
+            } else {
+                await this._finish(job, { status: 'done', result: result });
+            }
+        } catch (error) {
+            if (controller.signal.aborted) {
+                await this._finish(job, { status: 'cancelled' });
+            } else {
+                console.error(`❌ Job ${job.id} failed:`, error);
+                await this._finish(job, { status: 'failed', error: error.message });
+            }
+        } finally {
+            this.active.delete(job.id);
+            this._drain();
+        }
+    }
+
+    /**
+     * Records per-stage progress and emits a 'progress' event.
+     * Progress arrives many times per second, so it is kept in memory and only
+     * reaches disk with the job's next state change.
+     * @param {object} job
+     * @param {object} progress - `{ stage, percent }`
+     */
+    _progress(job, progress) {
+        job.progress = { ...job.progress, [progress.stage]: progress.percent };
+        this.emit('progress', job, progress);
+    }
+
+    /**
+     * Moves a job into a terminal state and notifies listeners.
+     * @param {object} job
+     * @param {object} changes
+     */
+    async _finish(job, changes) {
+        await this._update(job, { ...changes, finishedAt: new Date().toISOString() });
+        this.emit('settled', job);
+    }
+
+    /**
+     * Applies changes to a job, persists it and emits an 'update' event.
+     * @param {object} job
+     * @param {object} changes
+     */
+    async _update(job, changes) {
+        Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+        try {
+            await this._persist(job);
+        } catch (err) {
+            console.warn(`⚠️ Failed to persist job ${job.id}: ${err.message}`);
+        }
+        this.emit('update', job);
+    }
+
+    /**
+     * Writes a job record to disk atomically (temp file + rename).
+     * Writes for the same job are chained so a stale snapshot never lands last.
+     * @param {object} job
+     */
+    async _persist(job) {
+        const filePath = path.join(this.storageDir, `${job.id}.json`);
+        const tempPath = `${filePath}.tmp`;
+        const previous = this.writes.get(job.id) || Promise.resolve();
+        const write = previous
+            .catch(() => {}) // A failed earlier write must not block later ones
+            .then(async () => {
+                await fs.writeFile(tempPath, JSON.stringify(job, null, 2));
+                await fs.rename(tempPath, filePath);
+            });
+        this.writes.set(job.id, write);
+        return write;
+    }
+}
+
+JobQueue.TERMINAL_STATES = TERMINAL_STATES;
+
+module.exports = JobQueue;
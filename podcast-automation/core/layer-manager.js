@@ -7,11 +7,23 @@
 const path = require('path');
 const ffmpeg = require('fluent-ffmpeg'); // Used for ffprobe to get audio durations
 const fs = require('fs').promises; // For checking file existence
+const CueEngine = require('./cue-engine'); // Places effects on transcript trigger words
+const SeededRandom = require('./seeded-random'); // Reproducible library picks
+const { planTimeline } = require('./timeline');   // Absolute start times for intro, voice and outro
+const LibraryStore = require('./library-store'); // Library mappings, re-read when they change
 
 class LayerManager {
     constructor() {
         this.config = require('../config/audio-settings.json');
-        this.libraryMappings = require('../config/library-mappings.json');
+        this.libraryStore = new LibraryStore();
+        this.libraryMappings = null; // Loaded per createLayers call, so library edits apply to the next render
+        this.cueEngine = new CueEngine();
+        this.bedConfig = {
+            loopCrossfadeSeconds: 3, // Crossfade at each loop seam
+            randomStart: true,       // Start long beds at a seeded random in-point
+            randomStartMinSeconds: 90,
+            ...(this.config.beds || {})
+        };
         // Define the base path for your audio libraries relative to the project root
         // Assuming audio-libraries is parallel to podcast-automation
         this.audioLibraryBasePath = path.join(__dirname, '..', '..', 'audio-libraries');
@@ -22,73 +34,106 @@ class LayerManager {
      * Each layer object includes file path, type, volume, fades, and duration.
      *
      * @param {object} params - Parameters for layer creation.
-     * @param {string} params.voice - Path to the main voice audio file.
+     * @param {string} [params.voice] - Path to the voice audio file, for a single-voice episode.
+     * @param {Array<object>} [params.voices] - Voice stems (see core/voice-stems.js), each with its resolved
+     * transmission `character` and `dropouts`; replaces `voice` and `transmission`. Every stem becomes a voice layer.
      * @param {object} params.libraries - Object containing selected library categories (e.g., ambience, music).
      * @param {object} params.analysis - Full content analysis object (from ContentAnalyzer).
+     * @param {object} [params.manifest] - Normalized episode manifest (manual cues, autoCues toggle).
+     * @param {object} [params.selection] - Library picking state.
+     * @param {SeededRandom} [params.selection.random] - Seeded generator; the same seed gives the same picks.
+     * @param {Set<string>} [params.selection.recentAssets] - Asset IDs used by recent episodes, avoided when possible.
+     * @param {object} [params.transmission] - Transmission character for a single voice: `{ character, dropouts }`
+     * (see TransmissionCharacter). Each dropout gets a signal-loss sample as it starts and a tuning sample as it ends.
      * @returns {Promise<Array<object>>} A promise resolving to an array of layer objects.
      */
     async createLayers(params) {
-        const { voice: voiceFilePath, libraries, analysis } = params;
+        const { libraries, analysis, manifest } = params;
+        this.libraryMappings = await this.libraryStore.getMappings();
+        const selection = {
+            random: (params.selection && params.selection.random) || new SeededRandom(Date.now()),
+            recentAssets: (params.selection && params.selection.recentAssets) || new Set()
+        };
         const layers = [];
-        let voiceDuration = 0;
 
-        // 1. Add Voice Layer (Primary)
-        if (voiceFilePath) {
-            voiceDuration = await this._getAudioDuration(voiceFilePath);
+        const stems = params.voices || [{ filePath: params.voice, offset: 0, ...(params.transmission || {}) }];
+        if (stems.some(stem => !stem.filePath)) {
+            console.warn('Voice file path not provided. Cannot create voice layer.');
+            throw new Error('Voice file path is required.');
+        }
+        const stemDurations = [];
+        for (const stem of stems) {
+            stemDurations.push(await this._getAudioDuration(stem.filePath));
+        }
+        // The voice track spans every stem, from the first to the end of the last
+        const voiceDuration = Math.max(...stems.map((stem, index) => (stem.offset || 0) + stemDurations[index]));
+        const introPath = libraries.structural && libraries.structural.intro
+            ? this._resolveLibraryPath(libraries.structural.intro) : null;
+        const outroPath = libraries.structural && libraries.structural.outro
+            ? this._resolveLibraryPath(libraries.structural.outro) : null;
+        const introDuration = introPath ? await this._getAudioDuration(introPath) : 0;
+        const outroDuration = outroPath ? await this._getAudioDuration(outroPath) : 0;
+
+        // Intro → voice → outro, one after another with short overlaps; every other layer is placed on this timeline
+        const timeline = planTimeline({ voiceDuration, introDuration, outroDuration }, this.config.timeline);
+        const voiceStart = timeline.voice.start;
+        const programLength = timeline.length;
+
+        // 1. Add Voice Layers (Primary), one per stem
+        stems.forEach((stem, index) => {
             layers.push({
-                filePath: voiceFilePath,
+                filePath: stem.filePath,
                 type: 'voice',
-                volume: this.config.mixing.voiceVolume,
+                speaker: stem.speaker || null, // Label for captions and metadata in multi-voice episodes
+                volume: stem.volume !== undefined ? stem.volume : this.config.mixing.voiceVolume,
+                pan: stem.pan || 0, // -1 (left) to 1 (right)
+                ...(stem.eq ? { eq: stem.eq } : {}), // Replaces effects.voiceEQ for this stem
                 fadeIn: 0.5, // Standard intro fade for voice
                 fadeOut: 1.0, // Standard outro fade for voice
-                duration: voiceDuration,
-                startOffset: 0 // Voice starts at the beginning
+                duration: stemDurations[index],
+                offset: stem.offset || 0, // Seconds into the voice track
+                startOffset: voiceStart + (stem.offset || 0), // The voice track starts as the intro ends
+                character: stem.character || null, // Radio processing applied by the mixer
+                dropouts: stem.dropouts || [] // Stem-relative { start, end }
             });
-        } else {
-            console.warn('Voice file path not provided. Cannot create voice layer.');
-            throw new Error('Voice file path is required.');
-        }
+        });
 
         // 2. Add Structural Elements (Intro/Outro)
-        // Intro
-        if (libraries.structural && libraries.structural.intro) {
-            const introPath = this._resolveLibraryPath(libraries.structural.intro);
-            const introDuration = await this._getAudioDuration(introPath);
+        // Intro: opens the episode and fades out under the start of the voice
+        if (introPath) {
             layers.push({
                 filePath: introPath,
                 type: 'structural-intro',
                 volume: this.config.mixing.introVolume || 1.0, // Assume full volume for structural elements
                 fadeIn: 0,
-                fadeOut: 0.5, // Fade out into voice
+                fadeOut: timeline.intro.overlap || 0.5, // Crossfade into the voice
                 duration: introDuration,
-                startOffset: 0
+                startOffset: timeline.intro.start
             });
-            // Adjust voice startOffset if intro is present and we want voice to start after it
-            // For now, assuming intro mixes *with* the very beginning of the voice.
-            // Future enhancement: make voice start after intro, pushing all other layers.
         }
 
-        // Outro (placed at the end of the voice track, potentially extending beyond)
-        if (libraries.structural && libraries.structural.outro) {
-            const outroPath = this._resolveLibraryPath(libraries.structural.outro);
-            const outroDuration = await this._getAudioDuration(outroPath);
+        // Outro: fades in over the end of the voice and closes the episode
+        if (outroPath) {
             layers.push({
                 filePath: outroPath,
                 type: 'structural-outro',
                 volume: this.config.mixing.outroVolume || 1.0,
-                fadeIn: 0.5, // Fade in from main content
+                fadeIn: timeline.outro.overlap || 0.5, // Crossfade from the voice
                 fadeOut: 0,
                 duration: outroDuration,
-                // Outro starts relative to the end of the voice track (or combined content)
-                startOffset: voiceDuration > 0 ? (voiceDuration - 1.0) : 0 // Start 1 sec before voice ends, for crossfade
+                startOffset: timeline.outro.start
             });
         }
 
+        // Beds run for the whole program, from the intro to the end of the outro
+
+        // Multi-scene episodes get a bed per scene (steps 3b/4b) instead of one episode-wide bed
+        const scenes = (analysis && analysis.scenes) || [];
+        const useSceneBeds = scenes.length > 1;
 
         // 3. Add Background Ambience
-        if (libraries.ambience && libraries.ambience.length > 0) {
-            // Pick a random ambience for simplicity for now
-            const selectedAmbience = libraries.ambience[Math.floor(Math.random() * libraries.ambience.length)];
+        if (!useSceneBeds && libraries.ambience && libraries.ambience.length > 0) {
+            const selectedAmbience = await this._pickAsset(libraries.ambience, selection, 'ambience');
             const ambiencePath = this._resolveLibraryPath(selectedAmbience);
             const ambienceDuration = await this._getAudioDuration(ambiencePath); // Get duration for looping or trimming
             layers.push({
@@ -101,12 +146,12 @@ class LayerManager {
                 loop: true, // Ambience typically loops
                 startOffset: 0
             });
+            this._fitBed(layers[layers.length - 1], programLength, selection.random);
         }
 
         // 4. Add Background Music
-        if (libraries.music && libraries.music.length > 0) {
-             // Pick a random music track for simplicity for now, based on mood
-            const selectedMusic = libraries.music[Math.floor(Math.random() * libraries.music.length)];
+        if (!useSceneBeds && libraries.music && libraries.music.length > 0) {
+            const selectedMusic = await this._pickAsset(libraries.music, selection, 'music');
             const musicPath = this._resolveLibraryPath(selectedMusic);
             const musicDuration = await this._getAudioDuration(musicPath);
             layers.push({
@@ -119,6 +164,13 @@ class LayerManager {
                 loop: true, // Music typically loops
                 startOffset: 0
             });
+            this._fitBed(layers[layers.length - 1], programLength, selection.random);
+        }
+        
+        // 3b/4b. Scene-scheduled Ambience and Music, crossfading at scene boundaries
+        if (useSceneBeds) {
+            layers.push(...await this._createSceneBeds(scenes, 'ambience', libraries, selection, timeline));
+            layers.push(...await this._createSceneBeds(scenes, 'music', libraries, selection, timeline));
         }
         
         // 5. Add Transmission Effects (e.g., static)
@@ -126,7 +178,7 @@ class LayerManager {
         if (libraries.effects && libraries.effects.length > 0) {
             // For now, let's add one static effect at the beginning.
             // Future: integrate more precisely based on transcript keywords/sentiment.
-            const selectedEffect = libraries.effects[Math.floor(Math.random() * libraries.effects.length)];
+            const selectedEffect = await this._pickAsset(libraries.effects, selection, 'transmission-static');
             const effectPath = this._resolveLibraryPath(selectedEffect);
             const effectDuration = await this._getAudioDuration(effectPath);
             layers.push({
@@ -136,16 +188,251 @@ class LayerManager {
                 fadeIn: 0.1,
                 fadeOut: 0.5,
                 duration: effectDuration,
-                startOffset: 0 // Starts at the beginning
+                startOffset: voiceStart // Static opens the transmission itself
             });
         }
 
+        // 6. Add Cued Sound Effects at the moments their trigger words are spoken,
+        // plus any manual cues from the episode manifest
+        const autoCues = !manifest || manifest.autoCues ? this.cueEngine.findCues((analysis && analysis.segments) || []) : [];
+        const manualCues = manifest ? manifest.cues.map(cue => ({
+            volume: this.cueEngine.rules.defaultVolume,
+            trigger: 'manual',
+            ...cue
+        })) : [];
+        const cueLayers = await this._createCueLayers([...autoCues, ...manualCues].sort((a, b) => a.time - b.time), voiceStart);
+        layers.push(...cueLayers);
+
+        // 7. Signal-loss and tuning samples on each voice's dropouts
+        for (const voice of layers.filter(layer => layer.type === 'voice' && layer.character && layer.dropouts.length > 0)) {
+            layers.push(...await this._createDropoutLayers(voice, selection, voice.startOffset));
+        }
+
         console.log('✅ Layers prepared:', layers.map(l => ({type: l.type, path: l.filePath, duration: l.duration, loop: l.loop, startOffset: l.startOffset})));
         return layers;
     }
 
+    /**
+     * Schedules ambience or music beds across scenes.
+     * Consecutive scenes that share a location (ambience) or mood (music) keep the same bed;
+     * where the bed changes, the outgoing and incoming beds overlap by `scenes.crossfadeSeconds`
+     * centred on the boundary, fading out and in across the overlap.
+     * A scene's own `ambience`/`music` file (from a manifest) wins, then a manifest-pinned
+     * selection, then the library mappings for the scene's location/mood.
+     * @param {Array<object>} scenes Scenes from ContentAnalyzer.extractScenes.
+     * @param {string} type 'ambience' or 'music'.
+     * @param {object} [libraries={}] Library selection (uses `pinned` and the pinned file lists).
+     * @param {object} selection `{ random, recentAssets }` picking state (see createLayers).
+     * @param {object} timeline Episode timeline (see core/timeline.js). Scene times are shifted by the voice's
+     * start; the first bed starts with the intro and the last runs to the end of the program.
+     * @returns {Promise<Array<object>>} Bed layers with `startOffset` and `playDuration` set.
+     */
+    async _createSceneBeds(scenes, type, libraries = {}, selection, timeline) {
+        const crossfade = (this.config.scenes && this.config.scenes.crossfadeSeconds) || 4;
+        const defaultFade = type === 'music' ? 2.0 : 1.0;
+        const key = type === 'music' ? 'mood' : 'location';
+
+        // Collapse consecutive scenes with the same location/mood into one span
+        const spans = scenes.reduce((merged, scene) => {
+            const previous = merged[merged.length - 1];
+            if (previous && previous.value === scene[key] && previous.file === scene[type]) {
+                previous.end = scene.end;
+            } else {
+                merged.push({ value: scene[key], file: scene[type], start: scene.start, end: scene.end });
+            }
+            return merged;
+        }, []);
+
+        const layers = [];
+        for (let i = 0; i < spans.length; i++) {
+            const span = spans[i];
+            let candidates;
+            if (span.file) {
+                candidates = [span.file];
+            } else if (libraries.pinned && libraries.pinned[type]) {
+                candidates = libraries[type];
+            } else {
+                candidates = type === 'music'
+                    ? (this.libraryMappings.moods[span.value]?.music || this.libraryMappings.moods.mysterious.music)
+                    : (this.libraryMappings.locations[span.value]?.ambience || this.libraryMappings.locations.unknown.ambience);
+            }
+            if (!candidates || candidates.length === 0) continue;
+
+            const selected = await this._pickAsset(candidates, selection, `${type} (${span.value})`);
+            const filePath = this._resolveLibraryPath(selected);
+            const assetDuration = await this._getAudioDuration(filePath);
+
+            const isFirst = i === 0;
+            const isLast = i === spans.length - 1;
+            const voiceStart = timeline.voice.start;
+            const startOffset = isFirst ? 0 : Math.max(0, voiceStart + span.start - crossfade / 2);
+            const end = isLast ? Math.max(voiceStart + span.end, timeline.length) : voiceStart + span.end + crossfade / 2;
+
+            layers.push(this._fitBed({
+                filePath: filePath,
+                type: type,
+                volume: type === 'music' ? this.config.mixing.musicVolume : this.config.mixing.ambienceVolume,
+                fadeIn: isFirst ? defaultFade : crossfade,
+                fadeOut: isLast ? defaultFade : crossfade,
+                duration: assetDuration,
+                loop: true,
+                startOffset: startOffset,
+                scene: span.value
+            }, end - startOffset, selection.random));
+        }
+
+        console.log(`🗺️ Scheduled ${layers.length} ${type} bed(s) across ${scenes.length} scenes:`,
+            layers.map(l => `${l.scene}@${l.startOffset.toFixed(1)}s`).join(', '));
+        return layers;
+    }
+
+    /**
+     * Fits a looping bed to its stretch of the episode timeline (in place). The mixer loops the bed
+     * with crossfaded seams, or trims it, to exactly `playDuration`; fades are applied against that length.
+     * Long beds (`beds.randomStartMinSeconds` or more) start at a seeded random in-point when
+     * `beds.randomStart` is on, so a track reused across episodes doesn't always open the same way.
+     * @param {object} layer Bed layer with its asset `duration`.
+     * @param {number} length Seconds the bed plays on the episode timeline.
+     * @param {SeededRandom} random
+     * @returns {object} The same layer, with `playDuration`, `loopCrossfade` and `sourceStart` set.
+     */
+    _fitBed(layer, length, random) {
+        const { loopCrossfadeSeconds, randomStart, randomStartMinSeconds } = this.bedConfig;
+        layer.playDuration = length;
+        // Short assets get a shorter seam so most of each pass is still the asset itself
+        layer.loopCrossfade = Math.min(loopCrossfadeSeconds, layer.duration / 4);
+        layer.sourceStart = 0;
+
+        if (randomStart && layer.duration >= randomStartMinSeconds) {
+            // A bed that fits without looping may start anywhere that still leaves `length` seconds;
+            // a looping bed keeps clear of its last seam
+            const latest = layer.duration >= length
+                ? layer.duration - length
+                : layer.duration - 2 * layer.loopCrossfade;
+            layer.sourceStart = Math.round(random.next() * Math.max(0, latest) * 100) / 100;
+        }
+        return layer;
+    }
+
+    /**
+     * Creates one effect layer per cue.
+     * Missing effect files are skipped with a warning rather than failing the render.
+     * @param {Array<object>} cues Cues `{ time, effect, volume, trigger }` (from CueEngine or a manifest).
+     * @param {number} [voiceStart=0] Where the voice starts on the episode timeline; cue times are relative to it.
+     * @returns {Promise<Array<object>>} Effect layers with `cue: true` and their `startOffset` set.
+     */
+    async _createCueLayers(cues, voiceStart = 0) {
+        const layers = [];
+        for (const cue of cues) {
+            const effectPath = this._resolveLibraryPath(cue.effect);
+            try {
+                const effectDuration = await this._getAudioDuration(effectPath);
+                layers.push({
+                    filePath: effectPath,
+                    type: 'effects',
+                    cue: true, // Mixed on the cue bus rather than as a separate background bed
+                    trigger: cue.trigger,
+                    volume: cue.volume,
+                    fadeIn: 0.05,
+                    fadeOut: Math.min(0.5, effectDuration / 4),
+                    duration: effectDuration,
+                    startOffset: voiceStart + cue.time
+                });
+            } catch (err) {
+                console.warn(`⚠️ Skipping cue "${cue.trigger}" at ${cue.time.toFixed(2)}s: ${err.message}`);
+            }
+        }
+
+        if (layers.length > 0) {
+            console.log(`🎬 Placed ${layers.length} cued effect(s):`, layers.map(l => `${l.trigger}@${l.startOffset.toFixed(1)}s`).join(', '));
+        }
+        return layers;
+    }
+
+    /**
+     * Creates the sample layers that mark dropouts: a `dropoutSamples.start` group sample (signal_loss) where the
+     * signal drops and a `dropoutSamples.end` group sample (tuning) where it comes back. They play on the cue bus.
+     * A missing sample group is skipped with a warning.
+     * @param {object} transmission `{ character, dropouts }`, e.g. a voice layer.
+     * @param {object} selection `{ random, recentAssets }` picking state.
+     * @param {number} voiceStart Where that voice starts on the episode timeline.
+     * @returns {Promise<Array<object>>} Layers with `cue: true` and `dropout: true`.
+     */
+    async _createDropoutLayers(transmission, selection, voiceStart) {
+        const samples = transmission.character.dropoutSamples;
+        if (!samples) return [];
+        const effects = this.libraryMappings.transmissionEffects || {};
+        const pick = async (group, time) => {
+            try {
+                return { time, effect: await this._pickAsset(effects[group] || [], selection, group), volume: samples.volume, trigger: group };
+            } catch (err) {
+                console.warn(`⚠️ No ${group} sample for the dropout at ${time.toFixed(2)}s: ${err.message}`);
+                return null;
+            }
+        };
+
+        const cues = [];
+        for (const dropout of transmission.dropouts) {
+            cues.push(await pick(samples.start, dropout.start), await pick(samples.end, dropout.end));
+        }
+        const layers = await this._createCueLayers(cues.filter(Boolean), voiceStart);
+        layers.forEach(layer => {
+            layer.type = 'transmission-dropout';
+            layer.dropout = true; // Regenerated from the seed on every render, so never written as a manifest cue
+        });
+        return layers;
+    }
+
+    /**
+     * Picks one asset with the seeded generator, skipping files missing from disk and assets
+     * used by recent episodes. When every available candidate was used recently, they are all eligible again.
+     * @param {Array<string>} candidates Library-relative (or absolute) file paths.
+     * @param {object} selection `{ random, recentAssets }` picking state.
+     * @param {string} label What is being picked, for error messages (e.g. 'ambience').
+     * @returns {Promise<string>} The chosen path.
+     * @throws {Error} If none of the candidates exist on disk.
+     */
+    async _pickAsset(candidates, selection, label) {
+        const available = [];
+        for (const candidate of candidates) {
+            try {
+                await fs.access(this._resolveLibraryPath(candidate));
+                available.push(candidate);
+            } catch (err) {
+                console.warn(`⚠️ Mapped ${label} file is missing, skipping: ${candidate}`);
+            }
+        }
+        if (available.length === 0) {
+            throw new Error(`No ${label} file available: all ${candidates.length} mapped file(s) are missing. Run "npm run index-library" to check the library.`);
+        }
+
+        const fresh = available.filter(candidate => !selection.recentAssets.has(this.assetId(candidate)));
+        return selection.random.pick(fresh.length > 0 ? fresh : available);
+    }
+
+    /**
+     * Stable ID of a library asset: its library-relative path.
+     * @param {string} filePath Library-relative or absolute path.
+     * @returns {string}
+     */
+    assetId(filePath) {
+        return path.isAbsolute(filePath) ? this.toLibraryPath(filePath) : filePath.split(path.sep).join('/');
+    }
+
+    /**
+     * Converts an absolute file path back to a library-relative one (as used in library-mappings.json
+     * and episode manifests). Files outside the library keep their absolute path.
+     * @param {string} filePath
+     * @returns {string}
+     */
+    toLibraryPath(filePath) {
+        const relative = path.relative(this.audioLibraryBasePath, filePath);
+        return relative.startsWith('..') || path.isAbsolute(relative) ? filePath : relative.split(path.sep).join('/');
+    }
+
     /**
      * Resolves a relative path from library-mappings.json to an absolute file system path.
+     * Absolute paths (e.g., from an episode manifest) are returned unchanged.
      * @param {string} relativePath The path as stored in library-mappings.json (e.g., 'ambience/forest/wind-through-trees.mp3').
      * @returns {string} The absolute path to the audio file.
      */
@@ -153,6 +440,9 @@ class LayerManager {
         if (!relativePath) {
             throw new Error("Relative path cannot be null or undefined.");
         }
+        if (path.isAbsolute(relativePath)) {
+            return relativePath;
+        }
         const fullPath = path.join(this.audioLibraryBasePath, relativePath);
         // Optional: Add a check here for file existence if robustness is critical
         // For example:
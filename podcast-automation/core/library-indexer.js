@@ -0,0 +1,413 @@
+/**
+ * LibraryIndexer for Lost Transmissions
+ * Walks audio-libraries/, probes every asset (duration, sample rate, channels, loudness,
+ * loop-ability) and cross-checks it against library-mappings.json, flagging mapped files
+ * that are missing and files on disk that nothing maps. Each asset carries tags
+ * (category, location, mood, intensity) from which library-mappings.json can be regenerated.
+ * The index is one JSON file; unchanged files (same size and mtime) are not re-probed.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const ffmpeg = require('fluent-ffmpeg');
+const Mastering = require('../audio-processing/core/mastering'); // Reused for loudness measurement
+const LibraryStore = require('./library-store');
+
+const AUDIO_EXTENSIONS = ['.mp3', '.wav', '.flac', '.ogg', '.opus', '.m4a', '.aac'];
+
+class LibraryIndexer {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.libraryPath] Library root (defaults to the same audio-libraries/ LayerManager uses).
+     * @param {LibraryStore} [options.store] Reads and writes the index and library-mappings.json.
+     * @param {object} [options.mappings] Library mappings to check against (defaults to the store's current mappings).
+     * @param {object} [options.cueRules] Cue rules whose effects also count as mapped (defaults to config/cue-rules.json).
+     */
+    constructor(options = {}) {
+        this.config = require('../config/audio-settings.json');
+        const libraryConfig = this.config.library || {};
+        this.libraryConfig = {
+            loopEdgeSeconds: 0.5, // Length of the start/end windows compared for loop-ability
+            loopToleranceDb: 3,   // Max RMS difference between the two edges of a seamless loop
+            silenceDb: -50,       // Edges quieter than this are fades, not loop points
+            ...libraryConfig
+        };
+        this.libraryPath = options.libraryPath || path.join(__dirname, '..', '..', 'audio-libraries');
+        this.store = options.store || new LibraryStore();
+        this.indexFile = this.store.indexFile;
+        this.mappingsFile = this.store.mappingsFile;
+        this.fixedMappings = options.mappings || null;
+        this.mappings = this.fixedMappings; // Refreshed from the store at the start of each scan
+        this.cueRules = options.cueRules || require('../config/cue-rules.json');
+        this.mastering = new Mastering(this.config);
+    }
+
+    /**
+     * Reads the current index. A missing file yields null.
+     * @returns {Promise<object|null>}
+     */
+    load() {
+        return this.store.getIndex();
+    }
+
+    /**
+     * Reloads the mappings from the store (unless fixed mappings were passed in).
+     * @returns {Promise<object>}
+     */
+    async refreshMappings() {
+        this.mappings = this.fixedMappings || await this.store.getMappings();
+        return this.mappings;
+    }
+
+    /**
+     * Scans the library, probes new or changed files and writes the index.
+     * @param {object} [options]
+     * @param {boolean} [options.force=false] Re-probe every file, even unchanged ones.
+     * @param {Function} [options.onProgress] Called with `{ current, total, id }` per file.
+     * @returns {Promise<object>} The index `{ scannedAt, libraryPath, assets, missing, unmapped, errors }`.
+     */
+    async scan(options = {}) {
+        const previous = await this.load();
+        await this.refreshMappings();
+        const previousById = new Map(((previous && previous.assets) || []).map(asset => [asset.id, asset]));
+        const mapped = this._mappedTags();
+        const files = await this._walk(this.libraryPath);
+
+        const assets = [];
+        const errors = [];
+        for (let i = 0; i < files.length; i++) {
+            const filePath = files[i];
+            const id = path.relative(this.libraryPath, filePath).split(path.sep).join('/');
+            if (options.onProgress) options.onProgress({ current: i + 1, total: files.length, id });
+
+            try {
+                const stat = await fs.stat(filePath);
+                const cached = previousById.get(id);
+                const unchanged = cached && !options.force && cached.size === stat.size && cached.mtime === stat.mtime.toISOString();
+                const probe = unchanged ? cached : await this.probeAsset(filePath);
+                assets.push({
+                    ...this.assetEntry(id, stat, probe),
+                    mapped: mapped.has(id),
+                    // Hand-edited tags survive rescans; otherwise tags come from the mappings and folder layout
+                    tags: cached && cached.tagsSource === 'manual'
+                        ? cached.tags
+                        : this._deriveTags(id, mapped.get(id), probe.loudness),
+                    tagsSource: cached && cached.tagsSource === 'manual' ? 'manual' : 'auto'
+                });
+            } catch (err) {
+                console.warn(`⚠️ Could not index ${id}: ${err.message}`);
+                errors.push({ id, error: err.message });
+            }
+        }
+
+        const onDisk = new Set(files.map(filePath => path.relative(this.libraryPath, filePath).split(path.sep).join('/')));
+        const index = {
+            scannedAt: new Date().toISOString(),
+            libraryPath: this.libraryPath,
+            assets: assets,
+            missing: [...mapped.keys()].filter(id => !onDisk.has(id)).sort(), // Mapped but not on disk
+            unmapped: assets.filter(asset => !asset.mapped).map(asset => asset.id), // On disk but never selected
+            errors: errors
+        };
+        await this.store.saveIndex(index);
+
+        console.log(`📚 Indexed ${assets.length} asset(s): ${index.missing.length} missing, ${index.unmapped.length} unmapped, ${errors.length} error(s).`);
+        return index;
+    }
+
+    /**
+     * Builds a library-mappings.json structure from index tags.
+     * Locations, moods and effect groups that exist in the current mappings are kept even when empty,
+     * so selection fallbacks (e.g. `locations.unknown`) keep working.
+     * @param {object} index Result of `scan` or `load`.
+     * @returns {object} Mappings in the library-mappings.json shape.
+     */
+    generateMappings(index) {
+        if (!this.mappings) throw new Error('Mappings not loaded; call refreshMappings() first.');
+        const mappings = {
+            locations: {},
+            moods: {},
+            transmissionEffects: {},
+            structuralElements: { intro: [], outro: [] }
+        };
+        Object.keys(this.mappings.locations || {}).forEach(location => { mappings.locations[location] = { ambience: [], effects: [] }; });
+        Object.keys(this.mappings.moods || {}).forEach(mood => { mappings.moods[mood] = { music: [] }; });
+        Object.keys(this.mappings.transmissionEffects || {}).forEach(group => { mappings.transmissionEffects[group] = []; });
+
+        index.assets.forEach(({ id, tags }) => this.mapAsset(mappings, id, tags));
+        return mappings;
+    }
+
+    /**
+     * Adds an asset to the mapping lists its tags call for (in place).
+     * @param {object} mappings Mappings in the library-mappings.json shape.
+     * @param {string} id Library-relative path.
+     * @param {object} tags `{ category, locations, moods, group }`.
+     * @returns {object} The same mappings.
+     */
+    mapAsset(mappings, id, tags) {
+        const add = (list, value) => { if (!list.includes(value)) list.push(value); };
+        mappings.locations = mappings.locations || {};
+        mappings.moods = mappings.moods || {};
+        mappings.transmissionEffects = mappings.transmissionEffects || {};
+        mappings.structuralElements = mappings.structuralElements || { intro: [], outro: [] };
+
+        switch (tags.category) {
+            case 'ambience':
+            case 'effects':
+                (tags.locations || []).forEach(location => {
+                    mappings.locations[location] = mappings.locations[location] || { ambience: [], effects: [] };
+                    mappings.locations[location][tags.category] = mappings.locations[location][tags.category] || [];
+                    add(mappings.locations[location][tags.category], id);
+                });
+                break;
+            case 'music':
+                (tags.moods || []).forEach(mood => {
+                    mappings.moods[mood] = mappings.moods[mood] || { music: [] };
+                    add(mappings.moods[mood].music, id);
+                });
+                break;
+            case 'transmission-effects':
+                if (tags.group) {
+                    mappings.transmissionEffects[tags.group] = mappings.transmissionEffects[tags.group] || [];
+                    add(mappings.transmissionEffects[tags.group], id);
+                }
+                break;
+            case 'structural':
+                if (tags.group === 'intro' || tags.group === 'outro') {
+                    mappings.structuralElements[tags.group] = mappings.structuralElements[tags.group] || [];
+                    add(mappings.structuralElements[tags.group], id);
+                }
+                break;
+            default:
+                break;
+        }
+        return mappings;
+    }
+
+    /**
+     * Removes an asset from every mapping list (in place). Empty locations, moods and groups are kept.
+     * @param {object} mappings
+     * @param {string} id
+     * @returns {object} The same mappings.
+     */
+    unmapAsset(mappings, id) {
+        const without = list => list.filter(value => value !== id);
+        Object.values(mappings.locations || {}).forEach(lists => {
+            Object.keys(lists).forEach(key => { lists[key] = without(lists[key]); });
+        });
+        Object.values(mappings.moods || {}).forEach(lists => {
+            Object.keys(lists).forEach(key => { lists[key] = without(lists[key]); });
+        });
+        ['transmissionEffects', 'structuralElements'].forEach(section => {
+            Object.keys(mappings[section] || {}).forEach(group => { mappings[section][group] = without(mappings[section][group]); });
+        });
+        return mappings;
+    }
+
+    /**
+     * Regenerates config/library-mappings.json from an index.
+     * @param {object} index
+     * @returns {Promise<string>} Path of the written mappings file.
+     */
+    async writeMappings(index) {
+        if (!index.assets || index.assets.length === 0) {
+            throw new Error('Refusing to write mappings from an empty index (is the library path right?).');
+        }
+        await this.refreshMappings();
+        await this.store.saveMappings(this.generateMappings(index));
+        console.log(`🗺️ Regenerated ${this.mappingsFile} from the library index.`);
+        return this.mappingsFile;
+    }
+
+    /**
+     * Collects tags implied by library-mappings.json, keyed by asset ID.
+     * Effects referenced only by cue rules are included (without tags) so they count as mapped.
+     * @returns {Map<string, object>} id → `{ locations, moods, groups }`.
+     */
+    _mappedTags() {
+        const tags = new Map();
+        const tag = (id, key, value) => {
+            const entry = tags.get(id) || { locations: [], moods: [], groups: [] };
+            if (!entry[key].includes(value)) entry[key].push(value);
+            tags.set(id, entry);
+        };
+
+        Object.entries(this.mappings.locations || {}).forEach(([location, lists]) => {
+            Object.values(lists).forEach(ids => ids.forEach(id => tag(id, 'locations', location)));
+        });
+        Object.entries(this.mappings.moods || {}).forEach(([mood, lists]) => {
+            Object.values(lists).forEach(ids => ids.forEach(id => tag(id, 'moods', mood)));
+        });
+        Object.entries(this.mappings.transmissionEffects || {}).forEach(([group, ids]) => {
+            ids.forEach(id => tag(id, 'groups', group));
+        });
+        Object.entries(this.mappings.structuralElements || {}).forEach(([group, ids]) => {
+            ids.forEach(id => tag(id, 'groups', group));
+        });
+        (this.cueRules.cues || []).forEach(cue => {
+            if (!tags.has(cue.effect)) tags.set(cue.effect, { locations: [], moods: [], groups: [] });
+        });
+        return tags;
+    }
+
+    /**
+     * Derives tags from the mappings and the folder layout
+     * (ambience/<location>/, music/<mood>/, transmission-effects/<group>/, structural/<intros|outros>/).
+     * @param {string} id Library-relative path.
+     * @param {object} [mappedTags] Tags from `_mappedTags`.
+     * @param {object} [loudness] Measured loudness, used to estimate intensity.
+     * @returns {object} `{ category, locations, moods, group, intensity }`.
+     */
+    _deriveTags(id, mappedTags, loudness) {
+        const [category, folder] = id.split('/');
+        const fromMappings = mappedTags || { locations: [], moods: [], groups: [] };
+        const folderValue = id.split('/').length > 2 ? folder : null;
+        const structuralGroup = folder === 'intros' ? 'intro' : folder === 'outros' ? 'outro' : null;
+
+        return {
+            category: category,
+            locations: fromMappings.locations.length > 0 ? fromMappings.locations
+                : (category === 'ambience' && folderValue ? [folderValue] : []),
+            moods: fromMappings.moods.length > 0 ? fromMappings.moods
+                : (category === 'music' && folderValue ? [folderValue] : []),
+            group: fromMappings.groups[0] ||
+                (category === 'structural' ? structuralGroup : category === 'transmission-effects' ? folderValue : null),
+            intensity: this.estimateIntensity(loudness)
+        };
+    }
+
+    /**
+     * Rough intensity from loudness: loud, dynamic assets read as more intense.
+     * @param {object} [loudness]
+     * @returns {string|null} 'low', 'medium' or 'high'.
+     */
+    estimateIntensity(loudness) {
+        if (!loudness || !Number.isFinite(loudness.integrated)) return null;
+        if (loudness.integrated > -18 || loudness.lra > 15) return 'high';
+        if (loudness.integrated > -28) return 'medium';
+        return 'low';
+    }
+
+    /**
+     * Index fields for one probed file (everything except mapping state and tags).
+     * @param {string} id Library-relative path.
+     * @param {fs.Stats} stat
+     * @param {object} probe Result of `probeAsset` (or a cached index entry).
+     * @returns {object}
+     */
+    assetEntry(id, stat, probe) {
+        return {
+            id: id,
+            size: stat.size,
+            mtime: stat.mtime.toISOString(),
+            duration: probe.duration,
+            sampleRate: probe.sampleRate,
+            channels: probe.channels,
+            codec: probe.codec,
+            loudness: probe.loudness,
+            loopable: probe.loopable,
+            edgeLevels: probe.edgeLevels
+        };
+    }
+
+    /**
+     * Probes format details, loudness and loop-ability of one file.
+     * @param {string} filePath
+     * @returns {Promise<object>}
+     */
+    async probeAsset(filePath) {
+        const metadata = await new Promise((resolve, reject) => {
+            ffmpeg.ffprobe(filePath, (err, meta) => (err ? reject(err) : resolve(meta)));
+        });
+        const stream = (metadata.streams || []).find(s => s.codec_type === 'audio');
+        if (!stream) throw new Error('No audio stream found');
+        const duration = Number(metadata.format.duration) || 0;
+
+        const loudness = await this.mastering.measure(filePath);
+        const edgeLevels = await this._edgeLevels(filePath, duration);
+        const { loopToleranceDb, silenceDb } = this.libraryConfig;
+        const loopable = edgeLevels !== null &&
+            edgeLevels.start > silenceDb && edgeLevels.end > silenceDb &&
+            Math.abs(edgeLevels.start - edgeLevels.end) <= loopToleranceDb;
+
+        return {
+            duration: duration,
+            sampleRate: Number(stream.sample_rate) || null,
+            channels: stream.channels || null,
+            codec: stream.codec_name || null,
+            loudness: { integrated: loudness.integrated, lra: loudness.lra, truePeak: loudness.truePeak },
+            loopable: loopable,
+            edgeLevels: edgeLevels
+        };
+    }
+
+    /**
+     * Measures the RMS level of the first and last `loopEdgeSeconds` of a file.
+     * A loop point is seamless only when both edges are audible and about equally loud.
+     * @param {string} filePath
+     * @param {number} duration
+     * @returns {Promise<object|null>} `{ start, end }` in dBFS, or null for files too short to judge.
+     */
+    async _edgeLevels(filePath, duration) {
+        const edge = this.libraryConfig.loopEdgeSeconds;
+        if (duration < edge * 4) return null;
+        const [start, end] = [await this._rmsLevel(filePath, 0, edge), await this._rmsLevel(filePath, duration - edge, edge)];
+        return { start, end };
+    }
+
+    /**
+     * RMS level (dBFS) of a window of a file, from FFmpeg's astats "Overall" section.
+     * @param {string} filePath
+     * @param {number} start Seconds.
+     * @param {number} length Seconds.
+     * @returns {Promise<number>}
+     */
+    _rmsLevel(filePath, start, length) {
+        return new Promise((resolve, reject) => {
+            ffmpeg(filePath)
+                .seekInput(start)
+                .duration(length)
+                .audioFilters('astats=metadata=0')
+                .format('null')
+                .output('-')
+                .on('end', (stdout, stderr) => {
+                    const levels = [...String(stderr).matchAll(/RMS level dB:\s*(-?[\d.]+|-inf)/g)];
+                    if (levels.length === 0) return resolve(-Infinity);
+                    const overall = levels[levels.length - 1][1]; // The Overall section comes last
+                    resolve(overall === '-inf' ? -Infinity : Number(overall));
+                })
+                .on('error', reject)
+                .run();
+        });
+    }
+
+    /**
+     * Recursively lists audio files under a directory. A missing library is treated as empty.
+     * @param {string} dir
+     * @returns {Promise<Array<string>>} Absolute paths, sorted.
+     */
+    async _walk(dir) {
+        let entries;
+        try {
+            entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch (err) {
+            if (err.code === 'ENOENT') return [];
+            throw err;
+        }
+        const files = [];
+        for (const entry of entries) {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                files.push(...await this._walk(fullPath));
+            } else if (AUDIO_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+                files.push(fullPath);
+            }
+        }
+        return files.sort();
+    }
+}
+
+LibraryIndexer.AUDIO_EXTENSIONS = AUDIO_EXTENSIONS;
+
+module.exports = LibraryIndexer;
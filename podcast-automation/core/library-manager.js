@@ -0,0 +1,401 @@
+/**
+ * LibraryManager for Lost Transmissions
+ * Adds, retags, replaces and deletes library assets, keeping audio-libraries/, the library index
+ * and library-mappings.json in step. Uploads are validated (readable audio, minimum duration,
+ * loudness and true peak within `library.validation`) before they enter the library.
+ * Mutations run one at a time; renders pick up the changes through LibraryStore.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const LibraryStore = require('./library-store');
+const LibraryIndexer = require('./library-indexer');
+
+const CATEGORIES = ['ambience', 'music', 'effects', 'transmission-effects', 'structural'];
+const TAG_VALUE = /^[a-z0-9][a-z0-9_-]*$/;
+
+/**
+ * An error the API reports to the client with the given HTTP status.
+ * @param {string} message
+ * @param {number} statusCode
+ * @returns {Error}
+ */
+function libraryError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+class LibraryManager {
+    /**
+     * @param {object} [options]
+     * @param {LibraryStore} [options.store]
+     * @param {LibraryIndexer} [options.indexer]
+     */
+    constructor(options = {}) {
+        this.config = require('../config/audio-settings.json');
+        this.validation = {
+            minDurationSeconds: 1, // Shorter files are almost always broken exports
+            minIntegrated: -45,    // LUFS; quieter beds vanish under the voice
+            maxIntegrated: -10,    // LUFS; louder beds fight the voice even when ducked
+            maxTruePeak: 0,        // dBTP; anything above clips
+            ...((this.config.library || {}).validation || {})
+        };
+        this.store = options.store || new LibraryStore();
+        this.indexer = options.indexer || new LibraryIndexer({ store: this.store });
+        this.libraryPath = this.indexer.libraryPath;
+        this.queue = Promise.resolve(); // Serializes mutations and rescans
+    }
+
+    /**
+     * Lists indexed assets, optionally filtered, plus the values the library can be browsed by.
+     * @param {object} [filter={}] `{ category, location, mood, group }`; omitted keys match everything.
+     * @returns {Promise<object>} `{ assets, facets, scannedAt }`.
+     */
+    async list(filter = {}) {
+        const index = await this.store.getIndex();
+        const mappings = await this.store.getMappings();
+        const assets = ((index && index.assets) || []).filter(({ tags }) =>
+            (!filter.category || tags.category === filter.category) &&
+            (!filter.location || (tags.locations || []).includes(filter.location)) &&
+            (!filter.mood || (tags.moods || []).includes(filter.mood)) &&
+            (!filter.group || tags.group === filter.group));
+
+        return {
+            assets: assets,
+            facets: {
+                categories: CATEGORIES,
+                locations: Object.keys(mappings.locations || {}),
+                moods: Object.keys(mappings.moods || {}),
+                groups: [...Object.keys(mappings.transmissionEffects || {}), 'intro', 'outro']
+            },
+            scannedAt: index ? index.scannedAt : null
+        };
+    }
+
+    /**
+     * @param {string} id Library-relative path.
+     * @returns {Promise<object|null>} The asset's index entry.
+     */
+    async get(id) {
+        const index = await this.store.getIndex();
+        return ((index && index.assets) || []).find(asset => asset.id === id) || null;
+    }
+
+    /**
+     * Absolute path of an asset ID. Rejects IDs that escape the library or are not audio files.
+     * @param {string} id
+     * @returns {string}
+     */
+    resolvePath(id) {
+        const filePath = path.resolve(this.libraryPath, ...String(id).split('/'));
+        if (!filePath.startsWith(this.libraryPath + path.sep) ||
+            !LibraryIndexer.AUDIO_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+            throw libraryError(`Invalid asset ID: ${id}`, 400);
+        }
+        return filePath;
+    }
+
+    /**
+     * Validates an uploaded file and moves it into the library, in the folder its tags imply
+     * (ambience/<location>/, music/<mood>/, effects/, transmission-effects/<group>/, structural/<group>s/).
+     * @param {string} tempPath Uploaded file.
+     * @param {object} params
+     * @param {string} params.originalName Original file name; supplies the asset's name and extension.
+     * @param {object} params.tags `{ category, locations, moods, group, intensity }`.
+     * @returns {Promise<object>} The new index entry.
+     */
+    add(tempPath, { originalName, tags }) {
+        return this._exclusive(async () => {
+            const normalized = this.normalizeTags(tags);
+            const fileName = this._safeFileName(originalName);
+            const id = [...this._folderFor(normalized), fileName].join('/');
+            const filePath = this.resolvePath(id);
+            if (await this._exists(filePath)) {
+                throw libraryError(`Asset already exists: ${id} (replace it instead)`, 409);
+            }
+
+            const probe = await this.validate(tempPath);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await this._move(tempPath, filePath);
+
+            const entry = await this._saveAsset(id, probe, normalized);
+            console.log(`📥 Added library asset ${id}`);
+            return entry;
+        });
+    }
+
+    /**
+     * Replaces an asset's audio, keeping its ID and tags.
+     * @param {string} id
+     * @param {string} tempPath Uploaded file.
+     * @param {object} params
+     * @param {string} params.originalName Must have the same extension as the asset.
+     * @returns {Promise<object>} The updated index entry.
+     */
+    replace(id, tempPath, { originalName }) {
+        return this._exclusive(async () => {
+            const asset = await this._require(id);
+            const filePath = this.resolvePath(id);
+            if (path.extname(originalName || '').toLowerCase() !== path.extname(filePath).toLowerCase()) {
+                throw libraryError(`Replacement must be a ${path.extname(filePath)} file.`, 400);
+            }
+
+            const probe = await this.validate(tempPath);
+            await this._move(tempPath, filePath);
+
+            const entry = await this._saveAsset(id, probe, asset.tags);
+            console.log(`🔄 Replaced library asset ${id}`);
+            return entry;
+        });
+    }
+
+    /**
+     * Sets an asset's tags and remaps it. Manual tags survive rescans.
+     * @param {string} id
+     * @param {object} tags
+     * @returns {Promise<object>} The updated index entry.
+     */
+    retag(id, tags) {
+        return this._exclusive(async () => {
+            const asset = await this._require(id);
+            const entry = await this._saveAsset(id, asset, this.normalizeTags({ ...asset.tags, ...tags }));
+            console.log(`🏷️ Retagged library asset ${id}`);
+            return entry;
+        });
+    }
+
+    /**
+     * Deletes an asset's file and removes it from the mappings and index.
+     * Assets used by cue rules cannot be deleted (the rule would break every render).
+     * @param {string} id
+     * @returns {Promise<void>}
+     */
+    remove(id) {
+        return this._exclusive(async () => {
+            const filePath = this.resolvePath(id);
+            const cue = (this.indexer.cueRules.cues || []).find(rule => rule.effect === id);
+            if (cue) {
+                throw libraryError(`Asset is used by the cue rule for "${(cue.triggers || []).join(', ')}" in config/cue-rules.json.`, 409);
+            }
+            await this._require(id);
+
+            await fs.unlink(filePath).catch(err => { if (err.code !== 'ENOENT') throw err; });
+            const mappings = await this.store.getMappings();
+            await this.store.saveMappings(this.indexer.unmapAsset(JSON.parse(JSON.stringify(mappings)), id));
+
+            const index = await this.store.getIndex();
+            await this.store.saveIndex({
+                ...index,
+                assets: index.assets.filter(asset => asset.id !== id),
+                missing: index.missing.filter(missingId => missingId !== id),
+                unmapped: index.unmapped.filter(unmappedId => unmappedId !== id)
+            });
+            console.log(`🗑️ Deleted library asset ${id}`);
+        });
+    }
+
+    /**
+     * Rescans the whole library, queued behind any pending mutation.
+     * @param {object} [options]
+     * @param {boolean} [options.force=false]
+     * @param {boolean} [options.writeMappings=false] Regenerate library-mappings.json from the new index.
+     * @returns {Promise<object>} The index.
+     */
+    rescan(options = {}) {
+        return this._exclusive(async () => {
+            const index = await this.indexer.scan({ force: !!options.force });
+            if (options.writeMappings) await this.indexer.writeMappings(index);
+            return index;
+        });
+    }
+
+    /**
+     * Probes a file and checks it against `library.validation`.
+     * @param {string} filePath
+     * @returns {Promise<object>} The probe result (see LibraryIndexer.probeAsset).
+     */
+    async validate(filePath) {
+        let probe;
+        try {
+            probe = await this.indexer.probeAsset(filePath);
+        } catch (err) {
+            throw libraryError(`Not a readable audio file: ${err.message}`, 400);
+        }
+
+        const { minDurationSeconds, minIntegrated, maxIntegrated, maxTruePeak } = this.validation;
+        const { integrated, truePeak } = probe.loudness;
+        const problems = [];
+        if (probe.duration < minDurationSeconds) {
+            problems.push(`duration ${probe.duration.toFixed(2)}s is under ${minDurationSeconds}s`);
+        }
+        if (!Number.isFinite(integrated) || integrated < minIntegrated || integrated > maxIntegrated) {
+            problems.push(`loudness ${integrated} LUFS is outside ${minIntegrated}..${maxIntegrated} LUFS`);
+        }
+        if (truePeak > maxTruePeak) {
+            problems.push(`true peak ${truePeak} dBTP is above ${maxTruePeak} dBTP`);
+        }
+        if (problems.length > 0) {
+            throw libraryError(`Asset rejected: ${problems.join('; ')}.`, 400);
+        }
+        return probe;
+    }
+
+    /**
+     * Checks and cleans tags from a request. List values may be arrays or comma-separated strings.
+     * @param {object} tags
+     * @returns {object} `{ category, locations, moods, group, intensity }`.
+     */
+    normalizeTags(tags = {}) {
+        const list = value => (Array.isArray(value) ? value : String(value || '').split(','))
+            .map(item => String(item).trim().toLowerCase())
+            .filter(Boolean);
+        const normalized = {
+            category: String(tags.category || '').trim(),
+            locations: list(tags.locations),
+            moods: list(tags.moods),
+            group: tags.group ? String(tags.group).trim().toLowerCase() : null,
+            intensity: ['low', 'medium', 'high'].includes(tags.intensity) ? tags.intensity : null
+        };
+
+        if (!CATEGORIES.includes(normalized.category)) {
+            throw libraryError(`Unknown category "${normalized.category}". Expected one of: ${CATEGORIES.join(', ')}.`, 400);
+        }
+        const invalid = [...normalized.locations, ...normalized.moods, ...(normalized.group ? [normalized.group] : [])]
+            .filter(value => !TAG_VALUE.test(value));
+        if (invalid.length > 0) {
+            throw libraryError(`Invalid tag value(s): ${invalid.join(', ')} (use lowercase letters, digits, "-" and "_").`, 400);
+        }
+        if (['ambience', 'effects'].includes(normalized.category) && normalized.locations.length === 0) {
+            throw libraryError(`${normalized.category} assets need at least one location.`, 400);
+        }
+        if (normalized.category === 'music' && normalized.moods.length === 0) {
+            throw libraryError('music assets need at least one mood.', 400);
+        }
+        if (normalized.category === 'transmission-effects' && !normalized.group) {
+            throw libraryError('transmission-effects assets need a group (e.g. "static").', 400);
+        }
+        if (normalized.category === 'structural' && !['intro', 'outro'].includes(normalized.group)) {
+            throw libraryError('structural assets need group "intro" or "outro".', 400);
+        }
+        return normalized;
+    }
+
+    /**
+     * Writes an asset's index entry and mapping lists from its probe details and tags.
+     * @param {string} id
+     * @param {object} probe Probe result or existing index entry.
+     * @param {object} tags Normalized tags.
+     * @returns {Promise<object>} The index entry.
+     */
+    async _saveAsset(id, probe, tags) {
+        const mappings = JSON.parse(JSON.stringify(await this.store.getMappings()));
+        this.indexer.unmapAsset(mappings, id);
+        this.indexer.mapAsset(mappings, id, tags);
+        await this.store.saveMappings(mappings);
+
+        const stat = await fs.stat(this.resolvePath(id));
+        const entry = {
+            ...this.indexer.assetEntry(id, stat, probe),
+            mapped: true,
+            tags: { ...tags, intensity: tags.intensity || this.indexer.estimateIntensity(probe.loudness) },
+            tagsSource: 'manual'
+        };
+
+        const index = (await this.store.getIndex()) ||
+            { scannedAt: null, libraryPath: this.libraryPath, assets: [], missing: [], unmapped: [], errors: [] };
+        const assets = [...index.assets.filter(asset => asset.id !== id), entry].sort((a, b) => a.id.localeCompare(b.id));
+        await this.store.saveIndex({
+            ...index,
+            assets: assets,
+            missing: index.missing.filter(missingId => missingId !== id),
+            unmapped: assets.filter(asset => !asset.mapped).map(asset => asset.id),
+            errors: index.errors.filter(error => error.id !== id)
+        });
+        return entry;
+    }
+
+    /**
+     * @param {object} tags Normalized tags.
+     * @returns {Array<string>} Folder segments for a new asset.
+     */
+    _folderFor(tags) {
+        switch (tags.category) {
+            case 'ambience': return ['ambience', tags.locations[0]];
+            case 'music': return ['music', tags.moods[0]];
+            case 'transmission-effects': return ['transmission-effects', tags.group];
+            case 'structural': return ['structural', `${tags.group}s`];
+            default: return [tags.category];
+        }
+    }
+
+    /**
+     * @param {string} originalName
+     * @returns {string} A lowercase, URL-safe file name with an allowed audio extension.
+     */
+    _safeFileName(originalName) {
+        const extension = path.extname(originalName || '').toLowerCase();
+        if (!LibraryIndexer.AUDIO_EXTENSIONS.includes(extension)) {
+            throw libraryError(`Unsupported format "${extension}". Expected one of: ${LibraryIndexer.AUDIO_EXTENSIONS.join(', ')}.`, 400);
+        }
+        const name = path.basename(originalName, path.extname(originalName)).toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+        if (!name) throw libraryError('File name is empty.', 400);
+        return name + extension;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<object>} The asset's index entry; throws 404 if it is not indexed.
+     */
+    async _require(id) {
+        this.resolvePath(id);
+        const asset = await this.get(id);
+        if (!asset) throw libraryError(`Asset not found: ${id}`, 404);
+        return asset;
+    }
+
+    /**
+     * Moves a file, copying when source and target are on different devices.
+     * @param {string} from
+     * @param {string} to
+     * @returns {Promise<void>}
+     */
+    async _move(from, to) {
+        try {
+            await fs.rename(from, to);
+        } catch (err) {
+            if (err.code !== 'EXDEV') throw err;
+            await fs.copyFile(from, to);
+            await fs.unlink(from);
+        }
+    }
+
+    /**
+     * @param {string} filePath
+     * @returns {Promise<boolean>}
+     */
+    async _exists(filePath) {
+        try {
+            await fs.access(filePath);
+            return true;
+        } catch (err) {
+            return false;
+        }
+    }
+
+    /**
+     * Runs a task after every earlier one has finished.
+     * @param {Function} task
+     * @returns {Promise<*>}
+     */
+    _exclusive(task) {
+        const run = this.queue.catch(() => {}).then(task);
+        this.queue = run;
+        return run;
+    }
+}
+
+LibraryManager.CATEGORIES = CATEGORIES;
+
+module.exports = LibraryManager;
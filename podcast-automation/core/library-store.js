@@ -0,0 +1,96 @@
+/**
+ * LibraryStore for Lost Transmissions
+ * Reads and writes the library's two JSON files: library-mappings.json (what the pipeline selects from)
+ * and the library index (probed details and tags per asset). Reads check the file's mtime,
+ * so edits made through the library API or by hand apply to the next render without a restart.
+ * Writes are atomic (temp file + rename).
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+
+class LibraryStore {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.mappingsFile] Defaults to config/library-mappings.json.
+     * @param {string} [options.indexFile] Defaults to config `library.indexFile`.
+     */
+    constructor(options = {}) {
+        this.config = require('../config/audio-settings.json');
+        const libraryConfig = this.config.library || {};
+        this.mappingsFile = options.mappingsFile || path.join(__dirname, '..', 'config', 'library-mappings.json');
+        this.indexFile = options.indexFile || path.join(__dirname, '..', libraryConfig.indexFile || 'config/library-index.json');
+        this.cache = new Map(); // filePath -> { mtimeMs, data }
+    }
+
+    /**
+     * @returns {Promise<object>} Current library mappings.
+     */
+    getMappings() {
+        return this._read(this.mappingsFile, null);
+    }
+
+    /**
+     * @param {object} mappings
+     * @returns {Promise<void>}
+     */
+    saveMappings(mappings) {
+        return this._write(this.mappingsFile, mappings);
+    }
+
+    /**
+     * @returns {Promise<object|null>} The library index, or null if the library was never indexed.
+     */
+    getIndex() {
+        return this._read(this.indexFile, null, { optional: true });
+    }
+
+    /**
+     * @param {object} index
+     * @returns {Promise<void>}
+     */
+    saveIndex(index) {
+        return this._write(this.indexFile, index);
+    }
+
+    /**
+     * Reads a JSON file, reusing the parsed copy while its mtime is unchanged.
+     * @param {string} filePath
+     * @param {*} fallback Returned for a missing optional file.
+     * @param {object} [options]
+     * @param {boolean} [options.optional=false] Whether a missing file is allowed.
+     * @returns {Promise<*>}
+     */
+    async _read(filePath, fallback, options = {}) {
+        let stat;
+        try {
+            stat = await fs.stat(filePath);
+        } catch (err) {
+            if (err.code === 'ENOENT' && options.optional) return fallback;
+            throw err;
+        }
+
+        const cached = this.cache.get(filePath);
+        if (cached && cached.mtimeMs === stat.mtimeMs) return cached.data;
+
+        const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        this.cache.set(filePath, { mtimeMs: stat.mtimeMs, data });
+        return data;
+    }
+
+    /**
+     * Writes JSON atomically and drops the cached copy.
+     * @param {string} filePath
+     * @param {object} data
+     * @returns {Promise<void>}
+     */
+    async _write(filePath, data) {
+        const tempPath = `${filePath}.tmp`;
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(tempPath, JSON.stringify(data, null, 2) + '\n');
+        await fs.rename(tempPath, filePath);
+        this.cache.delete(filePath);
+    }
+}
+
+module.exports = LibraryStore;
@@ -0,0 +1,71 @@
+/**
+ * ProcessedLedger for Lost Transmissions
+ * Remembers which input files the command-line batch and watch modes have already rendered, by content
+ * hash, so re-running a batch (or restarting a watcher) skips them even if they were renamed or moved.
+ * Stored as one JSON file, written atomically (temp file + rename).
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+
+class ProcessedLedger {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.file] Ledger file (defaults to config `batch.ledgerFile`).
+     */
+    constructor(options = {}) {
+        this.config = require('../config/audio-settings.json');
+        const batchConfig = this.config.batch || {};
+        this.file = options.file || path.join(__dirname, '..', batchConfig.ledgerFile || 'audio-processing/history/processed-inputs.json');
+        this.entries = null;             // hash -> entry, loaded lazily
+        this.writes = Promise.resolve(); // Serializes writes so parallel renders never clobber each other
+    }
+
+    /**
+     * Loads the ledger from disk (once). A missing or unreadable file is an empty ledger.
+     * @returns {Promise<Map<string, object>>}
+     */
+    async load() {
+        if (this.entries) return this.entries;
+        this.entries = new Map();
+        try {
+            const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+            (Array.isArray(data.inputs) ? data.inputs : []).forEach(entry => this.entries.set(entry.hash, entry));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.warn(`⚠️ Ignoring unreadable processed-inputs ledger ${this.file}: ${err.message}`);
+            }
+        }
+        return this.entries;
+    }
+
+    /**
+     * @param {string} hash Content hash of an input (core/file-hash.js).
+     * @returns {Promise<object|null>} `{ hash, input, outputPath, qc, processedAt }`, or null if never rendered.
+     */
+    async get(hash) {
+        return (await this.load()).get(hash) || null;
+    }
+
+    /**
+     * Records a successful render, replacing any earlier entry for the same content.
+     * @param {object} entry `{ hash, input, outputPath, qc }`.
+     * @returns {Promise<void>}
+     */
+    async record(entry) {
+        const entries = await this.load();
+        entries.set(entry.hash, { ...entry, processedAt: new Date().toISOString() });
+        const write = this.writes
+            .catch(() => {}) // A failed earlier write must not block later ones
+            .then(async () => {
+                const tempPath = `${this.file}.tmp`;
+                await fs.mkdir(path.dirname(this.file), { recursive: true });
+                await fs.writeFile(tempPath, JSON.stringify({ inputs: [...entries.values()] }, null, 2));
+                await fs.rename(tempPath, this.file);
+            });
+        this.writes = write;
+        return write;
+    }
+}
+
+module.exports = ProcessedLedger;
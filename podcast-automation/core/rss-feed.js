@@ -0,0 +1,132 @@
+/**
+ * RSS feed generator for Lost Transmissions
+ * Builds an iTunes / Podcasting 2.0 compatible RSS 2.0 feed from the episode catalog,
+ * with enclosures, itunes:duration, podcast:chapters and podcast:transcript links.
+ * File URLs are built from a base URL, so the feed can be served straight from the processing box.
+ */
+
+const NAMESPACES = {
+    'xmlns:itunes': 'http://www.itunes.com/dtds/podcast-1.0.dtd',
+    'xmlns:podcast': 'https://podcastindex.org/namespace/1.0',
+    'xmlns:atom': 'http://www.w3.org/2005/Atom'
+};
+
+/**
+ * Escapes text for XML element content and attribute values.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Formats seconds as HH:MM:SS for itunes:duration.
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatDuration(seconds) {
+    const total = Math.max(0, Math.round(seconds || 0));
+    const pad = value => String(value).padStart(2, '0');
+    return `${pad(Math.floor(total / 3600))}:${pad(Math.floor((total % 3600) / 60))}:${pad(total % 60)}`;
+}
+
+/**
+ * Builds one <item> for a catalog episode. Episodes without a deliverable are skipped.
+ * @param {object} episode Catalog entry (see EpisodeCatalog.addRender).
+ * @param {Function} fileUrl Maps an output file name to its public URL.
+ * @returns {string|null}
+ */
+function buildItem(episode, fileUrl) {
+    const enclosure = episode.deliverables && episode.deliverables[0];
+    if (!enclosure) return null;
+
+    const lines = [
+        '<item>',
+        `<title>${escapeXml(episode.title)}</title>`,
+        `<description>${escapeXml(episode.description)}</description>`,
+        `<guid isPermaLink="false">${escapeXml(episode.id)}</guid>`,
+        `<pubDate>${new Date(episode.publishedAt).toUTCString()}</pubDate>`,
+        `<enclosure url="${escapeXml(fileUrl(enclosure.fileName))}" length="${enclosure.size}" type="${escapeXml(enclosure.mimeType)}"/>`,
+        `<itunes:duration>${formatDuration(episode.duration)}</itunes:duration>`,
+        '<itunes:episodeType>full</itunes:episodeType>',
+        '<itunes:explicit>false</itunes:explicit>'
+    ];
+    if (episode.episodeNumber) {
+        lines.push(`<itunes:episode>${escapeXml(episode.episodeNumber)}</itunes:episode>`);
+    }
+    if (episode.keywords) {
+        lines.push(`<itunes:keywords>${escapeXml(episode.keywords)}</itunes:keywords>`);
+    }
+    const files = episode.files || {};
+    if (files.chapters) {
+        lines.push(`<podcast:chapters url="${escapeXml(fileUrl(files.chapters))}" type="application/json+chapters"/>`);
+    }
+    if (files.captions) {
+        lines.push(`<podcast:transcript url="${escapeXml(fileUrl(files.captions.vtt))}" type="text/vtt" rel="captions"/>`);
+        lines.push(`<podcast:transcript url="${escapeXml(fileUrl(files.captions.srt))}" type="application/x-subrip" rel="captions"/>`);
+    }
+    lines.push('</item>');
+    return lines.join('\n');
+}
+
+/**
+ * Builds the full RSS document.
+ * @param {object} params
+ * @param {object} params.show Show details (config/show.json).
+ * @param {Array<object>} params.episodes Catalog entries, newest first.
+ * @param {string} params.baseUrl Public server URL, e.g. "http://localhost:5000".
+ * @param {string} [params.outputPath='/output'] URL path where rendered files are served.
+ * @param {string} [params.feedPath='/feed.xml'] URL path of the feed itself.
+ * @returns {string} RSS XML.
+ */
+function buildFeed({ show, episodes, baseUrl, outputPath = '/output', feedPath = '/feed.xml' }) {
+    const base = baseUrl.replace(/\/+$/, '');
+    const fileUrl = fileName => `${base}${outputPath}/${encodeURIComponent(fileName)}`;
+    const namespaces = Object.entries(NAMESPACES).map(([key, value]) => `${key}="${value}"`).join(' ');
+
+    const channel = [
+        `<title>${escapeXml(show.title)}</title>`,
+        `<link>${escapeXml(show.link || base)}</link>`,
+        `<description>${escapeXml(show.description)}</description>`,
+        `<language>${escapeXml(show.language || 'en')}</language>`,
+        `<atom:link href="${escapeXml(base + feedPath)}" rel="self" type="application/rss+xml"/>`,
+        `<itunes:author>${escapeXml(show.artist)}</itunes:author>`,
+        `<itunes:summary>${escapeXml(show.description)}</itunes:summary>`,
+        `<itunes:type>episodic</itunes:type>`,
+        `<itunes:explicit>${show.explicit ? 'true' : 'false'}</itunes:explicit>`,
+        `<itunes:category text="${escapeXml(show.category || 'Fiction')}"/>`,
+        '<itunes:owner>',
+        `<itunes:name>${escapeXml(show.ownerName || show.publisher)}</itunes:name>`,
+        ...(show.ownerEmail ? [`<itunes:email>${escapeXml(show.ownerEmail)}</itunes:email>`] : []),
+        '</itunes:owner>'
+    ];
+    if (show.coverArt) {
+        const imageUrl = `${base}/${show.coverArt.split('/').map(encodeURIComponent).join('/')}`;
+        channel.push(`<itunes:image href="${escapeXml(imageUrl)}"/>`);
+        channel.push(`<image><url>${escapeXml(imageUrl)}</url><title>${escapeXml(show.title)}</title><link>${escapeXml(show.link || base)}</link></image>`);
+    }
+    if (episodes.length > 0) {
+        channel.push(`<lastBuildDate>${new Date(episodes[0].publishedAt).toUTCString()}</lastBuildDate>`);
+    }
+
+    const items = episodes.map(episode => buildItem(episode, fileUrl)).filter(Boolean);
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<rss version="2.0" ${namespaces}>`,
+        '<channel>',
+        ...channel,
+        ...items,
+        '</channel>',
+        '</rss>',
+        ''
+    ].join('\n');
+}
+
+module.exports = { buildFeed, escapeXml, formatDuration };
@@ -0,0 +1,53 @@
+/**
+ * SeededRandom for Lost Transmissions
+ * A small deterministic random number generator (mulberry32) so library selection
+ * can be reproduced: the same seed always yields the same sequence of picks.
+ */
+
+class SeededRandom {
+    /**
+     * @param {string|number} seed Any string or number; strings are hashed to a 32-bit state.
+     */
+    constructor(seed) {
+        this.seed = String(seed);
+        this.state = SeededRandom.hash(this.seed);
+    }
+
+    /**
+     * Returns the next pseudo-random number in [0, 1).
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Picks one item from a list.
+     * @param {Array} list
+     * @returns {*} The chosen item, or undefined for an empty list.
+     */
+    pick(list) {
+        if (!list || list.length === 0) return undefined;
+        return list[Math.floor(this.next() * list.length)];
+    }
+
+    /**
+     * Hashes a string to an unsigned 32-bit integer (FNV-1a).
+     * @param {string} value
+     * @returns {number}
+     */
+    static hash(value) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < value.length; i++) {
+            hash ^= value.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+}
+
+module.exports = SeededRandom;
@@ -0,0 +1,97 @@
+/**
+ * SelectionHistory for Lost Transmissions
+ * Remembers which library assets (ambience, music, static) recent episodes used,
+ * so the layer picker can rotate through the library instead of reusing the same loop.
+ * The history is a single JSON file, written atomically after each successful render.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+
+// Pending write per history file. Every render builds its own mixer (and SelectionHistory), so records
+// are chained per file rather than per instance, or parallel renders would drop each other's entries.
+const pendingWrites = new Map();
+let tempCounter = 0;
+
+// Episodes kept in the file. Far more than `depth`, so re-rendering an older episode still finds its own entry
+const MAX_EPISODES = 500;
+
+class SelectionHistory {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.file] History file (defaults to config `selection.historyFile`).
+     * @param {number} [options.depth] How many recent episodes to avoid (defaults to config `selection.historyDepth`).
+     */
+    constructor(options = {}) {
+        this.config = require('../config/audio-settings.json');
+        const selectionConfig = this.config.selection || {};
+        this.file = options.file || path.join(__dirname, '..', selectionConfig.historyFile || 'audio-processing/history/selection-history.json');
+        this.depth = options.depth !== undefined ? options.depth : (selectionConfig.historyDepth || 0);
+    }
+
+    /**
+     * Reads all recorded episodes, oldest first. A missing or unreadable file counts as empty.
+     * @returns {Promise<Array<object>>} Entries `{ episodeId, seed, assets, recordedAt }`.
+     */
+    async load() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+            return Array.isArray(data.episodes) ? data.episodes : [];
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.warn(`⚠️ Ignoring unreadable selection history ${this.file}: ${err.message}`);
+            }
+            return [];
+        }
+    }
+
+    /**
+     * Collects the assets used by the `depth` episodes recorded before this one. For an episode that is already
+     * in the history only the entries before its own count, so re-rendering it later reproduces its own picks.
+     * @param {string} [episodeId] ID of the episode being rendered.
+     * @returns {Promise<Set<string>>} Library-relative asset IDs to avoid.
+     */
+    async recentAssets(episodeId) {
+        const recent = new Set();
+        if (this.depth <= 0) return recent;
+
+        const episodes = await this.load();
+        const own = episodes.findIndex(entry => entry.episodeId === episodeId);
+        const before = own === -1 ? episodes : episodes.slice(0, own);
+        before.slice(-this.depth).forEach(entry => {
+            Object.values(entry.assets || {}).forEach(ids => ids.forEach(id => recent.add(id)));
+        });
+        return recent;
+    }
+
+    /**
+     * Records an episode's picks. An episode recorded before keeps its place in the history, so the
+     * episodes before it (see recentAssets) don't change when it is re-rendered.
+     * @param {object} entry `{ episodeId, seed, assets }` where assets maps layer type to asset IDs.
+     * @returns {Promise<void>}
+     */
+    record(entry) {
+        // Read, update and write inside the chain, so each record sees the one before it
+        const write = (pendingWrites.get(this.file) || Promise.resolve())
+            .catch(() => {}) // A failed earlier write must not block later ones
+            .then(async () => {
+                const episodes = await this.load();
+                const updated = { ...entry, recordedAt: new Date().toISOString() };
+                const own = episodes.findIndex(existing => existing.episodeId === entry.episodeId);
+                if (own === -1) {
+                    episodes.push(updated);
+                } else {
+                    episodes[own] = updated;
+                }
+
+                const tempPath = `${this.file}.${process.pid}-${++tempCounter}.tmp`;
+                await fs.mkdir(path.dirname(this.file), { recursive: true });
+                await fs.writeFile(tempPath, JSON.stringify({ episodes: episodes.slice(-MAX_EPISODES) }, null, 2));
+                await fs.rename(tempPath, this.file);
+            });
+        pendingWrites.set(this.file, write);
+        return write;
+    }
+}
+
+module.exports = SelectionHistory;
@@ -0,0 +1,71 @@
+/**
+ * Episode timeline for Lost Transmissions
+ * Places the intro, voice and outro one after another on an absolute timeline (seconds from the
+ * start of the episode). The voice starts as the intro ends, overlapping it by
+ * `timeline.introOverlapSeconds`; the outro starts `timeline.outroOverlapSeconds` before the voice ends.
+ * Background beds span the whole program, from 0 to `length`.
+ * Transcript, scene and cue times stay relative to the voice track and are shifted by `voice.start`.
+ * With several voice stems, the voice track is their combined span and each stem's layer starts
+ * at `voice.start` plus its own `offset`.
+ */
+
+/**
+ * Plans the program from the structural and voice durations.
+ * Overlaps are clamped so no element starts before 0 or overlaps by more than its own length.
+ * @param {object} durations
+ * @param {number} durations.voiceDuration
+ * @param {number} [durations.introDuration=0] 0 when there is no intro.
+ * @param {number} [durations.outroDuration=0] 0 when there is no outro.
+ * @param {object} [options={}] The `timeline` config section.
+ * @param {number} [options.introOverlapSeconds=1] How long the voice overlaps the end of the intro.
+ * @param {number} [options.outroOverlapSeconds=1] How long the outro overlaps the end of the voice.
+ * @returns {object} `{ intro, voice, outro, length }`, each element as `{ start, end }` in seconds
+ * (intro and outro also carry their clamped `overlap`).
+ */
+function planTimeline({ voiceDuration, introDuration = 0, outroDuration = 0 }, options = {}) {
+    const introOverlap = Math.min(options.introOverlapSeconds !== undefined ? options.introOverlapSeconds : 1, introDuration);
+    const outroOverlap = Math.min(options.outroOverlapSeconds !== undefined ? options.outroOverlapSeconds : 1, outroDuration, voiceDuration);
+
+    const voiceStart = introDuration > 0 ? introDuration - introOverlap : 0;
+    const voiceEnd = voiceStart + voiceDuration;
+    const outroStart = outroDuration > 0 ? voiceEnd - outroOverlap : voiceEnd;
+
+    return {
+        intro: { start: 0, end: introDuration, overlap: introOverlap },
+        voice: { start: voiceStart, end: voiceEnd },
+        outro: { start: outroStart, end: outroStart + outroDuration, overlap: outroOverlap },
+        length: Math.max(voiceEnd, outroStart + outroDuration)
+    };
+}
+
+/**
+ * @param {object} layer A mix layer.
+ * @returns {number} Where the layer stops on the episode timeline.
+ */
+function layerEnd(layer) {
+    return (layer.startOffset || 0) + (layer.playDuration || layer.duration || 0);
+}
+
+/**
+ * Length of the mixed program: the latest end of the voice, structural elements and beds.
+ * Cued one-shots are ignored; they never extend the episode.
+ * @param {Array<object>} layers
+ * @returns {number} Seconds.
+ */
+function programLength(layers) {
+    return layers
+        .filter(layer => !layer.cue)
+        .reduce((end, layer) => Math.max(end, layerEnd(layer)), 0);
+}
+
+/**
+ * Where the voice track (time 0 of transcript, scene and cue times) starts on the episode timeline.
+ * @param {Array<object>} layers
+ * @returns {number} Seconds; 0 when there is no voice layer.
+ */
+function voiceStart(layers) {
+    const voice = layers.find(layer => layer.type === 'voice');
+    return voice ? (voice.startOffset || 0) - (voice.offset || 0) : 0;
+}
+
+module.exports = { planTimeline, layerEnd, programLength, voiceStart };
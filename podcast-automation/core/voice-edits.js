@@ -0,0 +1,139 @@
+/**
+ * Voice edits for Lost Transmissions
+ * Plans the time-altering part of voice repair (trimming leading and trailing silence, shortening long
+ * pauses) from a voice's speech regions, and maps times in the original file onto the edited one, so a
+ * transcript taken from the original still lines up with the repaired voice for captions, cues and scenes.
+ *
+ * An edit list is the parts of the original that are kept, in order: `{ start, end, at }`, where `start`/`end`
+ * are seconds in the original file and `at` is where the part begins in the edited file.
+ */
+
+const { mergeRegions } = require('./ducking');
+
+/**
+ * Plans which parts of a voice file to keep.
+ * @param {Array<object>} speech Speech regions `{ start, end }` in the file's own time.
+ * @param {number} duration The file's length in seconds.
+ * @param {object} [rules={}] The `voiceRepair.silence` config section.
+ * @param {boolean} [rules.trimLeading=true] Cut the silence before the first word.
+ * @param {boolean} [rules.trimTrailing=true] Cut the silence after the last word.
+ * @param {number} [rules.paddingSeconds=0.15] Silence left around the speech when trimming.
+ * @param {number|null} [rules.maxPauseSeconds=null] Pauses longer than this are shortened to it (null keeps every pause).
+ * @returns {Array<object>} The edit list; the whole file as one part when nothing is cut.
+ */
+function planEdits(speech, duration, rules = {}) {
+    const regions = mergeRegions(speech);
+    if (regions.length === 0 || !(duration > 0)) {
+        return [{ start: 0, end: duration || 0, at: 0 }]; // No speech found: nothing is safe to cut
+    }
+
+    const padding = rules.paddingSeconds !== undefined ? rules.paddingSeconds : 0.15;
+    const maxPause = rules.maxPauseSeconds;
+    const first = rules.trimLeading !== false ? Math.max(0, regions[0].start - padding) : 0;
+    const last = rules.trimTrailing !== false ? Math.min(duration, regions[regions.length - 1].end + padding) : duration;
+
+    // Long pauses keep half of the allowed gap on each side, so the cut lands in the middle of the silence
+    const parts = [];
+    let cursor = first;
+    if (maxPause !== undefined && maxPause !== null) {
+        for (let i = 1; i < regions.length; i++) {
+            const cutFrom = regions[i - 1].end + maxPause / 2;
+            const cutTo = regions[i].start - maxPause / 2;
+            if (cutTo > cutFrom && cutFrom > cursor && cutTo < last) {
+                parts.push({ start: cursor, end: cutFrom });
+                cursor = cutTo;
+            }
+        }
+    }
+    parts.push({ start: cursor, end: last });
+
+    let at = 0;
+    return parts.map(({ start, end }) => {
+        const part = { start: round(start), end: round(end), at: round(at) };
+        at += part.end - part.start;
+        return part;
+    });
+}
+
+/**
+ * Cuts a voice-track edit list down to one stem. Stems share the track's edits, so voices that answer each
+ * other stay in step however their pauses are shortened.
+ * @param {Array<object>} trackEdits Edit list planned over the whole voice track.
+ * @param {number} offset Where the stem starts on the original voice track, in seconds.
+ * @param {number} duration The stem's length in seconds.
+ * @returns {object} `{ offset, edits }`: the stem's start on the edited track and its edit list in its own time
+ * (empty when every part of the stem is cut).
+ */
+function stemEdits(trackEdits, offset, duration) {
+    const newOffset = mapTime(trackEdits, offset);
+    const edits = trackEdits
+        .filter(part => part.end > offset && part.start < offset + duration)
+        .map(part => {
+            const start = Math.max(part.start, offset);
+            return {
+                start: round(start - offset),
+                end: round(Math.min(part.end, offset + duration) - offset),
+                at: round(part.at + start - part.start - newOffset)
+            };
+        });
+    return { offset: newOffset, edits };
+}
+
+/**
+ * @param {Array<object>} edits An edit list.
+ * @param {number} duration The original file's length in seconds.
+ * @returns {boolean} True when the edit list keeps the whole file unchanged.
+ */
+function isUnedited(edits, duration) {
+    return edits.length === 1 && edits[0].start === 0 && edits[0].end >= round(duration);
+}
+
+/**
+ * @param {Array<object>} edits An edit list.
+ * @returns {number} Length of the edited file in seconds.
+ */
+function editedDuration(edits) {
+    const last = edits[edits.length - 1];
+    return last ? round(last.at + last.end - last.start) : 0;
+}
+
+/**
+ * Maps a time in the original file to the edited file. Times inside a cut land on the cut point.
+ * @param {Array<object>} edits An edit list.
+ * @param {number} time Seconds in the original file.
+ * @returns {number} Seconds in the edited file.
+ */
+function mapTime(edits, time) {
+    for (const part of edits) {
+        if (time < part.start) return part.at;
+        if (time <= part.end) return round(part.at + time - part.start);
+    }
+    return editedDuration(edits);
+}
+
+/**
+ * Moves transcript segments (and their word timings) onto the edited file. Untimed segments are left
+ * as they are, to be spread over the edited duration.
+ * @param {Array<object>} segments Transcript segments `{ start, end, text, words? }` in the original file's time.
+ * @param {Array<object>} edits An edit list.
+ * @returns {Array<object>} New segments in the edited file's time.
+ */
+function mapSegments(segments, edits) {
+    const move = item => (item.start === null || item.end === null || item.start === undefined || item.end === undefined
+        ? item
+        : { ...item, start: mapTime(edits, item.start), end: mapTime(edits, item.end) });
+    return segments.map(segment => ({
+        ...move(segment),
+        ...(segment.words ? { words: segment.words.map(move) } : {})
+    }));
+}
+
+/**
+ * @param {number} value
+ * @returns {number} The value rounded to milliseconds.
+ */
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+module.exports = { planEdits, stemEdits, mapTime, mapSegments, editedDuration, isUnedited };
@@ -0,0 +1,125 @@
+/**
+ * Voice stems for Lost Transmissions
+ * An episode's voice can be one file or several stems: interview voices, a second ElevenLabs
+ * voice, occasional field clips. Each stem has its own level, pan, EQ and transmission character,
+ * and starts `offset` seconds into the voice track (0 for full-length interview stems).
+ *
+ * A stem is a file path, or an object:
+ *   { filePath, speaker, volume, pan, eq, transmission, offset, transcriptPath, transcript }
+ * where `transcript` ({ text, segments }, in the stem's own time) is a known transcript, e.g. the script
+ * a generated voice was read from; it replaces speech recognition for that stem.
+ *
+ * With more than one stem every stem gets a speaker label ("Speaker 2" when none is given);
+ * labels are carried onto transcript segments, captions and metadata, and key the manifest's `voices`.
+ */
+
+const STEM_SETTING_KEYS = ['volume', 'pan', 'eq', 'transmission', 'offset'];
+
+/**
+ * Validates a transmission character request.
+ * @param {string|object} value A preset name, or `{ preset, intensity }`.
+ * @param {string} field Name used in error messages (e.g. 'Manifest transmission').
+ * @returns {object} `{ preset?, intensity? }`.
+ */
+function normalizeTransmission(value, field) {
+    // A bare preset name is shorthand for { preset }
+    const request = typeof value === 'string' ? { preset: value } : value;
+    if (!request || typeof request !== 'object' || Array.isArray(request)) {
+        throw new Error(`${field} must be a preset name or { preset, intensity }.`);
+    }
+    if (request.intensity !== undefined && (typeof request.intensity !== 'number' || request.intensity < 0 || request.intensity > 1)) {
+        throw new Error(`${field}.intensity must be a number from 0 to 1.`);
+    }
+    return {
+        ...(request.preset ? { preset: String(request.preset) } : {}),
+        ...(request.intensity !== undefined ? { intensity: request.intensity } : {})
+    };
+}
+
+/**
+ * Validates the per-stem mix settings shared by stems and the manifest's `voices` entries.
+ * @param {object} data Raw settings.
+ * @param {string} field Name used in error messages.
+ * @returns {object} Only the settings that were given: `{ volume, pan, eq, transmission, offset }`.
+ */
+function normalizeVoiceSettings(data, field) {
+    const settings = {};
+    if (data.volume !== undefined) {
+        if (typeof data.volume !== 'number' || data.volume < 0) throw new Error(`${field}.volume must be a non-negative number.`);
+        settings.volume = data.volume;
+    }
+    if (data.pan !== undefined) {
+        if (typeof data.pan !== 'number' || data.pan < -1 || data.pan > 1) throw new Error(`${field}.pan must be a number from -1 (left) to 1 (right).`);
+        settings.pan = data.pan;
+    }
+    if (data.eq !== undefined) {
+        // false turns the voice EQ off; a list of bands replaces the configured `effects.voiceEQ`
+        if (data.eq !== false && !Array.isArray(data.eq)) throw new Error(`${field}.eq must be false or a list of { frequency, width, gain } bands.`);
+        settings.eq = data.eq === false ? [] : data.eq.map((band, index) => {
+            if (!band || typeof band.frequency !== 'number' || band.frequency <= 0 || typeof band.gain !== 'number' ||
+                (band.width !== undefined && (typeof band.width !== 'number' || band.width <= 0))) {
+                throw new Error(`${field}.eq band #${index + 1} needs a positive "frequency", a "gain" in dB and an optional positive "width" in Hz.`);
+            }
+            return { frequency: band.frequency, width: band.width || 200, gain: band.gain };
+        });
+    }
+    if (data.transmission !== undefined && data.transmission !== null) {
+        settings.transmission = normalizeTransmission(data.transmission, `${field}.transmission`);
+    }
+    if (data.offset !== undefined) {
+        if (typeof data.offset !== 'number' || data.offset < 0) throw new Error(`${field}.offset must be a non-negative number of seconds.`);
+        settings.offset = data.offset;
+    }
+    return settings;
+}
+
+/**
+ * Normalizes the voice input of a render into a list of stems.
+ * @param {string|object|Array<string|object>} input One voice file, one stem, or a list of stems.
+ * @param {object} [manifest] Normalized manifest; its `voices[speaker]` settings apply where a stem sets none,
+ * and its `layers.voice.volume` applies where neither does.
+ * @returns {Array<object>} Stems `{ filePath, speaker, volume?, pan, eq?, transmission?, offset, transcriptPath?, transcript? }`.
+ * `speaker` is null for a single unlabelled voice.
+ * @throws {Error} If a stem is invalid or two stems share a speaker label.
+ */
+function resolveStems(input, manifest = null) {
+    const list = Array.isArray(input) ? input : [input];
+    if (list.length === 0) {
+        throw new Error('At least one voice file is required.');
+    }
+
+    const speakers = new Set();
+    return list.map((entry, index) => {
+        const stem = typeof entry === 'string' ? { filePath: entry } : (entry || {});
+        const field = `Voice stem #${index + 1}`;
+        if (typeof stem.filePath !== 'string' || !stem.filePath) {
+            throw new Error(`${field} needs a "filePath".`);
+        }
+        if (stem.transcript !== undefined && (!stem.transcript || !Array.isArray(stem.transcript.segments))) {
+            throw new Error(`${field}.transcript must be { text, segments }.`);
+        }
+
+        const speaker = stem.speaker ? String(stem.speaker) : (list.length > 1 ? `Speaker ${index + 1}` : null);
+        if (speaker !== null) {
+            if (speakers.has(speaker)) throw new Error(`Speaker "${speaker}" is used by more than one voice stem.`);
+            speakers.add(speaker);
+        }
+
+        const manifestVoice = (manifest && manifest.voices && speaker !== null && manifest.voices[speaker]) || {};
+        const manifestLevels = (manifest && manifest.layers && manifest.layers.voice) || {};
+        const settings = { ...manifestVoice, ...normalizeVoiceSettings(stem, field) };
+        if (settings.volume === undefined && manifestLevels.volume !== undefined) settings.volume = manifestLevels.volume;
+
+        return {
+            filePath: stem.filePath,
+            speaker: speaker,
+            ...settings,
+            pan: settings.pan || 0,
+            offset: settings.offset || 0,
+            ...(stem.transcriptPath ? { transcriptPath: String(stem.transcriptPath) } : {}),
+            ...(stem.transcript ? { transcript: stem.transcript } : {})
+        };
+    });
+}
+
+module.exports = { resolveStems, normalizeVoiceSettings, normalizeTransmission, STEM_SETTING_KEYS };
@@ -1,11 +1,13 @@
 import React from "react";
 import UploadProcessor from "./components/UploadProcessor";
+import LibraryBrowser from "./components/LibraryBrowser";
 import "./styles.css";
 
 function App() {
   return (
     <div className="app-wrapper">
       <UploadProcessor />
+      <LibraryBrowser />
     </div>
   );
 }
@@ -0,0 +1,197 @@
+import React, { useCallback, useEffect, useState } from "react";
+import axios from "axios";
+
+const API_BASE = "http://localhost:5000";
+
+const EMPTY_FILTER = { category: "", location: "", mood: "" };
+const EMPTY_TAGS = { category: "ambience", locations: "", moods: "", group: "" };
+
+const assetUrl = (id) => `${API_BASE}/api/library/assets/${encodeURIComponent(id)}`;
+
+// Tag lists are edited as comma-separated text
+const tagsToForm = (tags) => ({
+  category: tags.category,
+  locations: (tags.locations || []).join(", "),
+  moods: (tags.moods || []).join(", "),
+  group: tags.group || "",
+});
+
+function LibraryBrowser() {
+  const [assets, setAssets] = useState([]);
+  const [facets, setFacets] = useState({ categories: [], locations: [], moods: [], groups: [] });
+  const [filter, setFilter] = useState(EMPTY_FILTER);
+  const [status, setStatus] = useState("");
+  const [newFile, setNewFile] = useState(null);
+  const [newTags, setNewTags] = useState(EMPTY_TAGS);
+  const [editingId, setEditingId] = useState(null);
+  const [editTags, setEditTags] = useState(EMPTY_TAGS);
+
+  const showError = (prefix, err) => {
+    console.error(err);
+    setStatus(`❌ ${prefix}: ${err.response?.data?.error || "Server error."}`);
+  };
+
+  const loadAssets = useCallback(async () => {
+    try {
+      const params = Object.fromEntries(Object.entries(filter).filter(([, value]) => value));
+      const res = await axios.get(`${API_BASE}/api/library/assets`, { params });
+      setAssets(res.data.assets);
+      setFacets(res.data.facets);
+    } catch (err) {
+      showError("Could not load the library", err);
+    }
+  }, [filter]);
+
+  useEffect(() => {
+    loadAssets();
+  }, [loadAssets]);
+
+  const handleAdd = async () => {
+    if (!newFile) {
+      alert("Please select an audio file first.");
+      return;
+    }
+    const formData = new FormData();
+    formData.append("file", newFile);
+    Object.entries(newTags).forEach(([key, value]) => formData.append(key, value));
+
+    setStatus("Uploading and validating...");
+    try {
+      const res = await axios.post(`${API_BASE}/api/library/assets`, formData, {
+        headers: { "Content-Type": "multipart/form-data" },
+      });
+      setStatus(`✅ Added ${res.data.asset.id}`);
+      setNewFile(null);
+      loadAssets();
+    } catch (err) {
+      showError("Upload rejected", err);
+    }
+  };
+
+  const handleReplace = async (id, file) => {
+    if (!file) return;
+    const formData = new FormData();
+    formData.append("file", file);
+    setStatus(`Replacing ${id}...`);
+    try {
+      await axios.put(assetUrl(id), formData, { headers: { "Content-Type": "multipart/form-data" } });
+      setStatus(`✅ Replaced ${id}`);
+      loadAssets();
+    } catch (err) {
+      showError("Replacement rejected", err);
+    }
+  };
+
+  const handleRetag = async () => {
+    try {
+      await axios.patch(assetUrl(editingId), editTags);
+      setStatus(`✅ Retagged ${editingId}`);
+      setEditingId(null);
+      loadAssets();
+    } catch (err) {
+      showError("Retag failed", err);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm(`Delete ${id} from the library?`)) return;
+    try {
+      await axios.delete(assetUrl(id));
+      setStatus(`🗑️ Deleted ${id}`);
+      loadAssets();
+    } catch (err) {
+      showError("Delete failed", err);
+    }
+  };
+
+  const startEditing = (asset) => {
+    setEditingId(asset.id);
+    setEditTags(tagsToForm(asset.tags));
+  };
+
+  const renderTagFields = (tags, setTags) => (
+    <>
+      <select value={tags.category} onChange={(e) => setTags({ ...tags, category: e.target.value })}>
+        {facets.categories.map((category) => (
+          <option key={category} value={category}>{category}</option>
+        ))}
+      </select>
+      <input
+        placeholder="locations (comma-separated)"
+        value={tags.locations}
+        onChange={(e) => setTags({ ...tags, locations: e.target.value })}
+      />
+      <input
+        placeholder="moods (comma-separated)"
+        value={tags.moods}
+        onChange={(e) => setTags({ ...tags, moods: e.target.value })}
+      />
+      <input
+        placeholder="group (static, intro, ...)"
+        value={tags.group}
+        onChange={(e) => setTags({ ...tags, group: e.target.value })}
+      />
+    </>
+  );
+
+  const renderFilter = (key, label, values) => (
+    <select value={filter[key]} onChange={(e) => setFilter({ ...filter, [key]: e.target.value })}>
+      <option value="">All {label}</option>
+      {values.map((value) => (
+        <option key={value} value={value}>{value}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="library-container">
+      <h1>📚 Audio Library</h1>
+      <div className="library-filters">
+        {renderFilter("category", "categories", facets.categories)}
+        {renderFilter("location", "locations", facets.locations)}
+        {renderFilter("mood", "moods", facets.moods)}
+      </div>
+
+      <fieldset className="library-upload">
+        <legend>Add asset</legend>
+        <input type="file" accept="audio/*" onChange={(e) => setNewFile(e.target.files[0])} />
+        {renderTagFields(newTags, setNewTags)}
+        <button onClick={handleAdd}>Upload</button>
+      </fieldset>
+      <p>{status}</p>
+
+      <ul className="library-list">
+        {assets.map((asset) => (
+          <li key={asset.id}>
+            <strong>{asset.id}</strong>
+            {" "}{asset.duration.toFixed(1)}s, {asset.loudness.integrated} LUFS
+            {["ambience", "music"].includes(asset.tags.category) && !asset.loopable && " 🔁 not loopable"}
+            <div>
+              {asset.tags.category}
+              {asset.tags.locations.length > 0 && ` · ${asset.tags.locations.join(", ")}`}
+              {asset.tags.moods.length > 0 && ` · ${asset.tags.moods.join(", ")}`}
+              {asset.tags.group && ` · ${asset.tags.group}`}
+            </div>
+            <audio controls preload="none" src={`${assetUrl(asset.id)}/audio`} />
+            {editingId === asset.id ? (
+              <>
+                {renderTagFields(editTags, setEditTags)}
+                <button onClick={handleRetag}>Save tags</button>
+                <button onClick={() => setEditingId(null)}>Cancel</button>
+              </>
+            ) : (
+              <button onClick={() => startEditing(asset)}>Edit tags</button>
+            )}
+            <label>
+              Replace: <input type="file" accept="audio/*" onChange={(e) => handleReplace(asset.id, e.target.files[0])} />
+            </label>
+            <button onClick={() => handleDelete(asset.id)}>Delete</button>
+          </li>
+        ))}
+      </ul>
+      {assets.length === 0 && <p>No assets match. Run "npm run index-library" if the library has not been indexed yet.</p>}
+    </div>
+  );
+}
+
+export default LibraryBrowser;
@@ -1,36 +1,198 @@
-import React, { useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import axios from "axios";
 
+const API_BASE = "http://localhost:5000";
+const POLL_INTERVAL_MS = 2000;
+
+const STATUS_LABELS = {
+  queued: "⏳ Queued, waiting for a free processing slot...",
+  generating: "🗣️ Generating the voice from the script...",
+  analyzing: "🔍 Analyzing voice content...",
+  mixing: "🎛️ Mixing layers...",
+  done: "✅ Processing complete.",
+  failed: "❌ Error: ",
+  cancelled: "🛑 Processing cancelled.",
+};
+
+const FINAL_STATES = ["done", "failed", "cancelled"];
+
+const QC_ICONS = { pass: "✅", warn: "⚠️", fail: "❌", skipped: "➖" };
+
 function UploadProcessor() {
-  const [selectedFile, setSelectedFile] = useState(null);
+  const [selectedFiles, setSelectedFiles] = useState([]);
+  const [selectedScript, setSelectedScript] = useState(null);
+  const [speakers, setSpeakers] = useState("");
   const [status, setStatus] = useState("");
   const [outputUrl, setOutputUrl] = useState("");
+  const [captions, setCaptions] = useState(null);
+  const [loudness, setLoudness] = useState(null);
+  const [qc, setQc] = useState(null);
+  const [published, setPublished] = useState(true);
+  const [deliverables, setDeliverables] = useState([]);
+  const [exportProfiles, setExportProfiles] = useState([]);
+  const [selectedProfiles, setSelectedProfiles] = useState([]);
+  const [jobId, setJobId] = useState(null);
+  const [stages, setStages] = useState([]);
+  const [progress, setProgress] = useState({});
+  const pollTimer = useRef(null);
+  const eventSource = useRef(null);
 
-  const handleFileChange = (event) => {
-    setSelectedFile(event.target.files[0]);
+  const stopTracking = () => {
+    if (pollTimer.current) {
+      clearInterval(pollTimer.current);
+      pollTimer.current = null;
+    }
+    if (eventSource.current) {
+      eventSource.current.close();
+      eventSource.current = null;
+    }
+  };
+
+  // Stop polling / streaming when the component unmounts
+  useEffect(() => stopTracking, []);
+
+  // Load the available export profiles once, preselecting the server's defaults
+  useEffect(() => {
+    axios
+      .get(`${API_BASE}/api/export-profiles`)
+      .then((res) => {
+        setExportProfiles(res.data.profiles);
+        setSelectedProfiles(res.data.default);
+      })
+      .catch((err) => console.error(err));
+  }, []);
+
+  const toggleProfile = (name) => {
+    setSelectedProfiles((previous) =>
+      previous.includes(name) ? previous.filter((profile) => profile !== name) : [...previous, name]
+    );
+  };
+
+  const resetResult = () => {
     setStatus("");
     setOutputUrl("");
+    setCaptions(null);
+    setLoudness(null);
+    setQc(null);
+    setPublished(true);
+    setDeliverables([]);
+    setProgress({});
+  };
+
+  const handleFileChange = (event) => {
+    setSelectedFiles(Array.from(event.target.files));
+    resetResult();
+  };
+
+  // A script replaces the audio: the voice is generated from it on the server
+  const handleScriptChange = (event) => {
+    setSelectedScript(event.target.files[0] || null);
+    resetResult();
+  };
+
+  const showJob = (job) => {
+    if (job.status === "failed") {
+      setStatus(STATUS_LABELS.failed + job.error);
+    } else {
+      setStatus(STATUS_LABELS[job.status] || job.status);
+    }
+    if (job.progress) {
+      setProgress(job.progress);
+    }
+
+    if (job.status === "done" && job.result) {
+      setOutputUrl(job.result.outputUrl);
+      setCaptions(job.result.captions);
+      setLoudness(job.result.loudness);
+      setQc(job.result.qc);
+      setPublished(job.result.published !== false);
+      setDeliverables(job.result.deliverables || []);
+    }
+    if (FINAL_STATES.includes(job.status)) {
+      stopTracking();
+      setJobId(null);
+    }
+  };
+
+  // Fallback for when the event stream is unavailable
+  const pollJob = (id) => {
+    stopTracking();
+    pollTimer.current = setInterval(async () => {
+      try {
+        const res = await axios.get(`${API_BASE}/api/jobs/${id}`);
+        showJob(res.data.job);
+      } catch (err) {
+        console.error(err);
+        setStatus("❌ Lost contact with the server.");
+        stopTracking();
+      }
+    }, POLL_INTERVAL_MS);
+  };
+
+  const streamJob = (id) => {
+    stopTracking();
+    const source = new EventSource(`${API_BASE}/api/jobs/${id}/events`);
+    eventSource.current = source;
+
+    source.addEventListener("snapshot", (event) => {
+      const data = JSON.parse(event.data);
+      setStages(data.stages);
+      showJob(data.job);
+    });
+    source.addEventListener("status", (event) => {
+      showJob(JSON.parse(event.data));
+    });
+    source.addEventListener("progress", (event) => {
+      const { stage, percent } = JSON.parse(event.data);
+      setProgress((previous) => ({ ...previous, [stage]: percent }));
+    });
+    source.onerror = () => {
+      // The server closes the stream once the job finishes; only fall back if we are still tracking it
+      if (eventSource.current === source) {
+        pollJob(id);
+      }
+    };
   };
 
   const handleUpload = async () => {
-    if (!selectedFile) {
-      alert("Please select an audio file first.");
+    if (selectedFiles.length === 0 && !selectedScript) {
+      alert("Please select an audio file or a script first.");
       return;
     }
 
+    // Several files are voice stems of one episode; speaker labels follow the file order
     const formData = new FormData();
-    formData.append("audio", selectedFile);
+    if (selectedScript) {
+      formData.append("script", selectedScript);
+    } else {
+      selectedFiles.forEach((file) => formData.append("audio", file));
+    }
+    const speakerLabels = speakers.split(",").map((name) => name.trim());
+    if (!selectedScript && selectedFiles.length > 1 && speakerLabels.some(Boolean)) {
+      formData.append("voices", JSON.stringify(selectedFiles.map((file, index) => (speakerLabels[index] ? { speaker: speakerLabels[index] } : {}))));
+    }
+    if (selectedProfiles.length > 0) {
+      formData.append("profiles", selectedProfiles.join(","));
+    }
 
-    setStatus("Uploading and processing...");
+    setStatus("Uploading...");
+    setOutputUrl("");
+    setCaptions(null);
+    setLoudness(null);
+    setQc(null);
+    setPublished(true);
+    setDeliverables([]);
+    setProgress({});
 
     try {
-      const res = await axios.post("http://localhost:5000/api/process", formData, {
+      const res = await axios.post(`${API_BASE}/api/process`, formData, {
         headers: { "Content-Type": "multipart/form-data" },
       });
 
       if (res.data.success) {
-        setStatus("✅ Processing complete.");
-        setOutputUrl(res.data.outputUrl);
+        setJobId(res.data.jobId);
+        setStatus(STATUS_LABELS[res.data.status]);
+        streamJob(res.data.jobId);
       } else {
         setStatus("❌ Error: " + res.data.error);
       }
@@ -40,16 +202,117 @@ function UploadProcessor() {
     }
   };
 
+  const handleCancel = async () => {
+    if (!jobId) return;
+    try {
+      const res = await axios.post(`${API_BASE}/api/jobs/${jobId}/cancel`);
+      showJob(res.data.job);
+    } catch (err) {
+      console.error(err);
+      setStatus("❌ Could not cancel the job.");
+    }
+  };
+
+  // Every stage counts equally towards the overall bar
+  const overallPercent = stages.length
+    ? Math.round(stages.reduce((sum, stage) => sum + (progress[stage.id] || 0), 0) / stages.length)
+    : 0;
+
+  const stageIcon = (stageId) => {
+    const percent = progress[stageId];
+    if (percent === undefined) return "⬜";
+    if (percent >= 100) return "✅";
+    return "⏳";
+  };
+
   return (
     <div className="upload-container">
       <h1>🎙️ Lost Transmissions Processor</h1>
-      <input type="file" accept="audio/*" onChange={handleFileChange} />
-      <button onClick={handleUpload}>Upload & Process</button>
+      <input type="file" accept="audio/*" multiple onChange={handleFileChange} disabled={!!selectedScript} />
+      <label>
+        or a script: <input type="file" accept=".txt,.md,text/plain,text/markdown" onChange={handleScriptChange} />
+      </label>
+      {selectedFiles.length > 1 && (
+        <input
+          placeholder="speakers, in file order (e.g. Miles, Guest)"
+          value={speakers}
+          onChange={(e) => setSpeakers(e.target.value)}
+        />
+      )}
+      {exportProfiles.length > 0 && (
+        <fieldset className="export-profiles">
+          <legend>Export formats</legend>
+          {exportProfiles.map((profile) => (
+            <label key={profile.name}>
+              <input
+                type="checkbox"
+                checked={selectedProfiles.includes(profile.name)}
+                onChange={() => toggleProfile(profile.name)}
+                disabled={!!jobId}
+              />
+              {profile.label}
+            </label>
+          ))}
+        </fieldset>
+      )}
+      <button onClick={handleUpload} disabled={!!jobId}>Upload & Process</button>
+      {jobId && <button onClick={handleCancel}>Cancel</button>}
       <p>{status}</p>
+      {stages.length > 0 && (jobId || Object.keys(progress).length > 0) && (
+        <div className="progress-panel">
+          <progress value={overallPercent} max="100" />
+          <span> {overallPercent}%</span>
+          <ul className="stage-list">
+            {stages.map((stage) => (
+              <li key={stage.id}>
+                {stageIcon(stage.id)} {stage.label}
+                {progress[stage.id] > 0 && progress[stage.id] < 100 && ` — ${progress[stage.id]}%`}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
       {outputUrl && (
         <>
           <audio controls src={outputUrl} />
           <a href={outputUrl} download>Download Final Episode</a>
+          {loudness && (
+            <p className="loudness-report">
+              {loudness.withinTolerance ? "✅" : "⚠️"} Loudness: {loudness.after.integrated} LUFS
+              (target {loudness.target.integrated} ±{loudness.target.tolerance}), true peak {loudness.after.truePeak} dBTP
+            </p>
+          )}
+          {qc && (
+            <div className="qc-report">
+              <p>
+                {QC_ICONS[qc.status]} Quality check: {qc.status}
+                {!published && " (not published to the catalog)"}
+              </p>
+              <ul>
+                {qc.checks.map((check) => (
+                  <li key={check.id}>
+                    {QC_ICONS[check.status]} {check.label}: {check.message}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {deliverables.length > 1 && (
+            <ul className="deliverable-list">
+              {deliverables.map((deliverable) => (
+                <li key={deliverable.profile}>
+                  <a href={deliverable.url} download>{deliverable.label}</a>
+                  {" "}{deliverable.loudness.withinTolerance ? "✅" : "⚠️"} {deliverable.loudness.after.integrated} LUFS
+                </li>
+              ))}
+            </ul>
+          )}
+          {captions && (
+            <>
+              <a href={captions.srt} download>Captions (SRT)</a>
+              <a href={captions.vtt} download>Captions (WebVTT)</a>
+            </>
+          )}
         </>
       )}
     </div>
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+
+/**
+ * Lost Transmissions - Audio Library Indexer
+ * Scans audio-libraries/, probes every asset and reports missing or unmapped files.
+ * Usage: node index-library.js [--force] [--write-mappings] [--json]
+ *   --force           Re-probe every file, even unchanged ones
+ *   --write-mappings  Regenerate config/library-mappings.json from the index tags
+ *   --json            Print the full index as JSON instead of a summary
+ */
+
+const LibraryIndexer = require('./core/library-indexer');
+
+// CLI execution
+async function main() {
+    const args = process.argv.slice(2);
+    const json = args.includes('--json');
+    const indexer = new LibraryIndexer();
+
+    if (!json) console.log(`📚 Indexing ${indexer.libraryPath} ...`);
+    const index = await indexer.scan({
+        force: args.includes('--force'),
+        onProgress: ({ current, total, id }) => {
+            if (!json) console.log(`   [${current}/${total}] ${id}`);
+        }
+    });
+
+    if (args.includes('--write-mappings')) {
+        await indexer.writeMappings(index);
+    }
+
+    if (json) {
+        console.log(JSON.stringify(index, null, 2));
+    } else {
+        index.missing.forEach(id => console.log(`❌ Missing (mapped but not on disk): ${id}`));
+        index.unmapped.forEach(id => console.log(`❔ Unmapped (on disk but never selected): ${id}`));
+        index.errors.forEach(({ id, error }) => console.log(`💥 Could not probe ${id}: ${error}`));
+        const notLoopable = index.assets.filter(asset => ['ambience', 'music'].includes(asset.tags.category) && !asset.loopable);
+        notLoopable.forEach(asset => console.log(`🔁 Not seamlessly loopable: ${asset.id}`));
+        console.log(`✅ Index written to ${indexer.indexFile}`);
+    }
+
+    // Missing files break renders, so fail the command (e.g. in CI) when any are found
+    if (index.missing.length > 0 || index.errors.length > 0) {
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error('💥 Failed:', error.message);
+        process.exit(1);
+    });
+}
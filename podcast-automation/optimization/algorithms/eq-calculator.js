@@ -1,8 +1,26 @@
 // podcast-automation/optimization/algorithms/eq-calculator.js
 
+const { escapeFilterValue } = require('../../core/filtergraph'); // Command file paths go inside the filtergraph
+
 class EQCalculator {
-    constructor(sampleRate = 44100) {
+    /**
+     * @param {number} [sampleRate=44100]
+     * @param {Object} [dynamicOptions={}] The `dynamicEQ` section of audio-settings.json (see generateDynamicBackgroundEQ).
+     */
+    constructor(sampleRate = 44100, dynamicOptions = {}) {
         this.sampleRate = sampleRate;
+        this.dynamicOptions = {
+            enabled: true,
+            layers: {},              // Per layer type: { depthDb, sibilanceDepthDb }; other types keep the static EQ
+            minFrequency: 250,       // The voice-following cut stays between these
+            maxFrequency: 4000,
+            bandwidthOctaves: 1.5,
+            sibilanceFrequency: 6500,
+            silenceDb: -45,          // Seconds quieter than this leave the beds alone
+            smoothingSeconds: 3,     // Moving average over the time series, so the cut breathes rather than jumps
+            stepSeconds: 0.25,       // Resolution of the gain/frequency ramps between seconds
+            ...dynamicOptions
+        };
         // Define common vocal frequency ranges for reference
         // These are used to inform where to place EQ cuts or to identify relevant vocal areas.
         this.VOCAL_FREQS = {
@@ -38,7 +56,7 @@ class EQCalculator {
      * @param {Object} vocalProfile The vocal profile object obtained from VocalAnalyzer.
      * @param {string} layerType The type of the background layer ('ambience', 'music', 'effects').
      * @param {string} inputLabel The FFmpeg input label for this specific audio layer (e.g., '[bg0_vol]').
-     * @returns {string} A string representing FFmpeg's `equalizer` or `highpass` filter chain,
+     * @returns {string} A filter chain `[inputLabel]highpass=...,equalizer=...[outputLabel]`,
      * or just the pass-through string if no EQ is applied.
      * The output label will be '[inputLabel_eq]'.
      */
@@ -84,11 +102,124 @@ class EQCalculator {
         // Construct the final FFmpeg filter string for this layer.
         // It takes the inputLabel, applies all generated filters, and outputs to the new outputLabel.
         if (filters.length > 0) {
-            return `${inputLabel},${filters.join(',')}[${outputLabel}]`;
+            return `${inputLabel}${filters.join(',')}[${outputLabel}]`;
         }
         // If no filters were added, simply pass the input through to the new output label.
         return `${inputLabel}[${outputLabel}]`;
     }
+
+    /**
+     * Generates time-varying complementary EQ for a background layer from the voice's time series.
+     * Two bands follow the voice second by second: a cut centred on the voice's spectral centroid
+     * (full depth while it is voiced, half during unvoiced speech, none in silence), and a sibilance cut
+     * while the voice's energy sits in the high band or it is unvoiced. Gains and frequencies are smoothed
+     * and ramped in `stepSeconds` steps, and sent to the named `equalizer` instances by `asendcmd` from a
+     * command file, so the filter graph stays short however long the episode is.
+     *
+     * @param {Array<Object>} timeSeries VocalAnalyzer time series `{ time, centroid, dominantBand, energyDb, voiced }`,
+     * with `time` on the same timeline as the layer's stream (the episode timeline in the mixer).
+     * @param {string} layerType The background layer's type; only types in `dynamicEQ.layers` get dynamic EQ.
+     * @param {string} inputLabel The FFmpeg label of the layer's stream (e.g. '[bg0_volfade]').
+     * @param {string} commandPath Where the caller will write the returned commands.
+     * @returns {Object|null} `{ filter, commands }` (the chain, output label '[inputLabel_eq]', and the
+     * command file's content), or null when the layer should keep the static EQ of generateBackgroundEQ.
+     */
+    generateDynamicBackgroundEQ(timeSeries, layerType, inputLabel, commandPath) {
+        const options = this.dynamicOptions;
+        const settings = options.layers[layerType];
+        if (!options.enabled || !settings || !timeSeries || timeSeries.length === 0) {
+            return null;
+        }
+
+        const name = inputLabel.replace('[', '').replace(']', '');
+        const outputLabel = `${name}_eq`;
+        const voiceBand = `equalizer@${name}_voice`;
+        const sibilanceBand = `equalizer@${name}_sibilance`;
+        const depth = settings.depthDb !== undefined ? settings.depthDb : -4;
+        const sibilanceDepth = settings.sibilanceDepthDb !== undefined ? settings.sibilanceDepthDb : 0;
+
+        // 1. Per-second targets
+        const clampFrequency = frequency => Math.min(options.maxFrequency, Math.max(options.minFrequency, frequency));
+        let lastFrequency = 1000;
+        const targets = timeSeries.map(entry => {
+            const speaking = entry.energyDb > options.silenceDb;
+            if (speaking && entry.centroid > 0) lastFrequency = clampFrequency(entry.centroid);
+            return {
+                time: entry.time,
+                frequency: lastFrequency, // Held through silence, so the band doesn't sweep while it's flat
+                gain: speaking ? (entry.voiced ? depth : depth / 2) : 0,
+                sibilance: speaking && (entry.dominantBand === 'high' || !entry.voiced) ? sibilanceDepth : 0
+            };
+        });
+
+        // 2. Moving average (frequency in octaves, so it glides evenly)
+        const radius = Math.max(0, Math.floor(options.smoothingSeconds / 2));
+        const smoothed = targets.map((target, index) => {
+            const window = targets.slice(Math.max(0, index - radius), index + radius + 1);
+            const average = key => window.reduce((sum, item) => sum + item[key], 0) / window.length;
+            return {
+                time: target.time + 0.5, // Centre of the second
+                frequency: Math.pow(2, window.reduce((sum, item) => sum + Math.log2(item.frequency), 0) / window.length),
+                gain: average('gain'),
+                sibilance: average('sibilance')
+            };
+        });
+
+        // Ease in from, and back out to, a flat bed either side of the voice
+        const first = smoothed[0];
+        const last = smoothed[smoothed.length - 1];
+        const points = [
+            { ...first, time: Math.max(0, first.time - 1), gain: 0, sibilance: 0 },
+            ...smoothed,
+            { ...last, time: last.time + 1, gain: 0, sibilance: 0 }
+        ];
+
+        // 3. Ramp between seconds, sending a command only when a value moves audibly
+        const lines = [];
+        const sent = {}; // Last value sent per parameter
+        const send = (time, point) => {
+            const changes = [];
+            if (sent.frequency === undefined || Math.abs(Math.log2(point.frequency / sent.frequency)) >= 1 / 12) {
+                changes.push(`${voiceBand} f ${Math.round(point.frequency)}`);
+                sent.frequency = point.frequency;
+            }
+            if (sent.gain === undefined || Math.abs(point.gain - sent.gain) >= 0.25) {
+                changes.push(`${voiceBand} g ${point.gain.toFixed(2)}`);
+                sent.gain = point.gain;
+            }
+            if (sibilanceDepth !== 0 && (sent.sibilance === undefined || Math.abs(point.sibilance - sent.sibilance) >= 0.25)) {
+                changes.push(`${sibilanceBand} g ${point.sibilance.toFixed(2)}`);
+                sent.sibilance = point.sibilance;
+            }
+            if (changes.length > 0) lines.push(`${Math.max(0, time).toFixed(3)} ${changes.join(', ')};`);
+        };
+        points.forEach((point, index) => {
+            const next = points[index + 1];
+            if (!next) return send(point.time, point);
+            const steps = Math.max(1, Math.round((next.time - point.time) / options.stepSeconds));
+            for (let step = 0; step < steps; step++) {
+                const mix = step / steps;
+                send(point.time + (next.time - point.time) * mix, {
+                    frequency: Math.pow(2, Math.log2(point.frequency) * (1 - mix) + Math.log2(next.frequency) * mix),
+                    gain: point.gain * (1 - mix) + next.gain * mix,
+                    sibilance: point.sibilance * (1 - mix) + next.sibilance * mix
+                });
+            }
+        });
+
+        const filters = [
+            `asendcmd=f=${escapeFilterValue(commandPath)}`,
+            'highpass=f=90', // Same low-end cut as the static EQ
+            `${voiceBand}=f=${Math.round(first.frequency)}:width_type=o:width=${options.bandwidthOctaves}:g=0`
+        ];
+        if (sibilanceDepth !== 0) {
+            filters.push(`${sibilanceBand}=f=${options.sibilanceFrequency}:width_type=o:width=1:g=0`);
+        }
+        return {
+            filter: `${inputLabel}${filters.join(',')}[${outputLabel}]`,
+            commands: lines.join('\n') + '\n'
+        };
+    }
 }
 
 module.exports = EQCalculator;
@@ -0,0 +1,14 @@
+// podcast-automation/optimization/algorithms/fft-worker.js
+// Worker thread for VocalAnalyzer: analyzes batches of frames and posts back their features and
+// summed magnitudes. Buffers are transferred both ways, so nothing is copied.
+
+const { parentPort, workerData } = require('worker_threads');
+const { createFrameAnalyzer } = require('./spectrum');
+
+const analyzeFrames = createFrameAnalyzer(workerData.fftSize, workerData.sampleRate);
+
+parentPort.on('message', ({ id, frames, count }) => {
+    const sumMagnitudes = new Float64Array(workerData.fftSize / 2);
+    const features = analyzeFrames(frames, count, sumMagnitudes);
+    parentPort.postMessage({ id, features, sumMagnitudes }, [features.buffer, sumMagnitudes.buffer]);
+});
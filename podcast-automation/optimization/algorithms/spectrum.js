@@ -0,0 +1,137 @@
+// podcast-automation/optimization/algorithms/spectrum.js
+// Frame analysis shared by VocalAnalyzer and its FFT worker threads: Hann window, in-place radix-2 FFT
+// on typed arrays (no per-frame allocations), and the per-frame features the analyzer accumulates.
+
+const MAX_FREQ_HZ = 8000;   // Upper limit for the vocal range, the centroid and the 'high' band
+const LOW_BAND_END_HZ = 500;
+const MID_BAND_END_HZ = 5000;
+const FEATURES_PER_FRAME = 6; // power, zeroCrossingHz, centroid, low, mid, high
+
+/**
+ * Builds a Hann window and the factor that restores the amplitude it takes away, so windowed
+ * magnitudes stay on the same scale as un-windowed ones.
+ * @param {number} size Frame length in samples.
+ * @returns {{window: Float64Array, gain: number}}
+ */
+function createHannWindow(size) {
+    const window = new Float64Array(size);
+    let sum = 0;
+    for (let i = 0; i < size; i++) {
+        window[i] = 0.5 * (1 - Math.cos((2 * Math.PI * i) / (size - 1)));
+        sum += window[i];
+    }
+    return { window, gain: size / sum };
+}
+
+/**
+ * In-place iterative radix-2 FFT.
+ * @param {Float64Array} re Real parts; length must be a power of 2.
+ * @param {Float64Array} im Imaginary parts, same length.
+ */
+function fftInPlace(re, im) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+    for (let length = 2; length <= n; length <<= 1) {
+        const angle = (-2 * Math.PI) / length;
+        const stepRe = Math.cos(angle);
+        const stepIm = Math.sin(angle);
+        for (let start = 0; start < n; start += length) {
+            let wRe = 1;
+            let wIm = 0;
+            for (let k = 0; k < length / 2; k++) {
+                const a = start + k;
+                const b = a + length / 2;
+                const tRe = re[b] * wRe - im[b] * wIm;
+                const tIm = re[b] * wIm + im[b] * wRe;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+                const nextRe = wRe * stepRe - wIm * stepIm;
+                wIm = wRe * stepIm + wIm * stepRe;
+                wRe = nextRe;
+            }
+        }
+    }
+}
+
+/**
+ * Creates a frame analyzer with its own scratch buffers (one per thread).
+ * @param {number} fftSize Frame length; a power of 2.
+ * @param {number} sampleRate
+ * @returns {Function} `(frames, count, sumMagnitudes) => features`: analyzes `count` frames laid end to end in
+ * `frames` (raw samples, -1 to 1), adds each frame's magnitudes (bins 0 to fftSize/2 - 1) into `sumMagnitudes`,
+ * and returns a Float64Array of FEATURES_PER_FRAME values per frame: mean power, zero-crossing rate in Hz,
+ * spectral centroid (up to MAX_FREQ_HZ), and the magnitude sums of the low, mid and high bands.
+ */
+function createFrameAnalyzer(fftSize, sampleRate) {
+    if (fftSize < 2 || (fftSize & (fftSize - 1)) !== 0) {
+        throw new Error(`FFT size must be a power of 2 (got ${fftSize}).`);
+    }
+    const { window, gain } = createHannWindow(fftSize);
+    const re = new Float64Array(fftSize);
+    const im = new Float64Array(fftSize);
+    const binHz = sampleRate / fftSize;
+    const bins = fftSize / 2;
+
+    return (frames, count, sumMagnitudes) => {
+        const features = new Float64Array(count * FEATURES_PER_FRAME);
+        for (let frame = 0; frame < count; frame++) {
+            const offset = frame * fftSize;
+            let power = 0;
+            let crossings = 0;
+            for (let i = 0; i < fftSize; i++) {
+                const sample = frames[offset + i];
+                power += sample * sample;
+                if (i > 0 && (sample >= 0) !== (frames[offset + i - 1] >= 0)) crossings++;
+                re[i] = sample * window[i];
+                im[i] = 0;
+            }
+            fftInPlace(re, im);
+
+            let weighted = 0;
+            let total = 0;
+            let low = 0;
+            let mid = 0;
+            let high = 0;
+            for (let bin = 0; bin < bins; bin++) {
+                const magnitude = Math.sqrt(re[bin] * re[bin] + im[bin] * im[bin]) * gain;
+                sumMagnitudes[bin] += magnitude;
+                const frequency = bin * binHz;
+                if (frequency > MAX_FREQ_HZ) continue;
+                weighted += frequency * magnitude;
+                total += magnitude;
+                if (frequency <= LOW_BAND_END_HZ) low += magnitude;
+                else if (frequency <= MID_BAND_END_HZ) mid += magnitude;
+                else high += magnitude;
+            }
+
+            const base = frame * FEATURES_PER_FRAME;
+            features[base] = power / fftSize;
+            features[base + 1] = (crossings * sampleRate) / (2 * fftSize);
+            features[base + 2] = total > 0 ? weighted / total : 0;
+            features[base + 3] = low;
+            features[base + 4] = mid;
+            features[base + 5] = high;
+        }
+        return features;
+    };
+}
+
+module.exports = {
+    createHannWindow,
+    fftInPlace,
+    createFrameAnalyzer,
+    FEATURES_PER_FRAME,
+    MAX_FREQ_HZ,
+    LOW_BAND_END_HZ,
+    MID_BAND_END_HZ
+};
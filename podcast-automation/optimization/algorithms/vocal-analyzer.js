@@ -1,149 +1,395 @@
 // podcast-automation/optimization/algorithms/vocal-analyzer.js
 
 const ffmpeg = require('fluent-ffmpeg');
-const { fft, util } = require('fft-js'); // Assuming fft-js is installed: npm install fft-js
-const { Transform } = require('stream'); // For creating a transform stream if needed
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const {
+    createFrameAnalyzer,
+    FEATURES_PER_FRAME,
+    MAX_FREQ_HZ,
+    LOW_BAND_END_HZ,
+    MID_BAND_END_HZ
+} = require('./spectrum'); // Hann-windowed FFT and per-frame features, shared with the worker threads
 
+/**
+ * Streaming vocal analyzer.
+ * Decodes the voice to mono PCM and analyzes it in overlapping Hann-windowed frames, keeping only
+ * running statistics: the summed magnitude of every bin, the per-second time series and one batch of
+ * frames per worker in flight. Memory stays fixed however long the episode is. Batches of frames are
+ * spread across worker threads and merged back in order; with no workers the FFTs run on this thread.
+ */
 class VocalAnalyzer {
-    constructor(sampleRate = 44100, fftSize = 2048) {
+    /**
+     * @param {number} [sampleRate=44100] Rate the voice is decoded at.
+     * @param {number} [fftSize=2048] Frame length; must be a power of 2 (e.g., 1024, 2048, 4096).
+     * @param {Object} [options={}] The `vocalAnalysis` section of audio-settings.json.
+     * @param {number} [options.hopSize=fftSize/2] Samples between frame starts (fftSize/2 is 50% overlap).
+     * @param {number} [options.batchWindows=64] Frames sent to a worker at a time.
+     * @param {number} [options.maxWorkers=4] Upper limit for worker threads; one core is always left to
+     * decoding, so a single-core machine analyzes on the main thread.
+     * @param {number} [options.workers] Exact number of worker threads (0 for none), overriding maxWorkers.
+     */
+    constructor(sampleRate = 44100, fftSize = 2048, options = {}) {
         this.sampleRate = sampleRate;
-        this.fftSize = fftSize; // Must be a power of 2 (e.g., 1024, 2048, 4096)
-        this.buffer = Buffer.alloc(0); // Accumulate raw PCM data
-        this.samplesPerFrame = fftSize; // Number of samples for one FFT window
+        this.fftSize = fftSize;
+        this.hopSize = options.hopSize || fftSize / 2;
+        if (this.hopSize <= 0 || this.hopSize > fftSize) {
+            throw new Error(`Vocal analysis hop size must be between 1 and the FFT size (${fftSize}).`);
+        }
+        this.batchWindows = options.batchWindows || 64;
+        this.workers = options.workers !== undefined
+            ? options.workers
+            : Math.max(0, Math.min(options.maxWorkers !== undefined ? options.maxWorkers : 4, os.cpus().length - 1));
         this.bytesPerSample = 2; // For s16le (16-bit signed integer)
-        this.allMagnitudes = []; // Accumulate magnitudes from all FFT windows
+        this.silenceDb = -45; // Windows quieter than this (RMS, dBFS) are silence
+        this.voicedZeroCrossingHz = 2500; // Voiced speech crosses zero less often than fricatives and noise
+        this.analyzeFrames = createFrameAnalyzer(fftSize, sampleRate); // Throws early on a bad FFT size
     }
 
     /**
      * Analyzes the voice audio file to extract its frequency profile.
-     * This involves decoding the audio to raw PCM, performing FFT on chunks,
-     * and aggregating the results to form a vocal frequency profile.
+     * The audio is decoded to raw PCM and streamed through the frame analysis; results are
+     * aggregated into a vocal frequency profile as they arrive.
      *
      * @param {string} audioFilePath Path to the ElevenLabs voice MP3 file.
-     * @returns {Promise<Object>} A promise resolving to the vocal profile.
+     * @param {object} [options={}] Analysis options.
+     * @param {AbortSignal} [options.signal] Kills the decoding FFmpeg process when aborted.
+     * @param {Function} [options.onProgress] Called with the decoding percent (0-100) as FFmpeg reports progress.
+     * @returns {Promise<Object>} A promise resolving to the vocal profile, including its `timeSeries`
+     * (see _summarizeSecond).
+     */
+    async analyze(audioFilePath, options = {}) {
+        const { signal } = options;
+        if (signal && signal.aborted) {
+            throw new Error('Vocal analysis cancelled.');
+        }
+
+        const state = this._createState();
+        const pool = this._createPool(state);
+        try {
+            await this._stream(audioFilePath, state, pool, options);
+            return this._calculateFinalProfile(state);
+        } finally {
+            await Promise.all(pool.map(worker => worker.terminate()));
+        }
+    }
+
+    /**
+     * @returns {Object} Fresh running state for one analysis.
      */
-    async analyze(audioFilePath) {
-        // Reset buffers and accumulated data for a new analysis
-        this.buffer = Buffer.alloc(0);
-        this.allMagnitudes = [];
+    _createState() {
+        return {
+            frame: new Float32Array(this.fftSize), // Sliding frame; shifts by hopSize after each emitted frame
+            filled: 0,
+            carry: null,                          // Odd byte left over between decoded chunks
+            framesEmitted: 0,
+            batch: new Float32Array(this.batchWindows * this.fftSize),
+            batchCount: 0,
+            batches: new Map(),                   // Batch id -> { startIndex, count } while in flight
+            results: new Map(),                   // Batch id -> worker result waiting for its turn to merge
+            nextBatchId: 0,
+            nextToMerge: 0,
+            sumMagnitudes: new Float64Array(this.fftSize / 2),
+            windowCount: 0,
+            timeSeries: [],
+            currentSecond: null,
+            onMerged: null,                       // Called after merges (resumes decoding, finishes the analysis)
+            onError: null
+        };
+    }
+
+    /**
+     * Starts the worker threads for one analysis.
+     * @param {Object} state
+     * @returns {Array<Worker>} The workers; empty when FFTs run on this thread.
+     */
+    _createPool(state) {
+        const pool = [];
+        for (let i = 0; i < this.workers; i++) {
+            const worker = new Worker(path.join(__dirname, 'fft-worker.js'), {
+                workerData: { fftSize: this.fftSize, sampleRate: this.sampleRate }
+            });
+            worker.on('message', result => {
+                state.results.set(result.id, result);
+                this._drainResults(state);
+            });
+            worker.on('error', err => state.onError && state.onError(err));
+            pool.push(worker);
+        }
+        return pool;
+    }
 
+    /**
+     * Decodes the file and feeds it through the frame analysis, pausing the decoder while every worker is busy.
+     * @param {string} audioFilePath
+     * @param {Object} state
+     * @param {Array<Worker>} pool
+     * @param {Object} options As for analyze.
+     * @returns {Promise<void>} Resolves once every frame is merged.
+     */
+    _stream(audioFilePath, state, pool, options) {
+        const { signal } = options;
+        const maxInFlight = pool.length * 2;
         return new Promise((resolve, reject) => {
+            let settled = false;
+            let ended = false;
+            const fail = (err) => {
+                if (settled) return;
+                settled = true;
+                console.error('FFmpeg error during vocal analysis:', err.message);
+                reject(err);
+            };
+
             // Configure FFmpeg to output raw, mono, 16-bit signed little-endian PCM
-            const ffmpegCommand = ffmpeg(audioFilePath)
+            const command = ffmpeg(audioFilePath)
                 .noVideo() // Ensure only audio is processed
                 .audioChannels(1) // Convert to mono for simpler analysis
                 .audioFrequency(this.sampleRate) // Set target sample rate
                 .audioCodec('pcm_s16le') // Raw 16-bit signed little-endian PCM
-                .format('s16le') // Raw audio format
-                .pipe(); // Pipe the output to stdout (Node.js stream)
+                .format('s16le'); // Raw audio format
 
-            ffmpegCommand.on('data', (chunk) => {
-                this.buffer = Buffer.concat([this.buffer, chunk]); // Accumulate incoming data
-                this._processBuffer(); // Process accumulated data
-            });
+            // Kill the decoder if the caller cancels mid-analysis
+            if (signal) {
+                const onAbort = () => command.kill('SIGKILL');
+                signal.addEventListener('abort', onAbort, { once: true });
+                command.on('end', () => signal.removeEventListener('abort', onAbort));
+                command.on('error', () => signal.removeEventListener('abort', onAbort));
+            }
+
+            if (options.onProgress) {
+                command.on('progress', (progress) => {
+                    if (progress.percent) options.onProgress(progress.percent);
+                });
+            }
+            command.on('error', fail);
+
+            // A worker or merge failure also stops the decoder, which would otherwise keep running unread
+            const stop = (err) => {
+                if (!settled) command.kill('SIGKILL');
+                fail(err);
+            };
+            state.onError = stop;
 
-            ffmpegCommand.on('end', () => {
-                // Process any remaining buffer data that might not fill a full FFT window
-                this._processBuffer(true);
-                // Finalize vocal profile calculations after all data is processed
-                resolve(this._calculateFinalProfile());
+            const pcmStream = command.pipe(); // Pipe the output to stdout (Node.js stream)
+
+            // Resume decoding as workers free up; finish once the stream ended and every batch is merged
+            state.onMerged = () => {
+                if (pcmStream.isPaused() && state.batches.size < maxInFlight) pcmStream.resume();
+                if (ended && state.batches.size === 0 && !settled) {
+                    settled = true;
+                    resolve();
+                }
+            };
+
+            pcmStream.on('data', (chunk) => {
+                try {
+                    this._pushSamples(chunk, state, pool);
+                } catch (err) {
+                    return stop(err);
+                }
+                if (maxInFlight > 0 && state.batches.size >= maxInFlight) pcmStream.pause();
             });
 
-            ffmpegCommand.on('error', (err) => {
-                console.error('FFmpeg error during vocal analysis:', err.message);
-                reject(err);
+            pcmStream.on('end', () => {
+                try {
+                    this._flush(state, pool);
+                } catch (err) {
+                    return stop(err);
+                }
+                ended = true;
+                state.onMerged();
             });
+
+            pcmStream.on('error', fail);
         });
     }
 
     /**
-     * Processes the accumulated audio buffer in FFT-sized chunks.
-     * Converts raw PCM bytes to Float32Array and performs FFT.
-     * @param {boolean} [isEnd=false] True if this is the final processing pass (at end of stream).
+     * Adds decoded PCM to the sliding frame, emitting a frame every `hopSize` samples once it is full.
+     * @param {Buffer} chunk Raw s16le bytes.
+     * @param {Object} state
+     * @param {Array<Worker>} pool
      */
-    _processBuffer(isEnd = false) {
-        // Continue processing as long as there's enough data for an FFT frame,
-        // or if it's the end of the stream and there's any data left.
-        while (this.buffer.length >= this.samplesPerFrame * this.bytesPerSample || (isEnd && this.buffer.length > 0)) {
-            let currentSamplesBuffer;
-            if (this.buffer.length >= this.samplesPerFrame * this.bytesPerSample) {
-                // Extract a full FFT window's worth of bytes
-                currentSamplesBuffer = this.buffer.slice(0, this.samplesPerFrame * this.bytesPerSample);
-                this.buffer = this.buffer.slice(this.samplesPerFrame * this.bytesPerSample); // Remove processed bytes
-            } else {
-                // If it's the end and less than a full window, process remaining bytes
-                currentSamplesBuffer = this.buffer;
-                this.buffer = Buffer.alloc(0); // Clear buffer
-            }
+    _pushSamples(chunk, state, pool) {
+        let data = chunk;
+        if (state.carry) {
+            data = Buffer.concat([state.carry, chunk]);
+            state.carry = null;
+        }
+        const usable = data.length - (data.length % this.bytesPerSample);
+        if (usable < data.length) state.carry = Buffer.from(data.subarray(usable));
 
-            // Convert raw 16-bit signed little-endian bytes to normalized Float32Array (-1.0 to 1.0)
-            const floatSamples = new Float32Array(currentSamplesBuffer.length / this.bytesPerSample);
-            for (let i = 0; i < floatSamples.length; i++) {
-                // Read 16-bit signed integer and normalize (divide by max value for 16-bit signed: 2^15 = 32768)
-                floatSamples[i] = currentSamplesBuffer.readInt16LE(i * this.bytesPerSample) / 32768.0;
+        for (let position = 0; position < usable; position += this.bytesPerSample) {
+            // Normalize the 16-bit signed integer to -1.0..1.0 (2^15 = 32768)
+            state.frame[state.filled++] = data.readInt16LE(position) / 32768.0;
+            if (state.filled === this.fftSize) {
+                this._emitFrame(state, pool);
+                state.frame.copyWithin(0, this.hopSize);
+                state.filled -= this.hopSize;
             }
+        }
+    }
+
+    /**
+     * Emits the last frame at the end of the stream, zero-padded, if it holds samples no frame has
+     * covered yet, then sends the last partial batch.
+     * @param {Object} state
+     * @param {Array<Worker>} pool
+     */
+    _flush(state, pool) {
+        if (state.filled > 0 && (state.framesEmitted === 0 || state.filled > this.fftSize - this.hopSize)) {
+            state.frame.fill(0, state.filled);
+            this._emitFrame(state, pool);
+        }
+        state.filled = 0;
+        if (state.batchCount > 0) this._submitBatch(state, pool);
+    }
 
-            // Perform FFT on the samples. fft-js expects an ArrayBuffer.
-            const phasors = fft(floatSamples.buffer);
+    /**
+     * Copies the current frame into the batch, sending the batch when it is full.
+     * @param {Object} state
+     * @param {Array<Worker>} pool
+     */
+    _emitFrame(state, pool) {
+        state.batch.set(state.frame, state.batchCount * this.fftSize);
+        state.batchCount++;
+        state.framesEmitted++;
+        if (state.batchCount === this.batchWindows) this._submitBatch(state, pool);
+    }
 
-            // Calculate magnitudes for each frequency bin and map to actual frequencies (Hz)
-            const magnitudes = util.fftFreq(phasors, this.sampleRate)
-                                  .map((freq, ix) => {
-                                      const mag = util.fftMag(phasors[ix]); // Calculate magnitude from real/imaginary parts
-                                      return { frequency: freq, magnitude: mag };
-                                  })
-                                  // For real input signals, the FFT result is symmetric,
-                                  // so we only need the first half of the bins.
-                                  .slice(0, this.fftSize / 2);
+    /**
+     * Analyzes the current batch on a worker (round-robin) or, without workers, right here.
+     * @param {Object} state
+     * @param {Array<Worker>} pool
+     */
+    _submitBatch(state, pool) {
+        const id = state.nextBatchId++;
+        const count = state.batchCount;
+        state.batches.set(id, { startIndex: state.framesEmitted - count, count });
 
-            this._accumulateMagnitudes(magnitudes);
+        if (pool.length === 0) {
+            const sumMagnitudes = new Float64Array(this.fftSize / 2);
+            const features = this.analyzeFrames(state.batch, count, sumMagnitudes);
+            state.results.set(id, { id, features, sumMagnitudes });
+            this._drainResults(state);
+            state.batchCount = 0;
+            return;
         }
+
+        // The batch's memory moves to the worker; start a fresh one
+        pool[id % pool.length].postMessage({ id, frames: state.batch, count }, [state.batch.buffer]);
+        state.batch = new Float32Array(this.batchWindows * this.fftSize);
+        state.batchCount = 0;
     }
 
     /**
-     * Accumulates magnitudes from each FFT window.
-     * @param {Array<Object>} magnitudes An array of { frequency, magnitude } objects for one FFT window.
+     * Merges finished batches in frame order, so the time series is built sequentially.
+     * @param {Object} state
      */
-    _accumulateMagnitudes(magnitudes) {
-        this.allMagnitudes.push(magnitudes);
+    _drainResults(state) {
+        while (state.results.has(state.nextToMerge)) {
+            const { features, sumMagnitudes } = state.results.get(state.nextToMerge);
+            const { startIndex, count } = state.batches.get(state.nextToMerge);
+            state.results.delete(state.nextToMerge);
+            state.batches.delete(state.nextToMerge);
+            state.nextToMerge++;
+
+            for (let bin = 0; bin < sumMagnitudes.length; bin++) {
+                state.sumMagnitudes[bin] += sumMagnitudes[bin];
+            }
+            for (let frame = 0; frame < count; frame++) {
+                this._accumulateTimeSeries(state, startIndex + frame, features, frame * FEATURES_PER_FRAME);
+            }
+            state.windowCount += count;
+        }
+        if (state.onMerged) state.onMerged();
     }
 
     /**
-     * Calculates the final vocal frequency profile by aggregating all FFT window magnitudes.
+     * Collects one frame's features into its second of the time series (by the frame's start time).
+     * @param {Object} state
+     * @param {number} frameIndex
+     * @param {Float64Array} features Per-frame features from spectrum.createFrameAnalyzer.
+     * @param {number} base Offset of this frame's features.
+     */
+    _accumulateTimeSeries(state, frameIndex, features, base) {
+        const time = Math.floor((frameIndex * this.hopSize) / this.sampleRate);
+        if (state.currentSecond && state.currentSecond.time !== time) {
+            state.timeSeries.push(this._summarizeSecond(state.currentSecond));
+            state.currentSecond = null;
+        }
+        if (!state.currentSecond) {
+            state.currentSecond = {
+                time: time, windows: 0, power: 0, voiced: 0,
+                centroidSum: 0, voicedCentroidSum: 0, bands: { low: 0, mid: 0, high: 0 }
+            };
+        }
+
+        const second = state.currentSecond;
+        const power = features[base];
+        const levelDb = 10 * Math.log10(power || 1e-12);
+        const centroid = features[base + 2];
+        second.windows++;
+        second.power += power;
+        second.centroidSum += centroid;
+        second.bands.low += features[base + 3];
+        second.bands.mid += features[base + 4];
+        second.bands.high += features[base + 5];
+        if (levelDb > this.silenceDb && features[base + 1] < this.voicedZeroCrossingHz) {
+            second.voiced++;
+            second.voicedCentroidSum += centroid;
+        }
+    }
+
+    /**
+     * Summarizes one second of frames as `{ time, centroid, dominantBand, energyDb, voiced }`: the spectral
+     * centroid in Hz (of the voiced frames when there are any), the band ('low', 'mid' or 'high', as in the
+     * averaged profile) with the most energy, the RMS level in dBFS, and whether most of its frames were
+     * voiced speech (above the silence floor, with a low zero-crossing rate).
+     * @param {Object} second Accumulated frame features of one second.
+     * @returns {Object} The time series entry.
+     */
+    _summarizeSecond(second) {
+        const centroid = second.voiced > 0 ? second.voicedCentroidSum / second.voiced : second.centroidSum / second.windows;
+        const dominantBand = Object.keys(second.bands).reduce((best, band) => second.bands[band] > second.bands[best] ? band : best, 'mid');
+        return {
+            time: second.time,
+            centroid: parseFloat(centroid.toFixed(1)),
+            dominantBand: dominantBand,
+            energyDb: parseFloat(Math.max(-120, 10 * Math.log10(second.power / second.windows || 1e-12)).toFixed(1)),
+            voiced: second.voiced * 2 >= second.windows
+        };
+    }
+
+    /**
+     * Calculates the final vocal frequency profile from the summed magnitudes of all frames.
+     * @param {Object} state
      * @returns {Object} The aggregated vocal profile.
      */
-    _calculateFinalProfile() {
-        if (!this.allMagnitudes || this.allMagnitudes.length === 0) {
+    _calculateFinalProfile(state) {
+        if (state.windowCount === 0) {
             return this.getDefaultVocalProfile();
         }
+        if (state.currentSecond) {
+            state.timeSeries.push(this._summarizeSecond(state.currentSecond));
+            state.currentSecond = null;
+        }
 
         const totalBins = this.fftSize / 2;
-        const cumulativeMagnitudes = new Array(totalBins).fill(0);
-        const totalWindows = this.allMagnitudes.length;
-
-        // Sum magnitudes for each frequency bin across all processed windows
-        this.allMagnitudes.forEach(windowMagnitudes => {
-            windowMagnitudes.forEach((bin, index) => {
-                if (index < totalBins) {
-                    cumulativeMagnitudes[index] += bin.magnitude;
-                }
-            });
-        });
-
-        // Calculate average magnitude for each bin
-        const avgMagnitudes = cumulativeMagnitudes.map(sum => sum / totalWindows);
+        const binHz = this.sampleRate / this.fftSize;
+        // Average magnitude for each bin
+        const avgMagnitudes = Array.from(state.sumMagnitudes, sum => sum / state.windowCount);
 
         // Find dominant frequency within a relevant vocal range
         let dominantFrequencyBin = -1;
         let maxAvgMagnitude = -1;
         // Define relevant vocal frequency ranges to avoid picking up noise floor or irrelevant sounds
         const minFreqHz = 80; // Minimum typical fundamental male vocal frequency
-        const maxFreqHz = 8000; // Upper limit for essential vocal clarity and sibilance
+        const maxFreqHz = MAX_FREQ_HZ; // Upper limit for essential vocal clarity and sibilance
 
-        let minBin = Math.floor(minFreqHz / (this.sampleRate / this.fftSize));
-        let maxBin = Math.ceil(maxFreqHz / (this.sampleRate / this.fftSize));
-        minBin = Math.max(0, minBin); // Ensure bin index is not negative
-        maxBin = Math.min(totalBins - 1, maxBin); // Ensure bin index is within bounds
+        const minBin = Math.max(0, Math.floor(minFreqHz / binHz));
+        const maxBin = Math.min(totalBins - 1, Math.ceil(maxFreqHz / binHz));
 
         for (let i = minBin; i <= maxBin; i++) {
             if (avgMagnitudes[i] > maxAvgMagnitude) {
@@ -151,15 +397,12 @@ class VocalAnalyzer {
                 dominantFrequencyBin = i;
             }
         }
-        
-        const dominantFrequency = dominantFrequencyBin !== -1 ?
-            (dominantFrequencyBin * (this.sampleRate / this.fftSize)) : 0; // Convert bin index to Hz
+
+        const dominantFrequency = dominantFrequencyBin !== -1 ? dominantFrequencyBin * binHz : 0; // Convert bin index to Hz
 
         // Calculate average energy per general band (Low, Mid, High)
-        // These bands are defined based on common vocal EQ practices
-        const lowBandEndFreq = 500; // e.g., up to 500 Hz (vocal fundamentals, body)
-        const midBandEndFreq = 5000; // e.g., 500 Hz to 5000 Hz (vocal clarity, presence)
-        
+        // These bands are defined based on common vocal EQ practices:
+        // up to 500 Hz (fundamentals, body), 500-5000 Hz (clarity, presence), 5000 Hz up to maxFreqHz
         let lowEnergy = 0;
         let midEnergy = 0;
         let highEnergy = 0;
@@ -168,14 +411,14 @@ class VocalAnalyzer {
         let highCount = 0;
 
         avgMagnitudes.forEach((mag, index) => {
-            const freq = index * (this.sampleRate / this.fftSize);
-            if (freq <= lowBandEndFreq) {
+            const freq = index * binHz;
+            if (freq <= LOW_BAND_END_HZ) {
                 lowEnergy += mag;
                 lowCount++;
-            } else if (freq > lowBandEndFreq && freq <= midBandEndFreq) {
+            } else if (freq <= MID_BAND_END_HZ) {
                 midEnergy += mag;
                 midCount++;
-            } else if (freq > midBandEndFreq && freq <= maxFreqHz) { // Only count up to maxFreqHz for 'high'
+            } else if (freq <= maxFreqHz) { // Only count up to maxFreqHz for 'high'
                 highEnergy += mag;
                 highCount++;
             }
@@ -189,12 +432,11 @@ class VocalAnalyzer {
 
         // Find top N peak frequencies (for more specific EQ targets or insights)
         const numPeaks = 5; // Number of top peaks to identify
-        const sortedMagnitudes = avgMagnitudes
-            .map((mag, index) => ({ frequency: index * (this.sampleRate / this.fftSize), magnitude: mag }))
+        const peakFrequencies = avgMagnitudes
+            .map((mag, index) => ({ frequency: index * binHz, magnitude: mag }))
             .filter(item => item.frequency >= minFreqHz && item.frequency <= maxFreqHz) // Filter to relevant vocal range
-            .sort((a, b) => b.magnitude - a.magnitude); // Sort by magnitude (highest first)
-        const peakFrequencies = sortedMagnitudes.slice(0, numPeaks);
-
+            .sort((a, b) => b.magnitude - a.magnitude) // Sort by magnitude (highest first)
+            .slice(0, numPeaks);
 
         // Return the final vocal profile, formatted for readability
         return {
@@ -204,7 +446,8 @@ class VocalAnalyzer {
                 mid: parseFloat(averageEnergyByBand.mid.toFixed(4)),
                 high: parseFloat(averageEnergyByBand.high.toFixed(4))
             },
-            peakFrequencies: peakFrequencies.map(p => ({ freq: parseFloat(p.frequency.toFixed(2)), mag: parseFloat(p.magnitude.toFixed(4)) }))
+            peakFrequencies: peakFrequencies.map(p => ({ freq: parseFloat(p.frequency.toFixed(2)), mag: parseFloat(p.magnitude.toFixed(4)) })),
+            timeSeries: state.timeSeries // Per-second features, in the file's own time
         };
     }
 
@@ -216,7 +459,8 @@ class VocalAnalyzer {
         return {
             dominantFrequency: 0,
             averageEnergyByBand: { low: 0, mid: 0, high: 0 },
-            peakFrequencies: []
+            peakFrequencies: [],
+            timeSeries: []
         };
     }
 }
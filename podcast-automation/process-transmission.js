@@ -2,96 +2,167 @@
 
 /**
  * Lost Transmissions - Main Processing Script
- * Usage: node process-transmission.js <your-elevenlabs-file.mp3>
+ * Renders episodes with the full mixer from voice files (.mp3, .wav, .m4a, ...) or scripts (.txt, .md).
+ * Usage: node process-transmission.js <file|folder|glob>... [options]
+ *        node process-transmission.js --watch [inbox] [options]
+ *   --watch [inbox]    Keep running and render every file dropped into the inbox (default: config batch.inbox)
+ *   --output <dir>     Where episodes are written (default: audio-processing/output)
+ *   --parallel <n>     Renders at once (default: config batch.concurrency)
+ *   --force            Render inputs even if the same content was rendered before
+ *   --profiles <a,b>   Export profiles (config/export-profiles.json); the first is the primary output
+ *   --preset <name>    Radio character preset (config/transmission-presets.json)
+ *   --summary <file>   Also write the results as JSON to a file
+ *   --json             Print the results as JSON instead of a table (logs go to stderr)
  */
 
-const ffmpeg = require('fluent-ffmpeg');
-const fs = require('fs');
 const path = require('path');
+const fs = require('fs').promises;
+const BatchProcessor = require('./core/batch-processor');
 
-class LostTransmissionsProcessor {
-    constructor() {
-        this.outputDir = './output';
-        
-        // Create output directory if it doesn't exist
-        if (!fs.existsSync(this.outputDir)) {
-            fs.mkdirSync(this.outputDir);
+const STATUS_ICONS = { done: '✅', skipped: '⏭️', failed: '❌', cancelled: '🛑' };
+
+/**
+ * @param {Array<string>} args Command-line arguments.
+ * @returns {object} Parsed options and the positional inputs.
+ * @throws {Error} On an unknown option or a missing value.
+ */
+function parseArgs(args) {
+    const options = { inputs: [], watch: false, inbox: null, force: false, json: false };
+    const valueOf = (index, name) => {
+        if (index >= args.length || args[index].startsWith('--')) throw new Error(`${name} needs a value`);
+        return args[index];
+    };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        switch (arg) {
+        case '--watch':
+            options.watch = true;
+            if (i + 1 < args.length && !args[i + 1].startsWith('--')) options.inbox = args[++i];
+            break;
+        case '--output': options.output = valueOf(++i, arg); break;
+        case '--parallel': {
+            options.parallel = parseInt(valueOf(++i, arg), 10);
+            if (!(options.parallel > 0)) throw new Error('--parallel must be a positive number');
+            break;
+        }
+        case '--profiles': options.profiles = valueOf(++i, arg).split(',').map(name => name.trim()).filter(Boolean); break;
+        case '--preset': options.preset = valueOf(++i, arg); break;
+        case '--summary': options.summary = valueOf(++i, arg); break;
+        case '--force': options.force = true; break;
+        case '--json': options.json = true; break;
+        default:
+            if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+            options.inputs.push(arg);
         }
     }
+    return options;
+}
 
-    async processTransmission(inputFile, options = {}) {
-        try {
-            console.log('🎙️ Starting Lost Transmission processing...');
-            console.log('📁 Input:', inputFile);
-            
-            // Generate output filename
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const outputFile = path.join(this.outputDir, `lost-transmission-${timestamp}.mp3`);
-            
-            // Basic mixing (will be enhanced with Gemini's algorithms)
-            await this.mixAudio(inputFile, outputFile);
-            
-            console.log('✅ Lost Transmission complete!');
-            console.log('🎯 Output:', outputFile);
-            
-            return { success: true, outputFile: outputFile };
-            
-        } catch (error) {
-            console.error('❌ Processing failed:', error.message);
-            return { success: false, error: error.message };
-        }
+/**
+ * Prints the results as an aligned table with totals.
+ * @param {Array<object>} results BatchProcessor results.
+ */
+function printSummary(results) {
+    if (results.length === 0) {
+        console.log('📭 Nothing was processed.');
+        return;
     }
+    const rows = results.map(result => [
+        `${STATUS_ICONS[result.status] || ''} ${result.status}`,
+        path.basename(result.input),
+        result.outputPath ? path.relative(process.cwd(), result.outputPath) : (result.error || ''),
+        result.duration ? `${Math.round(result.duration)}s` : '',
+        result.qc || '',
+        result.seconds !== null ? `${result.seconds}s` : ''
+    ]);
+    const header = ['Status', 'Input', 'Output / error', 'Length', 'QC', 'Took'];
+    const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+    const line = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
 
-    async mixAudio(voiceFile, outputFile) {
-        return new Promise((resolve, reject) => {
-            console.log('🎛️ Mixing audio...');
-            
-            ffmpeg(voiceFile)
-                .audioCodec('libmp3lame')
-                .audioBitrate('192k')
-                .audioChannels(2)
-                .on('progress', (progress) => {
-                    if (progress.percent) {
-                        console.log(`📊 Progress: ${Math.round(progress.percent)}%`);
-                    }
-                })
-                .on('end', () => {
-                    console.log('🎯 Audio processing complete!');
-                    resolve();
-                })
-                .on('error', (err) => {
-                    console.error('💥 FFmpeg error:', err.message);
-                    reject(err);
-                })
-                .save(outputFile);
-        });
+    console.log('\n📋 Summary');
+    console.log(line(header));
+    console.log(line(widths.map(width => '-'.repeat(width))));
+    rows.forEach(row => console.log(line(row)));
+    const count = status => results.filter(result => result.status === status).length;
+    console.log(`\n${count('done')} rendered, ${count('skipped')} skipped, ${count('failed')} failed, ${count('cancelled')} cancelled.`);
+}
+
+/**
+ * Reports the results as a table or JSON, writes the summary file and sets the exit code.
+ * @param {Array<object>} results
+ * @param {object} options Parsed options.
+ */
+async function finish(results, options) {
+    const summary = { finishedAt: new Date().toISOString(), results };
+    if (options.summary) {
+        await fs.writeFile(options.summary, JSON.stringify(summary, null, 2));
+    }
+    if (options.json) {
+        process.stdout.write(`${JSON.stringify(summary, null, 2)}\n`);
+    } else {
+        printSummary(results);
+        if (options.summary) console.log(`📝 Summary written to ${options.summary}`);
+    }
+    // Fail the command (e.g. in CI or cron) when any render failed
+    if (results.some(result => result.status === 'failed')) {
+        process.exitCode = 1;
     }
 }
 
 // CLI execution
 async function main() {
-    const args = process.argv.slice(2);
-    
-    if (args.length === 0) {
+    const options = parseArgs(process.argv.slice(2));
+    if (!options.watch && options.inputs.length === 0) {
         console.log('🎙️ Lost Transmissions Audio Processor');
-        console.log('Usage: node process-transmission.js <elevenlabs-file.mp3>');
+        console.log('Usage: node process-transmission.js <file|folder|glob>... [--output dir] [--parallel n] [--force]');
+        console.log('                                    [--profiles a,b] [--preset name] [--summary file.json] [--json]');
+        console.log('       node process-transmission.js --watch [inbox] [options]');
         process.exit(1);
     }
-    
-    const inputFile = args[0];
-    const processor = new LostTransmissionsProcessor();
-    
-    const result = await processor.processTransmission(inputFile);
-    
-    if (result.success) {
-        console.log('🎉 SUCCESS! Your Lost Transmission is ready!');
-    } else {
-        console.error('💥 Failed:', result.error);
+    if (options.json) {
+        console.log = console.error; // Keep stdout for the JSON summary
+    }
+
+    const renderOptions = {};
+    if (options.profiles) renderOptions.profiles = options.profiles;
+    if (options.preset) renderOptions.transmission = { preset: options.preset };
+    const processor = new BatchProcessor({
+        outputDir: options.output ? path.resolve(options.output) : undefined,
+        concurrency: options.parallel,
+        force: options.force,
+        renderOptions,
+        onResult: (result) => {
+            const detail = result.status === 'failed' ? result.error : (result.outputPath || '');
+            console.log(`${STATUS_ICONS[result.status] || ''} ${path.basename(result.input)}: ${result.status} ${detail}`);
+        }
+    });
+
+    if (options.watch) {
+        const batchConfig = processor.config.batch || {};
+        const inbox = options.inbox || path.join(__dirname, batchConfig.inbox || 'inbox');
+        const watcher = await processor.watch(inbox);
+        console.log('   Press Ctrl+C to stop.');
+        process.once('SIGINT', async () => {
+            console.log('\n🛑 Stopping; running renders are cancelled...');
+            await finish(await watcher.stop(), options);
+            process.exit();
+        });
+        return;
     }
+
+    const inputs = await processor.resolveInputs(options.inputs);
+    if (inputs.length === 0) {
+        throw new Error('No voice files or scripts matched.');
+    }
+    console.log(`🎙️ Rendering ${inputs.length} input(s), ${processor.concurrency} at a time, into ${processor.outputDir}`);
+    await finish(await processor.run(inputs), options);
 }
 
 if (require.main === module) {
-    main().catch(console.error);
+    main().catch((error) => {
+        console.error('💥 Failed:', error.message);
+        process.exit(1);
+    });
 }
 
-module.exports = LostTransmissionsProcessor;
+module.exports = { parseArgs };
@@ -6,6 +6,16 @@ const cors = require("cors");
 
 // Import the core audio engine
 const TransmissionMixer = require("./audio-processing/core/mixer");
+const Exporter = require("./audio-processing/core/exporter");
+const TransmissionCharacter = require("./audio-processing/core/transmission-character");
+const JobQueue = require("./core/job-queue");
+const EpisodeCatalog = require("./core/episode-catalog");
+const LibraryManager = require("./core/library-manager");
+const { loadManifest } = require("./core/episode-manifest");
+const { resolveStems } = require("./core/voice-stems");
+const { parseScript } = require("./audio-processing/script/script-parser");
+const { buildFeed } = require("./core/rss-feed");
+const showConfig = require("./config/show.json");
 
 const app = express();
 const port = 5000;
@@ -15,50 +25,550 @@ app.use(cors());
 
 // File storage configuration (temporary uploads folder)
 const upload = multer({ dest: "uploads/" });
+const MAX_VOICE_STEMS = 8; // Voice files per job (interview stems, field clips)
+
+// Validate requested export profiles and transmission presets before jobs are queued
+const exporter = new Exporter(require("./config/audio-settings.json"));
+const transmissionCharacter = new TransmissionCharacter(require("./config/audio-settings.json"));
+// Quality check settings; `blockPublishOnFail` keeps failed renders out of the catalog
+const qcSettings = require("./config/audio-settings.json").qc || {};
 
 // Serve final output audio from public folder
 app.use("/output", express.static(path.join(__dirname, "audio-processing/output")));
+// Serve show artwork (referenced by the RSS feed)
+app.use("/assets", express.static(path.join(__dirname, "assets")));
+
+// Every finished render is recorded here; the RSS feed and /api/episodes read from it
+const catalog = new EpisodeCatalog();
 
 /**
- * POST /api/process
- * Uploads a file and processes it with the Lost Transmissions audio engine
+ * Public base URL for feed links: config/show.json publicBaseUrl, or this server.
  */
-app.post("/api/process", upload.single("audio"), async (req, res) => {
-  const inputFile = req.file?.path;
-  if (!inputFile) {
-    return res.status(400).json({ success: false, error: "No audio file uploaded." });
-  }
+function publicBaseUrl() {
+  return showConfig.publicBaseUrl || `http://localhost:${port}`;
+}
 
+/**
+ * Runs one queued job through the Lost Transmissions audio engine.
+ * The queue supplies an AbortSignal (for cancellation) plus status and progress callbacks.
+ */
+async function processJob(job, { signal, onStatus, onProgress }) {
   const mixer = new TransmissionMixer();
+  const options = { ...job.options, signal, onStatus, onProgress };
+  const result = job.input.scriptPath
+    ? await mixer.processScript(job.input.scriptPath, options)
+    : await mixer.processTransmission(job.input.voices || job.input.filePath, options);
+
+  if (!result.success) {
+    return { success: false, error: result.error || "Processing failed." };
+  }
+
+  let episode = null;
+  const qcBlocked = qcSettings.blockPublishOnFail === true && result.qc && result.qc.status === "fail";
+  if (qcBlocked) {
+    console.warn("⚠️ Quality check failed; the episode was not added to the catalog.");
+  } else {
+    try {
+      episode = await catalog.addRender(result, { jobId: job.id, originalName: job.input.originalName });
+    } catch (error) {
+      console.warn("⚠️ Failed to catalog episode:", error.message);
+    }
+  }
+
+  const outputUrl = (filePath) => `http://localhost:${port}/output/${path.basename(filePath)}`;
+  const captions = result.captions
+    ? {
+        srt: outputUrl(result.captions.srt),
+        vtt: outputUrl(result.captions.vtt),
+      }
+    : null;
+  return {
+    success: true,
+    episodeId: episode ? episode.id : null,
+    outputUrl: outputUrl(result.outputPath),
+    deliverables: result.deliverables.map(({ path: filePath, ...deliverable }) => ({
+      ...deliverable,
+      url: outputUrl(filePath),
+    })),
+    captions: captions,
+    chaptersUrl: result.chaptersPath ? outputUrl(result.chaptersPath) : null,
+    manifestUrl: outputUrl(result.manifestPath),
+    loudness: result.loudness,
+    qc: result.qc,
+    published: episode !== null,
+    metadata: result.metadata,
+    analysis: result.analysis,
+  };
+}
+
+const jobQueue = new JobQueue({ processor: processJob });
+jobQueue.setMaxListeners(0); // Every open progress stream adds listeners
+
+// Cleanup the temporary upload files once their job can no longer run
+jobQueue.on("settled", (job) => {
+  const filePaths = job.input.scriptPath
+    ? [job.input.scriptPath]
+    : job.input.voices ? job.input.voices.map((stem) => stem.filePath) : [job.input.filePath];
+  filePaths.forEach((filePath) => {
+    fs.unlink(filePath, (err) => {
+      if (err && err.code !== "ENOENT") console.warn("⚠️ Failed to delete temp file:", err.message);
+    });
+  });
+});
+
+/**
+ * Public view of a job (internal input paths are not exposed).
+ */
+function serializeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    progress: job.progress,
+    originalName: job.input.originalName,
+    result: job.result,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  };
+}
+
+/**
+ * Reads an uploaded episode manifest (JSON or YAML, by original extension) and removes the temp file.
+ * Throws if the manifest is invalid.
+ */
+async function readUploadedManifest(file) {
+  const namedPath = file.path + path.extname(file.originalname).toLowerCase();
+  await fs.promises.rename(file.path, namedPath);
+  try {
+    return await loadManifest(namedPath);
+  } finally {
+    fs.unlink(namedPath, () => {});
+  }
+}
 
+/**
+ * Parses the optional "voices" field: a JSON list of per-stem settings
+ * ({ speaker, volume, pan, eq, transmission, offset }), in the same order as the uploaded audio files.
+ */
+function parseVoiceSettings(value, fileCount) {
+  if (!value) return [];
+  let settings;
   try {
-    const result = await mixer.processTransmission(inputFile, {});
+    settings = JSON.parse(value);
+  } catch (error) {
+    throw new Error("The voices field must be a JSON list.");
+  }
+  if (!Array.isArray(settings) || settings.length > fileCount) {
+    throw new Error("The voices field must be a JSON list with at most one entry per audio file.");
+  }
+  return settings;
+}
+
+/**
+ * POST /api/process
+ * Uploads a file (field "audio", plus an optional episode manifest in field "manifest") and
+ * queues it for processing with the Lost Transmissions audio engine.
+ * Several "audio" files make a multi-voice episode, one stem per file; an optional "voices" field
+ * (JSON list, in upload order) gives each stem its speaker label, volume, pan, EQ, transmission and offset.
+ * Instead of audio, a "script" file (plain text or Markdown with speaker/scene annotations) has the voice
+ * generated by the configured TTS provider first.
+ * An optional "profiles" field (comma-separated export profile names) picks the deliverables, and
+ * optional "episodeNumber" and "recordingDate" (YYYY-MM-DD) fields are embedded in the tags.
+ * Optional "transmission" (preset name) and "transmissionIntensity" (0-1) fields set the voice's radio character.
+ * Responds immediately with the job ID; poll GET /api/jobs/:id or subscribe to
+ * GET /api/jobs/:id/events for progress.
+ */
+const processUpload = upload.fields([
+  { name: "audio", maxCount: MAX_VOICE_STEMS },
+  { name: "script", maxCount: 1 },
+  { name: "manifest", maxCount: 1 },
+]);
 
-    if (result.success) {
-      const filename = path.basename(result.outputPath);
-      const outputUrl = `http://localhost:${port}/output/${filename}`;
+app.post("/api/process", processUpload, async (req, res) => {
+  const scriptFile = req.files?.script?.[0];
+  const audioFiles = req.files?.audio || [];
+  const manifestFile = req.files?.manifest?.[0];
+  const audioFile = audioFiles[0] || scriptFile;
+  const inputFile = audioFile?.path;
+  const removeAudio = () => [...audioFiles, ...(scriptFile ? [scriptFile] : [])].forEach((file) => fs.unlink(file.path, () => {}));
+  if (!inputFile || (scriptFile && audioFiles.length > 0)) {
+    removeAudio();
+    if (manifestFile) fs.unlink(manifestFile.path, () => {});
+    return res.status(400).json({
+      success: false,
+      error: inputFile ? "Upload either audio files or a script, not both." : "No audio file or script uploaded.",
+    });
+  }
 
-      return res.json({
-        success: true,
-        outputUrl: outputUrl,
-        metadata: result.metadata,
-        analysis: result.analysis,
+  // Validate the manifest up front so mistakes are reported before the job is queued
+  let manifest = null;
+  if (manifestFile) {
+    try {
+      manifest = await readUploadedManifest(manifestFile);
+    } catch (error) {
+      removeAudio();
+      return res.status(400).json({ success: false, error: `Invalid manifest: ${error.message}` });
+    }
+  }
+
+  const profiles = req.body.profiles
+    ? String(req.body.profiles).split(",").map((name) => name.trim()).filter(Boolean)
+    : undefined;
+  let transmission = null;
+  if (req.body.transmission || req.body.transmissionIntensity) {
+    transmission = {};
+    if (req.body.transmission) transmission.preset = String(req.body.transmission);
+    if (req.body.transmissionIntensity) transmission.intensity = Number(req.body.transmissionIntensity);
+  }
+  let voices = null;
+  try {
+    exporter.resolveProfiles(profiles);
+    if (transmission) transmissionCharacter.resolve(transmission);
+    if (scriptFile) parseScript(await fs.promises.readFile(scriptFile.path, "utf8"));
+    const voiceSettings = parseVoiceSettings(req.body.voices, audioFiles.length);
+    if (audioFiles.length > 1 || voiceSettings.length > 0) {
+      voices = audioFiles.map((file, index) => ({ ...voiceSettings[index], filePath: file.path }));
+      resolveStems(voices, manifest).forEach((stem) => {
+        if (stem.transmission) transmissionCharacter.resolve(stem.transmission);
       });
-    } else {
-      return res.status(500).json({ success: false, error: result.error || "Processing failed." });
     }
   } catch (error) {
-    console.error("❌ Processing error:", error);
+    removeAudio();
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  try {
+    const options = {};
+    if (manifest) options.manifest = manifest;
+    if (profiles) options.profiles = profiles;
+    if (transmission) options.transmission = transmission;
+    if (req.body.episodeNumber) options.episodeNumber = parseInt(req.body.episodeNumber, 10) || undefined;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(req.body.recordingDate || "")) options.recordingDate = req.body.recordingDate;
+    const input = scriptFile
+      ? { scriptPath: inputFile, originalName: audioFile.originalname }
+      : { filePath: inputFile, originalName: audioFile.originalname };
+    if (voices) input.voices = voices;
+    const job = await jobQueue.enqueue(input, options);
+    return res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+    });
+  } catch (error) {
+    console.error("❌ Failed to queue job:", error);
+    removeAudio();
     return res.status(500).json({ success: false, error: "Internal server error." });
-  } finally {
-    // Optional: cleanup temporary upload file
-    fs.unlink(inputFile, (err) => {
-      if (err) console.warn("⚠️ Failed to delete temp file:", err.message);
+  }
+});
+
+/**
+ * GET /api/export-profiles
+ * Lists the export profiles a job can request, and which are used by default.
+ */
+app.get("/api/export-profiles", (req, res) => {
+  const { default: defaults, profiles } = exporter.exportProfiles;
+  res.json({
+    success: true,
+    default: defaults,
+    profiles: Object.entries(profiles).map(([name, profile]) => ({ name, ...profile })),
+  });
+});
+
+/**
+ * GET /api/transmission-presets
+ * Lists the radio character presets a job can request, and which is used by default.
+ */
+app.get("/api/transmission-presets", (req, res) => {
+  const { default: defaultPreset, presets } = transmissionCharacter.presets;
+  res.json({
+    success: true,
+    default: defaultPreset,
+    presets: Object.entries(presets).map(([name, preset]) => ({ name, label: preset.label || name })),
+  });
+});
+
+/**
+ * GET /feed.xml
+ * iTunes / Podcasting 2.0 RSS feed of every cataloged episode, newest first.
+ */
+app.get("/feed.xml", async (req, res) => {
+  try {
+    const episodes = await catalog.list();
+    res.type("application/rss+xml").send(buildFeed({ show: showConfig, episodes, baseUrl: publicBaseUrl() }));
+  } catch (error) {
+    console.error("❌ Failed to build feed:", error);
+    res.status(500).json({ success: false, error: "Internal server error." });
+  }
+});
+
+/**
+ * GET /api/episodes
+ * Lists cataloged episodes, newest first.
+ */
+app.get("/api/episodes", async (req, res) => {
+  try {
+    res.json({ success: true, episodes: await catalog.list() });
+  } catch (error) {
+    console.error("❌ Failed to read catalog:", error);
+    res.status(500).json({ success: false, error: "Internal server error." });
+  }
+});
+
+/**
+ * GET /api/episodes/:id
+ * A single cataloged episode.
+ */
+app.get("/api/episodes/:id", async (req, res) => {
+  try {
+    const episode = await catalog.get(req.params.id);
+    if (!episode) {
+      return res.status(404).json({ success: false, error: "Episode not found." });
+    }
+    res.json({ success: true, episode });
+  } catch (error) {
+    console.error("❌ Failed to read catalog:", error);
+    res.status(500).json({ success: false, error: "Internal server error." });
+  }
+});
+
+// Library uploads, retags, deletes and rescans; they run one at a time and apply to the next render
+const library = new LibraryManager();
+// Only one library scan runs at a time; concurrent requests share it
+let libraryScan = null;
+
+/**
+ * Sends a library error: validation and lookup errors carry their own status code.
+ */
+function sendLibraryError(res, error, action) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+  console.error(`❌ Failed to ${action}:`, error);
+  return res.status(500).json({ success: false, error: "Internal server error." });
+}
+
+/**
+ * GET /api/library/index
+ * The last library index (asset details, tags, missing and unmapped files).
+ */
+app.get("/api/library/index", async (req, res) => {
+  try {
+    const index = await library.store.getIndex();
+    if (!index) {
+      return res.status(404).json({ success: false, error: "Library has not been indexed yet." });
+    }
+    res.json({ success: true, index });
+  } catch (error) {
+    console.error("❌ Failed to read library index:", error);
+    res.status(500).json({ success: false, error: "Internal server error." });
+  }
+});
+
+/**
+ * POST /api/library/index
+ * Rescans the library. Body: { force?: boolean, writeMappings?: boolean }.
+ */
+app.post("/api/library/index", express.json(), async (req, res) => {
+  const { force = false, writeMappings = false } = req.body || {};
+  try {
+    if (!libraryScan) {
+      libraryScan = library.rescan({ force: !!force, writeMappings: !!writeMappings }).finally(() => {
+        libraryScan = null;
+      });
+    }
+    const index = await libraryScan;
+    res.json({ success: true, index });
+  } catch (error) {
+    console.error("❌ Library scan failed:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/library/assets
+ * Lists indexed assets. Optional query filters: category, location, mood, group.
+ * Also returns the categories, locations, moods and groups the library can be browsed by.
+ */
+app.get("/api/library/assets", async (req, res) => {
+  try {
+    const { category, location, mood, group } = req.query;
+    res.json({ success: true, ...(await library.list({ category, location, mood, group })) });
+  } catch (error) {
+    sendLibraryError(res, error, "list library assets");
+  }
+});
+
+/**
+ * GET /api/library/assets/:id/audio
+ * Streams an asset for preview. The ID is the library-relative path, URL-encoded as one segment.
+ */
+app.get("/api/library/assets/:id/audio", async (req, res) => {
+  try {
+    const filePath = library.resolvePath(req.params.id);
+    res.sendFile(filePath, (error) => {
+      if (error && !res.headersSent) res.status(404).json({ success: false, error: "Asset file not found." });
     });
+  } catch (error) {
+    sendLibraryError(res, error, "preview library asset");
   }
 });
 
-// Start the backend server
-app.listen(port, () => {
-  console.log(`🚀 Lost Transmissions backend running at http://localhost:${port}`);
+/**
+ * POST /api/library/assets
+ * Uploads a new asset (field "file") with its tags: category, locations and moods
+ * (comma-separated), group, intensity. Rejected with 400 if the format, duration or loudness is out of range.
+ */
+app.post("/api/library/assets", upload.single("file"), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, error: "No audio file uploaded." });
+  }
+  try {
+    const asset = await library.add(req.file.path, { originalName: req.file.originalname, tags: req.body });
+    res.status(201).json({ success: true, asset });
+  } catch (error) {
+    sendLibraryError(res, error, "add library asset");
+  } finally {
+    fs.unlink(req.file.path, () => {}); // Already moved into the library on success
+  }
 });
+
+/**
+ * PUT /api/library/assets/:id
+ * Replaces an asset's audio (field "file", same extension), keeping its ID and tags.
+ */
+app.put("/api/library/assets/:id", upload.single("file"), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, error: "No audio file uploaded." });
+  }
+  try {
+    const asset = await library.replace(req.params.id, req.file.path, { originalName: req.file.originalname });
+    res.json({ success: true, asset });
+  } catch (error) {
+    sendLibraryError(res, error, "replace library asset");
+  } finally {
+    fs.unlink(req.file.path, () => {});
+  }
+});
+
+/**
+ * PATCH /api/library/assets/:id
+ * Retags an asset. Body: any of { category, locations, moods, group, intensity }.
+ */
+app.patch("/api/library/assets/:id", express.json(), async (req, res) => {
+  try {
+    const asset = await library.retag(req.params.id, req.body || {});
+    res.json({ success: true, asset });
+  } catch (error) {
+    sendLibraryError(res, error, "retag library asset");
+  }
+});
+
+/**
+ * DELETE /api/library/assets/:id
+ * Deletes an asset's file and removes it from the mappings and index.
+ */
+app.delete("/api/library/assets/:id", async (req, res) => {
+  try {
+    await library.remove(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    sendLibraryError(res, error, "delete library asset");
+  }
+});
+
+/**
+ * GET /api/jobs
+ * Lists all known jobs, newest first.
+ */
+app.get("/api/jobs", (req, res) => {
+  res.json({ success: true, jobs: jobQueue.list().map(serializeJob) });
+});
+
+/**
+ * GET /api/jobs/:id
+ * Reports a job's state (queued/analyzing/mixing/done/failed/cancelled), result and error.
+ */
+app.get("/api/jobs/:id", (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: "Job not found." });
+  }
+  res.json({ success: true, job: serializeJob(job) });
+});
+
+/**
+ * GET /api/jobs/:id/events
+ * Server-Sent Events stream of a job's progress. Emits:
+ *   - "snapshot": the processing stage list and the job's current state (sent once on connect)
+ *   - "status":   the job whenever its state changes
+ *   - "progress": { stage, percent } as each stage advances
+ * The stream closes once the job reaches done, failed or cancelled.
+ */
+app.get("/api/jobs/:id/events", (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: "Job not found." });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  const cleanup = () => {
+    jobQueue.off("update", onUpdate);
+    jobQueue.off("progress", onProgress);
+  };
+  const onUpdate = (updated) => {
+    if (updated.id !== job.id) return;
+    send("status", serializeJob(updated));
+    if (JobQueue.TERMINAL_STATES.includes(updated.status)) {
+      cleanup();
+      res.end();
+    }
+  };
+  const onProgress = (updated, progress) => {
+    if (updated.id === job.id) send("progress", progress);
+  };
+
+  send("snapshot", { stages: TransmissionMixer.STAGES, job: serializeJob(job) });
+  if (JobQueue.TERMINAL_STATES.includes(job.status)) {
+    return res.end();
+  }
+
+  jobQueue.on("update", onUpdate);
+  jobQueue.on("progress", onProgress);
+  req.on("close", cleanup);
+});
+
+/**
+ * POST /api/jobs/:id/cancel
+ * Cancels a queued job, or kills the FFmpeg process of a running one.
+ */
+app.post("/api/jobs/:id/cancel", async (req, res) => {
+  const job = await jobQueue.cancel(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: "Job not found." });
+  }
+  res.json({ success: true, job: serializeJob(job) });
+});
+
+// Restore persisted jobs, then start the backend server
+jobQueue
+  .init()
+  .then(() => {
+    app.listen(port, () => {
+      console.log(`🚀 Lost Transmissions backend running at http://localhost:${port}`);
+    });
+  })
+  .catch((error) => {
+    console.error("❌ Failed to initialize job queue:", error);
+    process.exit(1);
+  });
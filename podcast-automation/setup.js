@@ -5,6 +5,10 @@ const { exec } = require("child_process");
 const foldersToCreate = [
   "uploads",
   "audio-processing/output",
+  "audio-processing/jobs",
+  "audio-processing/history",
+  "audio-processing/catalog",
+  "assets",
   "audio-libraries/ambience",
   "audio-libraries/music",
   "audio-libraries/transmission-effects",
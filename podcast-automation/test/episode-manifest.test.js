@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeManifest } = require('../core/episode-manifest');
+
+test('fills in defaults for an empty manifest', () => {
+    const manifest = normalizeManifest({});
+    assert.equal(manifest.seed, null);
+    assert.equal(manifest.autoAnalysis, true);
+    assert.equal(manifest.autoCues, true);
+    assert.equal(manifest.scenes, null);
+    assert.deepEqual(manifest.cues, []);
+    assert.deepEqual(manifest.layers, {});
+    assert.deepEqual(manifest.voices, {});
+});
+
+test('keeps valid cues, layer overrides and scenes', () => {
+    const manifest = normalizeManifest({
+        seed: 42,
+        music: 'music/theme.mp3',
+        cues: [{ time: 12.5, effect: 'effects/door.mp3', volume: 0.4 }, { time: 3, effect: 'effects/static.mp3' }],
+        layers: { music: { volume: 0, fadeIn: 3 } },
+        scenes: [{ start: 0, end: 60, location: 'coastal' }]
+    });
+    assert.equal(manifest.seed, '42');
+    assert.deepEqual(manifest.music, ['music/theme.mp3']);
+    assert.deepEqual(manifest.cues, [{ time: 12.5, effect: 'effects/door.mp3', volume: 0.4 }, { time: 3, effect: 'effects/static.mp3' }]);
+    assert.deepEqual(manifest.layers, { music: { volume: 0, fadeIn: 3 } });
+    assert.deepEqual(manifest.scenes, [{ start: 0, end: 60, location: 'coastal' }]);
+});
+
+test('rejects malformed fields with a manifest error', () => {
+    const invalid = [
+        [[], /must be an object/],
+        [{ layers: { music: null } }, /layers\.music must be an object/],
+        [{ layers: { music: { volume: -1 } } }, /layers\.music\.volume must be a non-negative number/],
+        [{ layers: ['music'] }, /"layers" must map/],
+        [{ cues: [null] }, /cue #1 needs/],
+        [{ cues: [{ time: -1, effect: 'a.mp3' }] }, /cue #1 needs/],
+        [{ cues: 'effects/door.mp3' }, /"cues" must be a list/],
+        [{ scenes: [{ start: 10, end: 5 }] }, /scene #1 needs/],
+        [{ scenes: [null] }, /scene #1 needs/],
+        [{ music: [] }, /"music" must be a file path/],
+        [{ intro: 3 }, /"intro" must be true, false or a file path/],
+        [{ voices: [] }, /"voices" must map/]
+    ];
+    invalid.forEach(([data, message]) => {
+        assert.throws(() => normalizeManifest(data), message, JSON.stringify(data));
+    });
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseScript, stripMarkdown } = require('../audio-processing/script/script-parser');
+
+test('reads the title, scenes, speakers and spoken lines', () => {
+    const script = parseScript([
+        '# The Lighthouse Signal',
+        '',
+        '## Scene: Coastal Cliffs (mysterious)',
+        '',
+        'MILES: We found it.',
+        '',
+        '[static crackles]',
+        '',
+        '**Dr. Vance:** Keep *recording*.',
+        'It is still transmitting.'
+    ].join('\n'));
+
+    assert.equal(script.title, 'The Lighthouse Signal');
+    assert.deepEqual(script.scenes, [{ location: 'coastal-cliffs', mood: 'mysterious' }]);
+    assert.deepEqual(script.speakers, ['Miles', 'Dr. Vance']);
+    assert.deepEqual(script.lines, [
+        { text: 'We found it.', speaker: 'Miles', scene: 0 },
+        { text: 'Keep recording. It is still transmitting.', speaker: 'Dr. Vance', scene: 0 }
+    ]);
+});
+
+test('keeps prose with a colon as spoken text', () => {
+    const script = parseScript('MILES: Listen.\n\nThen he said: nothing at all.\n\nWarning: the signal fades.');
+    assert.deepEqual(script.speakers, ['Miles']);
+    assert.deepEqual(script.lines.map(line => line.text), ['Listen.', 'Then he said: nothing at all.', 'Warning: the signal fades.']);
+    assert.ok(script.lines.every(line => line.speaker === 'Miles'));
+});
+
+test('accepts plain labels for known speakers, in their known spelling', () => {
+    const script = parseScript('miles: Hello.\n\nGuest: Hi.', { speakers: ['Miles'] });
+    assert.deepEqual(script.speakers, ['Miles']);
+    assert.deepEqual(script.lines.map(line => line.text), ['Hello.', 'Guest: Hi.']);
+});
+
+test('a script without labels has no speakers', () => {
+    const script = parseScript('The tide came in.\n\n(whispering)\n\nNobody answered.');
+    assert.deepEqual(script.speakers, []);
+    assert.deepEqual(script.lines.map(line => [line.text, line.speaker]), [['The tide came in.', null], ['Nobody answered.', null]]);
+});
+
+test('rejects a script with nothing to say', () => {
+    assert.throws(() => parseScript('# Title\n\n[music]\n\n<!-- draft -->'), /no spoken lines/);
+});
+
+test('strips Markdown from spoken text', () => {
+    assert.equal(stripMarkdown('See [the log](log.md), **now** and `twice`.'), 'See the log, now and twice.');
+});
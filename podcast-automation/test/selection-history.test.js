@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const SelectionHistory = require('../core/selection-history');
+
+async function tempHistory(depth) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'lt-history-'));
+    return { dir, history: new SelectionHistory({ file: path.join(dir, 'history.json'), depth }) };
+}
+
+test('avoids the assets of the episodes recorded before this one', async (t) => {
+    const { dir, history } = await tempHistory(2);
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+    await history.record({ episodeId: 'one', seed: '1', assets: { music: ['music/a.mp3'] } });
+    await history.record({ episodeId: 'two', seed: '2', assets: { music: ['music/b.mp3'] } });
+    await history.record({ episodeId: 'three', seed: '3', assets: { music: ['music/c.mp3'], ambience: ['ambience/d.mp3'] } });
+
+    assert.deepEqual([...await history.recentAssets('four')].sort(), ['ambience/d.mp3', 'music/b.mp3', 'music/c.mp3']);
+    assert.deepEqual([...await history.recentAssets('two')], ['music/a.mp3']);
+});
+
+test('a re-render keeps its place, so later episodes do not change its picks', async (t) => {
+    const { dir, history } = await tempHistory(1);
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+    await history.record({ episodeId: 'one', seed: '1', assets: { music: ['music/a.mp3'] } });
+    await history.record({ episodeId: 'two', seed: '2', assets: { music: ['music/b.mp3'] } });
+    await history.record({ episodeId: 'three', seed: '3', assets: { music: ['music/c.mp3'] } });
+    await history.record({ episodeId: 'two', seed: '2', assets: { music: ['music/b.mp3'] } });
+
+    assert.deepEqual((await history.load()).map(entry => entry.episodeId), ['one', 'two', 'three']);
+    assert.deepEqual([...await history.recentAssets('two')], ['music/a.mp3']);
+});
+
+test('parallel records keep every entry', async (t) => {
+    const { dir, history } = await tempHistory(3);
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+    const other = new SelectionHistory({ file: history.file, depth: 3 });
+    await Promise.all(['a', 'b', 'c', 'd'].map((id, index) =>
+        (index % 2 ? other : history).record({ episodeId: id, seed: id, assets: {} })));
+
+    assert.deepEqual((await history.load()).map(entry => entry.episodeId).sort(), ['a', 'b', 'c', 'd']);
+    assert.deepEqual(await fs.readdir(dir), ['history.json']);
+});
+
+test('a depth of 0 avoids nothing', async (t) => {
+    const { dir, history } = await tempHistory(0);
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+    await history.record({ episodeId: 'one', seed: '1', assets: { music: ['music/a.mp3'] } });
+    assert.equal((await history.recentAssets('two')).size, 0);
+});
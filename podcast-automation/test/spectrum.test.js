@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fftInPlace, createFrameAnalyzer, FEATURES_PER_FRAME } = require('../optimization/algorithms/spectrum');
+
+test('the FFT matches a direct DFT', () => {
+    const size = 16;
+    const input = Array.from({ length: size }, (_, i) => Math.sin(i * 0.7) + 0.3 * Math.cos(i * 2.1));
+    const re = Float64Array.from(input);
+    const im = new Float64Array(size);
+    fftInPlace(re, im);
+
+    for (let k = 0; k < size; k++) {
+        let expectedRe = 0;
+        let expectedIm = 0;
+        input.forEach((sample, n) => {
+            expectedRe += sample * Math.cos((-2 * Math.PI * k * n) / size);
+            expectedIm += sample * Math.sin((-2 * Math.PI * k * n) / size);
+        });
+        assert.ok(Math.abs(re[k] - expectedRe) < 1e-9, `bin ${k} real`);
+        assert.ok(Math.abs(im[k] - expectedIm) < 1e-9, `bin ${k} imaginary`);
+    }
+});
+
+test('a sine peaks in its own bin, band and centroid', () => {
+    const fftSize = 1024;
+    const sampleRate = 16000;
+    const frequency = 1000; // Exactly bin 64
+    const frames = Float64Array.from({ length: fftSize }, (_, i) => Math.sin((2 * Math.PI * frequency * i) / sampleRate));
+    const sumMagnitudes = new Float64Array(fftSize / 2);
+    const features = createFrameAnalyzer(fftSize, sampleRate)(frames, 1, sumMagnitudes);
+
+    assert.equal(features.length, FEATURES_PER_FRAME);
+    const peak = sumMagnitudes.indexOf(Math.max(...sumMagnitudes));
+    assert.equal(peak, (frequency * fftSize) / sampleRate);
+    assert.ok(Math.abs(features[0] - 0.5) < 1e-6, 'mean power of a unit sine');
+    assert.ok(Math.abs(features[1] - frequency) < 20, 'zero-crossing rate');
+    assert.ok(Math.abs(features[2] - frequency) < 20, 'spectral centroid');
+    assert.ok(features[4] > 100 * (features[3] + features[5]), 'energy sits in the mid band');
+});
+
+test('silence has no power or spectrum, and frames are analyzed independently', () => {
+    const fftSize = 256;
+    const frames = new Float64Array(fftSize * 2);
+    frames.fill(0.5, fftSize); // Second frame is DC only
+    const sumMagnitudes = new Float64Array(fftSize / 2);
+    const features = createFrameAnalyzer(fftSize, 8000)(frames, 2, sumMagnitudes);
+
+    assert.deepEqual([...features.slice(0, FEATURES_PER_FRAME)], [0, 0, 0, 0, 0, 0]);
+    assert.ok(Math.abs(features[FEATURES_PER_FRAME] - 0.25) < 1e-9);
+    assert.equal(sumMagnitudes.indexOf(Math.max(...sumMagnitudes)), 0);
+});
+
+test('rejects an FFT size that is not a power of 2', () => {
+    assert.throws(() => createFrameAnalyzer(1000, 16000), /power of 2/);
+});